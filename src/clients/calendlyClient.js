@@ -1,11 +1,14 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const AdaptivePool = require('../utils/adaptivePool');
 
 class CalendlyClient {
   constructor() {
     // Prefer PAT naming; keep backwards-compatible aliases
     this.token = process.env.CALENDLY_PERSONAL_ACCESS_TOKEN || process.env.CALENDLY_PAT || null;
-    this.baseURL = 'https://api.calendly.com';
+    // CALENDLY_API_URL points the client elsewhere, e.g. at the fake server in tests
+    this.baseURL = (process.env.CALENDLY_API_URL || 'https://api.calendly.com').replace(/\/+$/, '');
 
     if (!this.token) {
       logger.warn('No Calendly Personal Access Token found. Set CALENDLY_PERSONAL_ACCESS_TOKEN (or CALENDLY_PAT).');
@@ -37,10 +40,16 @@ class CalendlyClient {
         return Promise.reject(error);
       }
     );
+    metrics.instrumentAxios(this.http, 'calendly');
+
+    // A 429 pauses every concurrent request until Calendly's Retry-After has passed
+    this.rateLimitedUntil = 0;
   }
 
   async _requestWithRetry(url, config = {}, retries = 3) {
     for (let i = 0; i < retries; i++) {
+      const wait = this.rateLimitedUntil - Date.now();
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
       try {
         return await this.http.get(url, config);
       } catch (err) {
@@ -52,13 +61,15 @@ class CalendlyClient {
         if (status === 429) {
           const retryAfter = parseFloat(err.response.headers['retry-after'] || 1) * 1000;
           logger.warn(`Calendly rate limit hit (429). Retrying after ${retryAfter}ms...`);
-          await new Promise(resolve => setTimeout(resolve, retryAfter + 500)); // Add buffer
+          metrics.retries.inc({ component: 'calendly', reason: 'rate_limit' });
+          this.rateLimitedUntil = Math.max(this.rateLimitedUntil, Date.now() + retryAfter + 500); // Add buffer
           continue;
         }
 
         if (status >= 500 && status < 600) {
           const delay = 1000 * Math.pow(2, i); // 1s, 2s, 4s
           logger.warn(`Calendly server error (${status}). Retrying in ${delay}ms...`);
+          metrics.retries.inc({ component: 'calendly', reason: 'server_error' });
           await new Promise(resolve => setTimeout(resolve, delay));
           continue;
         }
@@ -276,9 +287,77 @@ class CalendlyClient {
     throw lastErr || new Error('Unknown Calendly error');
   }
 
+  // Resolve the organization/user URIs Calendly needs for scoped endpoints
+  async _resolveScope({ scope = 'user', organization = null, user = null } = {}) {
+    if (organization && (scope === 'organization' || user)) return { scope, organization, user };
+    const me = await this.getCurrentUser();
+    return {
+      scope,
+      organization: organization || me.current_organization,
+      user: scope === 'user' ? (user || me.uri) : null
+    };
+  }
+
+  // List webhook subscriptions for the user or organization scope (all pages)
+  async listWebhookSubscriptions({ scope = 'user', organization = null, user = null, count = 100 } = {}) {
+    const resolved = await this._resolveScope({ scope, organization, user });
+    const params = { scope: resolved.scope, organization: resolved.organization, count };
+    if (resolved.scope === 'user') params.user = resolved.user;
+
+    let subscriptions = [];
+    let pageToken;
+    const seenTokens = new Set();
+    do {
+      const res = await this._requestWithRetry('/webhook_subscriptions', { params: pageToken ? { ...params, page_token: pageToken } : params });
+      const data = res.data || {};
+      if (data.collection) subscriptions = subscriptions.concat(data.collection);
+      const { nextPageToken } = this._getNextPageInfo(data);
+      if (!nextPageToken || seenTokens.has(nextPageToken)) break;
+      seenTokens.add(nextPageToken);
+      pageToken = nextPageToken;
+    } while (pageToken);
+    return subscriptions;
+  }
+
+  // Create a webhook subscription; signingKey is what CALENDLY_WEBHOOK_SECRET must be set to
+  async createWebhookSubscription({ url, events = ['invitee.created', 'invitee.canceled'], scope = 'user', organization = null, user = null, signingKey = null } = {}) {
+    if (!url) throw new Error('A callback url is required to create a webhook subscription');
+    const resolved = await this._resolveScope({ scope, organization, user });
+    const body = { url, events, organization: resolved.organization, scope: resolved.scope };
+    if (resolved.scope === 'user') body.user = resolved.user;
+    if (signingKey) body.signing_key = signingKey;
+    try {
+      const res = await this.http.post('/webhook_subscriptions', body);
+      return res.data && res.data.resource ? res.data.resource : res.data;
+    } catch (err) {
+      const details = err.response && err.response.data ? JSON.stringify(err.response.data) : '';
+      logger.error(`Failed to create Calendly webhook subscription: ${err.message} ${details}`);
+      throw err;
+    }
+  }
+
+  // Delete a webhook subscription by UUID or full URI
+  async deleteWebhookSubscription(uuidOrUri) {
+    const uuid = String(uuidOrUri || '').split('/').pop();
+    if (!uuid) throw new Error('A webhook subscription id is required');
+    try {
+      await this.http.delete(`/webhook_subscriptions/${uuid}`);
+      return true;
+    } catch (err) {
+      logger.error(`Failed to delete Calendly webhook subscription ${uuid}:`, err.message);
+      throw err;
+    }
+  }
+
   // Fetch invitees for a single scheduled event UUID
   async listInviteesForEvent(eventUuid, { count = 100 } = {}) {
-    if (!eventUuid) return [];
+    const { invitees } = await this._fetchEventInvitees(eventUuid, { count });
+    return invitees;
+  }
+
+  // All pages of an event's invitees; `complete` is false when a page failed and only part was fetched
+  async _fetchEventInvitees(eventUuid, { count = 100 } = {}) {
+    if (!eventUuid) return { invitees: [], complete: true };
     const url = `/scheduled_events/${eventUuid}/invitees`;
     let invitees = [];
 
@@ -290,45 +369,83 @@ class CalendlyClient {
         if (res && res.collection) invitees = invitees.concat(res.collection);
         pageToken = res && res.pagination ? res.pagination.next_page_token : undefined;
       } while (pageToken);
-      return invitees;
+      return { invitees, complete: true };
     } catch (err) {
       logger.warn(`Failed to list invitees for event ${eventUuid}: ${err.message}`);
-      return invitees; // return what we got so far
+      return { invitees, complete: false }; // return what we got so far
     }
   }
 
-  // Convenience: fetch invitees across events in range; returns normalized invitee objects
-  async listInviteesAcrossEvents({ since = null, until = null, scope = 'user', status = 'active' } = {}) {
-    const events = await this.listScheduledEvents({ since, until, count: 100, scope, status });
+  // Convenience: fetch invitees across events in range; returns normalized invitee objects.
+  // Up to `concurrency` events (CALENDLY_CONCURRENCY, default 4) are fetched at once; results stay in event order.
+  // `eventCache` (an EventInviteeCache) serves past events from disk; `refreshEvents` refetches and rewrites them.
+  // Resumable: `events` skips the event listing, `skipEvents` (Set of uuids) skips events already fetched,
+  // and onEvents(events) / onEventInvitees(uuid, invitees, { complete }) report progress as it happens
+  // (complete is false when a page failed and only part of the event's invitees came back).
+  async listInviteesAcrossEvents({ since = null, until = null, scope = 'user', status = 'active', events = null, skipEvents = null, onEvents = null, onEventInvitees = null, concurrency = null, eventCache = null, refreshEvents = false } = {}) {
+    if (!events) {
+      events = await this.listScheduledEvents({ since, until, count: 100, scope, status });
+      if (onEvents) onEvents(events);
+    }
     logger.info(`✅ Found ${events.length} scheduled events`);
 
     let allInvitees = [];
     let processedEvents = 0;
-    
+    let cachedEvents = 0;
+    const pending = [];
     for (const ev of events) {
       const uuid = ev.uri ? ev.uri.split('/').pop() : ev.uuid || ev.id;
-      try {
-        const invitees = await this.listInviteesForEvent(uuid);
+      if (skipEvents && skipEvents.has(uuid)) {
+        processedEvents++;
+        continue;
+      }
+      pending.push({ ev, uuid });
+    }
+
+    const pool = new AdaptivePool({ name: 'calendly', concurrency: concurrency || process.env.CALENDLY_CONCURRENCY || 4 });
+    await pool.map(pending, async ({ ev, uuid }) => {
+      const cached = eventCache && !refreshEvents ? eventCache.get(uuid) : null;
+      if (cached) {
+        cachedEvents++;
+        return { invitees: cached, complete: true };
+      }
+      const { invitees, complete } = await this._fetchEventInvitees(uuid);
+      if (eventCache && complete) {
+        try {
+          eventCache.set(uuid, ev, invitees);
+        } catch (err) {
+          logger.warn(`Could not cache invitees for event ${uuid}: ${err.message}`);
+        }
+      }
+      return { invitees, complete };
+    }, {
+      onResult: ({ invitees, complete }, index) => {
+        const { ev, uuid } = pending[index];
+        const normalized = [];
         invitees.forEach((i) => {
-          allInvitees.push({
+          normalized.push({
             id: i.id || i.uri || i.resource,
             name: (i.name || i.full_name || (i.email ? i.email.split('@')[0] : '')).trim(),
             email: (i.email || (i.email_address ? i.email_address : null)),
             created_at: i.created_at || i.created || i.time,
             event_uuid: uuid,
             event_name: ev.name || ev.title || ev.event_type || null,
+            event_type: ev.event_type || null,
             raw: i
           });
         });
+        allInvitees = allInvitees.concat(normalized);
+        if (onEventInvitees) onEventInvitees(uuid, normalized, { complete });
         processedEvents++;
         if (processedEvents % 10 === 0) {
           logger.info(`⏳ Processed invitees for ${processedEvents}/${events.length} events...`);
         }
-      } catch (err) {
-        logger.warn(`Skipping invitees for event ${uuid} due to error: ${err.message}`);
       }
-    }
+    });
 
+    if (eventCache) {
+      logger.info(`🗄️ Event cache: ${cachedEvents} event(s) from ${eventCache.dir}, ${pending.length - cachedEvents} fetched${refreshEvents ? ' (refreshed)' : ''}`);
+    }
     return allInvitees;
   }
 }
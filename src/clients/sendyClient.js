@@ -1,10 +1,178 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const AdaptivePool = require('../utils/adaptivePool');
+
+// Optional /subscribe parameters: gdpr and silent are flags, the rest plain values (hp is Sendy's honeypot)
+const SUBSCRIBE_OPTIONS = ['gdpr', 'silent', 'country', 'ipaddress', 'referrer', 'hp'];
+
+// Sendy's own subscribe parameters; custom fields may not shadow them
+const RESERVED_PARAMS = ['api_key', 'email', 'name', 'list', 'boolean', ...SUBSCRIBE_OPTIONS];
+
+// Custom field values as form params (empty values and reserved names dropped)
+function customFieldParams(fields) {
+  const params = {};
+  for (const [key, value] of Object.entries(fields || {})) {
+    if (!key || RESERVED_PARAMS.includes(key) || value === undefined || value === null || value === '') continue;
+    params[key] = String(value);
+  }
+  return params;
+}
+
+// Subscribe options as form params: gdpr / silent become "true" when set, other empty values are dropped
+function subscribeParams(options) {
+  const params = {};
+  for (const key of SUBSCRIBE_OPTIONS) {
+    const value = options ? options[key] : undefined;
+    if (key === 'gdpr' || key === 'silent') {
+      if (value === true || value === 'true') params[key] = 'true';
+    } else if (value !== undefined && value !== null && value !== '') {
+      params[key] = String(value);
+    }
+  }
+  return params;
+}
+
+// Flag options switched on for every subscribe by SENDY_SUBSCRIBE_GDPR / SENDY_SUBSCRIBE_SILENT
+function envSubscribeOptions() {
+  const options = {};
+  if (process.env.SENDY_SUBSCRIBE_GDPR === 'true') options.gdpr = true;
+  if (process.env.SENDY_SUBSCRIBE_SILENT === 'true') options.silent = true;
+  return options;
+}
+
+// Every plain-text error Sendy's API is known to answer, lowercased without the trailing period, and its code.
+// Sendy sends these with HTTP 200, so the reply text is the only signal.
+const SENDY_REPLIES = {
+  'no data passed': 'NO_DATA_PASSED',
+  'api key not passed': 'MISSING_API_KEY',
+  'invalid api key': 'INVALID_API_KEY',
+  'some fields are missing': 'MISSING_FIELDS',
+  'email not passed': 'MISSING_FIELDS',
+  'email address not passed': 'MISSING_FIELDS',
+  'list id not passed': 'MISSING_FIELDS',
+  'brand id not passed': 'MISSING_FIELDS',
+  'from name not passed': 'MISSING_FIELDS',
+  'from email not passed': 'MISSING_FIELDS',
+  'reply to email not passed': 'MISSING_FIELDS',
+  'subject not passed': 'MISSING_FIELDS',
+  'html not passed': 'MISSING_FIELDS',
+  'list or segment id(s) not passed': 'MISSING_FIELDS',
+  'invalid email address': 'INVALID_EMAIL',
+  'invalid list id': 'INVALID_LIST',
+  'list does not exist': 'INVALID_LIST',
+  'one or more list ids are invalid': 'INVALID_LIST',
+  'list or segment ids does not belong to a single brand': 'INVALID_LIST',
+  'one or more segment ids are invalid': 'INVALID_SEGMENT',
+  'already subscribed': 'ALREADY_SUBSCRIBED',
+  'bounced email address': 'BOUNCED',
+  'email is suppressed': 'SUPPRESSED',
+  'email does not exist': 'NOT_IN_LIST',
+  'subscriber does not exist': 'NOT_IN_LIST',
+  'already unsubscribed': 'ALREADY_UNSUBSCRIBED',
+  'no brands found': 'NOT_FOUND',
+  'no lists found': 'NOT_FOUND',
+  'unable to create campaign': 'CAMPAIGN_FAILED',
+  'unable to create and send campaign': 'CAMPAIGN_FAILED',
+  'unable to schedule campaign': 'CAMPAIGN_FAILED',
+  'unable to calculate totals': 'CAMPAIGN_FAILED'
+};
+
+// subscription-status.php answers one of these; the value is the normalized status
+const SUBSCRIBER_STATUSES = {
+  subscribed: 'subscribed',
+  unsubscribed: 'unsubscribed',
+  unconfirmed: 'unconfirmed',
+  bounced: 'bounced',
+  'soft bounced': 'soft-bounced',
+  complained: 'complained',
+  deleted: 'deleted',
+  'not in list': 'not-in-list',
+  'email does not exist in list': 'not-in-list'
+};
+
+// subscribe, unsubscribe and delete answer "true" (boolean=true) or "1" on success
+const TRUE_REPLIES = ['true', '1'];
+const CAMPAIGN_REPLIES = ['campaign created', 'campaign created and now sending', 'campaign scheduled'];
+
+// Transport failures worth retrying: timeouts, dropped or refused connections, 5xx answers and
+// 429 / 408 (rate limited or timed out by Sendy or a proxy in front of it)
+const TRANSIENT_CODES = ['TIMEOUT', 'NETWORK_ERROR', 'SERVER_ERROR', 'RATE_LIMITED'];
+
+// Failures a later attempt may well get past: the transient ones, plus the empty and "No data passed"
+// replies of a struggling PHP host and the HTML error page a proxy serves while Sendy is down.
+// Anything else (a bad email, list or API key, a bounce) fails again.
+const RETRYABLE_CODES = [...TRANSIENT_CODES, 'NO_DATA_PASSED', 'EMPTY_RESPONSE', 'HTML_RESPONSE'];
+
+// Failures where the request never reached Sendy, so even a call that must not run twice can be retried
+const CONNECT_ERRNOS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+const replyKey = (text) => String(text === undefined || text === null ? '' : text).trim().toLowerCase().replace(/\.$/, '');
+
+// Sort a Sendy reply into { success, code }. `ok` lists the replies that mean success for the call at hand;
+// known errors get their SENDY_REPLIES code and anything else EMPTY_RESPONSE, HTML_RESPONSE or UNEXPECTED_RESPONSE.
+function classifyReply(text, ok = []) {
+  const reply = replyKey(text);
+  if (ok.includes(reply)) return { success: true, code: null };
+  if (SENDY_REPLIES[reply]) return { success: false, code: SENDY_REPLIES[reply] };
+  if (!reply) return { success: false, code: 'EMPTY_RESPONSE' };
+  if (/<!doctype html>|<html[\s>]/.test(reply)) return { success: false, code: 'HTML_RESPONSE' };
+  return { success: false, code: 'UNEXPECTED_RESPONSE' };
+}
+
+/**
+ * A failed Sendy call. `code` is a SENDY_REPLIES code, a fallback reply code, or a transport code
+ * (TIMEOUT, NETWORK_ERROR, SERVER_ERROR, RATE_LIMITED, HTTP_ERROR, NOT_CONFIGURED); `retryable` is false when
+ * repeating the call would get the same answer.
+ */
+class SendyError extends Error {
+  constructor(message, { code = 'UNEXPECTED_RESPONSE', statusCode } = {}) {
+    super(message);
+    this.name = 'SendyError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.retryable = RETRYABLE_CODES.includes(code);
+  }
+
+  // Wrap an axios error in the matching transport code
+  static fromHttp(err) {
+    const status = err.response ? err.response.status : undefined;
+    const code = status ? (status >= 500 ? 'SERVER_ERROR' : [408, 429].includes(status) ? 'RATE_LIMITED' : 'HTTP_ERROR')
+      : ['ECONNABORTED', 'ETIMEDOUT'].includes(err.code) ? 'TIMEOUT' : 'NETWORK_ERROR';
+    const error = new SendyError(err.message, { code, statusCode: status });
+    error.errno = err.code;
+    return error;
+  }
+}
+
+// The result object for a Sendy reply; `code` is set on failures and on "Already subscribed"
+const replyResult = (reply, text, res) => ({ success: reply.success, message: text, statusCode: res.status, ...(reply.code ? { code: reply.code } : {}) });
+
+// The result object for a thrown error (the public methods resolve with results instead of throwing)
+const errorResult = (err) => ({ success: false, message: err.message, statusCode: err.statusCode, code: err.code });
+
+// Signs that Sendy (or the PHP host behind it) is struggling: timeouts, connection and 5xx errors, "No data passed"
+function isOverloadResult(res) {
+  if (!res) return false;
+  if (['NO_DATA_PASSED', ...TRANSIENT_CODES].includes(res.code)) return true;
+  if (res.statusCode >= 500 || (res.response && res.response.status >= 500)) return true;
+  return ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET'].includes(res.code);
+}
+
+const CAMPAIGN_MODES = ['draft', 'schedule', 'send'];
+
+// List / segment ids as Sendy's comma-separated string
+const joinIds = (ids) => (Array.isArray(ids) ? ids : String(ids || '').split(',')).map(s => String(s).trim()).filter(Boolean).join(',');
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
 class SendyClient {
   constructor() {
     this.baseURL = process.env.SENDY_INSTALLATION_URL;
     this.apiKey = process.env.SENDY_API_KEY;
+    // Transient failures are retried maxRetries times, waiting retryDelayMs, then twice that, and so on
+    this.maxRetries = parseInt(process.env.SENDY_MAX_RETRIES || '2', 10);
+    this.retryDelayMs = parseInt(process.env.SENDY_RETRY_DELAY_MS || '500', 10);
 
     if (!this.baseURL || !this.apiKey) {
       logger.warn('Sendy configuration missing (SENDY_INSTALLATION_URL or SENDY_API_KEY).');
@@ -28,125 +196,128 @@ class SendyClient {
           'Accept': 'application/json, text/plain, */*'
         }
       });
+      metrics.instrumentAxios(this.httpsHttp, 'sendy');
+    }
+    metrics.instrumentAxios(this.http, 'sendy');
+  }
+
+  // One request, retried with exponential backoff on transient failures. `idempotent: false` (campaigns)
+  // only retries when the connection was never made, so a slow Sendy cannot end up sending twice.
+  // Throws a SendyError once the retries are used up or the failure is not transient.
+  async _request(http, url, payload, { method = 'post', idempotent = true, retries = this.maxRetries } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return method === 'get' ? await http.get(url, { params: payload }) : await http.post(url, payload);
+      } catch (err) {
+        const error = SendyError.fromHttp(err);
+        const retryable = idempotent ? error.retryable : CONNECT_ERRNOS.includes(error.errno);
+        if (!retryable || attempt >= retries) throw error;
+        const delay = this.retryDelayMs * Math.pow(2, attempt);
+        metrics.retries.inc({ component: 'sendy', reason: error.code.toLowerCase() });
+        logger.warn(`Sendy ${url} failed (${err.message}); retry ${attempt + 1}/${retries} in ${delay}ms`);
+        await sleep(delay);
+      }
     }
   }
 
+  // POST a form to Sendy, working around installs that answer "No data passed" to a valid body:
+  // retry with a URLSearchParams body, then as a GET query, then over HTTPS. Writes pass `get: false`,
+  // since a GET would put campaign content and the API key in the URL. `retryEmpty` also retries an
+  // empty reply once (over HTTPS when available). `idempotent` and `retries` go to _request.
+  // Resolves to the last { res, text }; throws a SendyError on transport failures or missing config.
+  async _postForm(url, body, { get = true, retryEmpty = false, ...requestOptions } = {}) {
+    if (!this.baseURL || !this.apiKey) {
+      throw new SendyError('Sendy is not configured: set SENDY_INSTALLATION_URL and SENDY_API_KEY', { code: 'NOT_CONFIGURED' });
+    }
+    const send = async (http, payload, method) => {
+      const res = await this._request(http, url, payload, { ...requestOptions, method });
+      return { res, text: res.data === undefined || res.data === null ? '' : String(res.data).trim() };
+    };
+    const retry = (reason = 'no_data_passed') => metrics.retries.inc({ component: 'sendy', reason });
+
+    let out = await send(this.http, new URLSearchParams(body).toString());
+    if (out.text === '' && retryEmpty) {
+      retry('empty_response');
+      out = this.httpsHttp
+        ? await send(this.httpsHttp, new URLSearchParams(body).toString())
+        : await send(this.http, new URLSearchParams(body));
+    }
+    if (out.text === 'No data passed') {
+      retry();
+      out = await send(this.http, new URLSearchParams(body));
+    }
+    if (out.text === 'No data passed' && get) {
+      retry();
+      // Some environments mis-handle POST bodies
+      out = await send(this.http, body, 'get');
+    }
+    if (out.text === 'No data passed' && this.httpsHttp) {
+      retry();
+      out = await send(this.httpsHttp, new URLSearchParams(body).toString());
+    }
+    return out;
+  }
+
+  // A JSON listing (lists or brands) as { success, data } or a failed result with the reply's code
+  _jsonResult(res, text, what) {
+    const data = res.data;
+    if (data && typeof data === 'object') return { success: true, data, raw: data, status: res.status };
+    if (text.startsWith('{') || text.startsWith('[')) {
+      try {
+        return { success: true, data: JSON.parse(text), raw: data, status: res.status };
+      } catch (_e) {
+        // fallthrough
+      }
+    }
+    const reply = classifyReply(text);
+    const messages = {
+      EMPTY_RESPONSE: `Empty response from Sendy ${what} endpoint`,
+      // HTML response indicates wrong path or not enabled
+      HTML_RESPONSE: `HTML response received for ${what} endpoint (possible 404 or endpoint not available)`,
+      UNEXPECTED_RESPONSE: `Unexpected ${what} response format`
+    };
+    return { success: false, code: reply.code, message: messages[reply.code] || text, raw: data, status: res.status };
+  }
+
   // Attempt to list lists - many Sendy installs may not expose a lists API; this is best-effort
   async listLists() {
     // Per Sendy docs: URL /api/lists/get-lists.php requires api_key + brand_id (+ optional include_hidden)
     const brandId = process.env.SENDY_BRAND_ID;
     if (!brandId) {
-      return { success: false, message: 'SENDY_BRAND_ID not set. Find it on Brands page (column ID) and add to .env.' };
+      return { success: false, code: 'NOT_CONFIGURED', message: 'SENDY_BRAND_ID not set. Find it on Brands page (column ID) and add to .env.' };
     }
     try {
-      const url = `/api/lists/get-lists.php`;
       const body = { api_key: this.apiKey, brand_id: brandId, include_hidden: 'no' };
-      // First attempt: form encoded string
-      let res = await this.http.post(url, new URLSearchParams(body).toString());
-      let text = String(res.data).trim();
-      if (text === 'No data passed') {
-        // Retry with formdata object
-        res = await this.http.post(url, new URLSearchParams(body));
-        text = String(res.data).trim();
-      }
-      if (text === 'No data passed') {
-        // Fallback to GET with query params (some environments mis-handle POST bodies)
-        res = await this.http.get(url, { params: body });
-        text = String(res.data).trim();
-      }
-      if (text === 'No data passed' && this.httpsHttp) {
-        // Final retry forcing HTTPS base URL
-        res = await this.httpsHttp.post(url, new URLSearchParams(body).toString());
-        text = String(res.data).trim();
-      }
-      const status = res.status;
-      const data = res.data;
-      if (data && typeof data === 'object') {
-        return { success: true, lists: data, raw: data, status };
-      }
-      // Try JSON parse if data is string
-      if (typeof data === 'string') {
-        const trimmed = data.trim();
-        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
-          try {
-            const parsed = JSON.parse(trimmed);
-            return { success: true, lists: parsed, raw: data, status };
-          } catch (_e) {
-            // fallthrough
-          }
-        }
-        // HTML response indicates wrong path or not enabled
-        if (/<!DOCTYPE html>|<html[\s>]/i.test(trimmed)) {
-          return { success: false, message: 'HTML response received (possible 404 or endpoint not available)', raw: data, status };
-        }
-        // Some Sendy installs may return plain text like "false" or error messages
-        return { success: false, message: 'Unexpected lists response format', raw: data, status };
-      }
-      return { success: false, message: 'Empty response from Sendy lists endpoint', raw: data, status };
+      const { res, text } = await this._postForm(`/api/lists/get-lists.php`, body);
+      const { data, ...result } = this._jsonResult(res, text, 'lists');
+      return result.success ? { ...result, lists: data } : result;
     } catch (err) {
       logger.warn('Could not list Sendy lists (check path /api/lists/get-lists.php & version >= required):', err.message);
-      return { success: false, message: err.message };
+      return errorResult(err);
     }
   }
 
   async listBrands() {
     try {
-      const url = `/api/brands/get-brands.php`;
-      const body = { api_key: this.apiKey };
-      let res = await this.http.post(url, new URLSearchParams(body).toString());
-      let text = String(res.data).trim();
-      if (text === 'No data passed') {
-        res = await this.http.post(url, new URLSearchParams(body));
-        text = String(res.data).trim();
-      }
-      if (text === 'No data passed') {
-        res = await this.http.get(url, { params: body });
-        text = String(res.data).trim();
-      }
-      if (text === 'No data passed' && this.httpsHttp) {
-        res = await this.httpsHttp.post(url, new URLSearchParams(body).toString());
-        text = String(res.data).trim();
-      }
-      const raw = res.data;
-      if (raw && typeof raw === 'object') return { success: true, brands: raw };
-      if (typeof raw === 'string') {
-        const trimmed = raw.trim();
-        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
-          try { return { success: true, brands: JSON.parse(trimmed), raw }; } catch (_) {}
-        }
-        if (/<!DOCTYPE html>|<html[\s>]/i.test(trimmed)) return { success: false, message: 'HTML response received for brands endpoint', raw };
-        return { success: false, message: 'Unexpected brands response format', raw };
-      }
-      return { success: false, message: 'Empty brands response', raw };
+      const { res, text } = await this._postForm(`/api/brands/get-brands.php`, { api_key: this.apiKey });
+      const { data, ...result } = this._jsonResult(res, text, 'brands');
+      return result.success ? { ...result, brands: data } : result;
     } catch (err) {
       logger.warn('Error listing brands:', err.message);
-      return { success: false, message: err.message };
+      return errorResult(err);
     }
   }
 
-  // Get total active subscriber count across a list (wrapper for existing endpoint)
+  // Get total active subscriber count across a list (wrapper for existing endpoint). Anything but a
+  // number ("Invalid API key", "List does not exist", ...) is a failure carrying the reply's code.
   async getActiveSubscriberCount(listId) {
     try {
-      const url = `/api/subscribers/active-subscriber-count.php`;
       const body = { api_key: this.apiKey, list_id: listId };
-      let res = await this.http.post(url, new URLSearchParams(body).toString());
-      let text = String(res.data).trim();
-      if (text === 'No data passed') {
-        res = await this.http.post(url, new URLSearchParams(body));
-        text = String(res.data).trim();
-      }
-      if (text === 'No data passed') {
-        res = await this.http.get(url, { params: body });
-        text = String(res.data).trim();
-      }
-      if (text === 'No data passed' && this.httpsHttp) {
-        res = await this.httpsHttp.post(url, new URLSearchParams(body).toString());
-        text = String(res.data).trim();
-      }
-      const count = parseInt(res.data, 10);
-      return { success: true, count: isNaN(count) ? 0 : count, raw: res.data };
+      const { res, text } = await this._postForm(`/api/subscribers/active-subscriber-count.php`, body);
+      if (/^\d+$/.test(text)) return { success: true, count: parseInt(text, 10), raw: res.data };
+      return { ...replyResult(classifyReply(text), text, res), raw: res.data };
     } catch (err) {
-      return { success: false, message: err.message };
+      return errorResult(err);
     }
   }
 
@@ -156,104 +327,155 @@ class SendyClient {
     return { success: false, message: 'Campaign metrics endpoint not implemented. Requires Sendy API extension.' };
   }
 
-  async getSubscriberStatus(email, listId) {
+  // Resolves with { success, status, normalized, isSubscribed } for a known status (normalized per
+  // SUBSCRIBER_STATUSES), else a failed result with the reply's code. `retries` overrides SENDY_MAX_RETRIES.
+  async getSubscriberStatus(email, listId, { retries } = {}) {
     try {
-      const url = `/api/subscribers/subscription-status.php`;
       const body = { api_key: this.apiKey, email, list_id: listId };
-      let res = await this.http.post(url, new URLSearchParams(body).toString());
-      let raw = String(res.data).trim();
-      if (raw === 'No data passed') {
-        res = await this.http.post(url, new URLSearchParams(body));
-        raw = String(res.data).trim();
-      }
-      if (raw === 'No data passed') {
-        res = await this.http.get(url, { params: body });
-        raw = String(res.data).trim();
-      }
-      if (raw === 'No data passed' && this.httpsHttp) {
-        res = await this.httpsHttp.post(url, new URLSearchParams(body).toString());
-        raw = String(res.data).trim();
-      }
-      const status = raw.toLowerCase();
-      const normalized =
-        status === 'subscribed' ? 'subscribed' :
-        status === 'unsubscribed' ? 'unsubscribed' :
-        status === 'unconfirmed' ? 'unconfirmed' :
-        status === 'bounced' ? 'bounced' :
-        status === 'complained' ? 'complained' :
-        status === 'deleted' ? 'deleted' :
-        status === 'not in list' ? 'not-in-list' : status;
-      return { success: true, status: raw, normalized, isSubscribed: normalized === 'subscribed' };
+      const { res, text } = await this._postForm(`/api/subscribers/subscription-status.php`, body, { retries });
+      const normalized = SUBSCRIBER_STATUSES[replyKey(text)];
+      if (!normalized) return replyResult(classifyReply(text), text, res);
+      return { success: true, status: text, normalized, isSubscribed: normalized === 'subscribed' };
     } catch (err) {
       logger.warn('Error checking subscriber status:', err.message);
-      return { success: false, message: err.message };
+      return errorResult(err);
     }
   }
 
-  // Subscribe single email (returns normalized response)
-  async subscribe({ email, name = '', listId }) {
+  // Subscribe single email (returns normalized response). `fields` are Sendy custom fields by name;
+  // the other options are SUBSCRIBE_OPTIONS (gdpr, silent, country, ipaddress, referrer, hp).
+  // "Already subscribed" counts as success, with code ALREADY_SUBSCRIBED. `retries` overrides SENDY_MAX_RETRIES.
+  async subscribe({ email, name = '', listId, fields = {}, ...options }, { retries } = {}) {
     try {
-      const url = `/subscribe`;
-      const body = { api_key: this.apiKey, email, name, list: listId, boolean: 'true' };
-      let res = await this.http.post(url, new URLSearchParams(body).toString());
-      let data = res.data;
-      let text = (data === undefined || data === null) ? '' : String(data).trim();
-      const statusCode = res.status;
-
-      const attemptFallback = async (reason) => {
-        // try alternative encodings / https
-        if (reason === 'no-data-passed') {
-          res = await this.http.post(url, new URLSearchParams(body));
-          text = String(res.data || '').trim();
-          if (text === 'No data passed' && this.httpsHttp) {
-            res = await this.httpsHttp.post(url, new URLSearchParams(body).toString());
-            text = String(res.data || '').trim();
-          }
-        } else if (reason === 'empty') {
-          if (this.httpsHttp) {
-            res = await this.httpsHttp.post(url, new URLSearchParams(body).toString());
-            text = String(res.data || '').trim();
-          } else {
-            // retry with alternative form
-            res = await this.http.post(url, new URLSearchParams(body));
-            text = String(res.data || '').trim();
-          }
-        }
-      };
+      const body = { ...customFieldParams(fields), ...subscribeParams(options), api_key: this.apiKey, email, name, list: listId, boolean: 'true' };
+      const { res, text } = await this._postForm(`/subscribe`, body, { get: false, retryEmpty: true, retries });
+      const reply = classifyReply(text, TRUE_REPLIES);
+      if (reply.code === 'ALREADY_SUBSCRIBED') reply.success = true;
+      const result = replyResult(reply, text, res);
+      metrics.recordSubscribeResult(result);
+      return result;
+    } catch (err) {
+      logger.error('Sendy subscribe error:', err.message);
+      const result = errorResult(err);
+      metrics.recordSubscribeResult(result);
+      return result;
+    }
+  }
 
-      if (text === 'No data passed') {
-        await attemptFallback('no-data-passed');
-      } else if (text.length === 0) {
-        await attemptFallback('empty');
-      }
+  // Mark an email unsubscribed from a list (Sendy keeps the record)
+  async unsubscribe({ email, listId }) {
+    try {
+      const body = { api_key: this.apiKey, email, list: listId, boolean: 'true' };
+      const { res, text } = await this._postForm(`/unsubscribe`, body, { get: false });
+      return replyResult(classifyReply(text, TRUE_REPLIES), text, res);
+    } catch (err) {
+      logger.error('Sendy unsubscribe error:', err.message);
+      return errorResult(err);
+    }
+  }
 
-  const lower = text.toLowerCase();
-  // Sendy returns plain '1' for success when boolean=true is not respected or older versions; treat '1' as success if no error keywords.
-  const successIndicators = ['true', 'already subscribed', 'already subscribed.', '1'];
-  const errorIndicators = ['invalid email', 'some fields are missing', 'invalid api key', 'invalid list id', 'bounced', 'complained'];
-  const hasError = errorIndicators.some(e => lower.includes(e));
-  const isSuccess = !hasError && (text === true || successIndicators.some(si => lower === si || lower.includes(si)));
-  return { success: !!isSuccess, message: text, statusCode };
+  // Permanently remove an email from a list
+  async deleteSubscriber({ email, listId }) {
+    try {
+      const body = { api_key: this.apiKey, email, list_id: listId };
+      const { res, text } = await this._postForm(`/api/subscribers/delete.php`, body, { get: false });
+      return replyResult(classifyReply(text, TRUE_REPLIES), text, res);
     } catch (err) {
-      logger.error('Sendy subscribe error:', err.message);
-      return { success: false, message: err.message };
+      logger.error('Sendy delete subscriber error:', err.message);
+      return errorResult(err);
     }
   }
 
-  // Bulk subscribe (simple sequential implementation with optional dry-run)
-  async bulkSubscribe(list, items = [], { dryRun = false, batchSize = 20, throttleMs = 250 } = {}) {
+  /**
+   * Create a campaign. `mode` is 'draft' (saved under brandId), 'send' (sent right away) or 'schedule'
+   * (sent at scheduleAt, in timezone if given). send/schedule need listIds and/or segmentIds; ids may be
+   * arrays or comma-separated strings. From/reply-to and brand default to SENDY_FROM_NAME,
+   * SENDY_FROM_EMAIL, SENDY_REPLY_TO and SENDY_BRAND_ID; title defaults to the subject.
+   */
+  async createCampaign({
+    mode = 'draft', title, subject, htmlText, plainText,
+    fromName = process.env.SENDY_FROM_NAME, fromEmail = process.env.SENDY_FROM_EMAIL, replyTo,
+    listIds, segmentIds, excludeListIds, excludeSegmentIds, brandId = process.env.SENDY_BRAND_ID,
+    queryString, trackOpens, trackClicks, scheduleAt, timezone
+  } = {}) {
+    replyTo = replyTo || process.env.SENDY_REPLY_TO || fromEmail;
+    title = title || subject;
+    const lists = joinIds(listIds);
+    const segments = joinIds(segmentIds);
+
+    const missing = Object.entries({ fromName, fromEmail, replyTo, subject, htmlText }).filter(([, v]) => !v).map(([k]) => k);
+    let problem = null;
+    if (!CAMPAIGN_MODES.includes(mode)) problem = `Unknown campaign mode "${mode}". Use ${CAMPAIGN_MODES.join(', ')}.`;
+    else if (missing.length) problem = `Missing campaign ${missing.join(', ')}`;
+    else if (mode === 'draft' && !brandId) problem = 'A draft needs a brand id (brandId or SENDY_BRAND_ID)';
+    else if (mode !== 'draft' && !lists && !segments) problem = `Campaign mode "${mode}" needs listIds or segmentIds`;
+    else if (mode === 'schedule' && !scheduleAt) problem = 'Campaign mode "schedule" needs scheduleAt';
+    if (problem) return { success: false, mode, message: problem };
+
+    const body = {
+      api_key: this.apiKey,
+      from_name: fromName,
+      from_email: fromEmail,
+      reply_to: replyTo,
+      title,
+      subject,
+      html_text: htmlText,
+      send_campaign: mode === 'draft' ? '0' : '1'
+    };
+    const optional = {
+      plain_text: plainText,
+      list_ids: lists,
+      segment_ids: segments,
+      exclude_list_ids: joinIds(excludeListIds),
+      exclude_segments_ids: joinIds(excludeSegmentIds),
+      brand_id: brandId,
+      query_string: queryString,
+      track_opens: trackOpens,
+      track_clicks: trackClicks,
+      schedule_date_time: mode === 'schedule' ? (scheduleAt instanceof Date ? scheduleAt.toISOString() : scheduleAt) : null,
+      schedule_timezone: mode === 'schedule' ? timezone : null
+    };
+    for (const [key, value] of Object.entries(optional)) {
+      if (value !== undefined && value !== null && value !== '') body[key] = String(value);
+    }
+
+    try {
+      // Not idempotent: a retry after a timeout could send the campaign twice
+      const { res, text } = await this._postForm(`/api/campaigns/create.php`, body, { get: false, idempotent: false });
+      return { ...replyResult(classifyReply(text, CAMPAIGN_REPLIES), text, res), mode };
+    } catch (err) {
+      logger.error('Sendy create campaign error:', err.message);
+      return { ...errorResult(err), mode };
+    }
+  }
+
+  // Bulk subscribe with optional dry-run. Each batch runs through an AdaptivePool (pass `pool` to share one
+  // across calls, else one is built from concurrency/maxRps); throttleMs is the pause after each request.
+  // onResult(result, index) is called in item order as items finish (used by the sync scripts to checkpoint).
+  // Items are { email, name, fields, params }; `params` (subscribe options) applies to every item and wins over the item's own.
+  async bulkSubscribe(list, items = [], { dryRun = false, batchSize = 20, throttleMs = 250, concurrency = 1, maxRps = 0, pool = null, onResult = null, params = {} } = {}) {
     const results = [];
+    const emit = (res) => {
+      results.push(res);
+      if (onResult) onResult(res, results.length - 1);
+    };
+    if (dryRun) {
+      for (const it of items) emit({ email: it.email, success: false, dryRun: true, message: 'dry-run' });
+      return results;
+    }
+
+    pool = pool || new AdaptivePool({ name: 'sendy', concurrency, maxRps, isOverloaded: isOverloadResult });
     for (let i = 0; i < items.length; i += batchSize) {
       const batch = items.slice(i, i + batchSize);
-      for (const it of batch) {
-        if (dryRun) {
-          results.push({ email: it.email, success: false, dryRun: true, message: 'dry-run' });
-          continue;
-        }
-
-        const res = await this.subscribe({ email: it.email, name: it.name || '', listId: list });
-        results.push({ email: it.email, success: res.success, message: res.message, statusCode: res.statusCode });
-        await new Promise((r) => setTimeout(r, throttleMs));
+      await pool.map(batch, async (it) => {
+        const options = { ...subscribeParams(it.params), ...subscribeParams(params) };
+        // The pool retries overloaded results itself (and lowers concurrency), so the client does not
+        const res = await this.subscribe({ email: it.email, name: it.name || '', listId: list, fields: it.fields || {}, ...options }, { retries: 0 });
+        if (throttleMs) await sleep(throttleMs);
+        return { email: it.email, success: res.success, message: res.message, statusCode: res.statusCode, code: res.code };
+      }, { onResult: emit });
+      if (items.length > batchSize) {
+        logger.info(`📬 Subscribed ${Math.min(i + batchSize, items.length)}/${items.length} to list ${list}`);
       }
     }
     return results;
@@ -261,3 +483,13 @@ class SendyClient {
 }
 
 module.exports = new SendyClient();
+module.exports.customFieldParams = customFieldParams;
+module.exports.subscribeParams = subscribeParams;
+module.exports.envSubscribeOptions = envSubscribeOptions;
+module.exports.SUBSCRIBE_OPTIONS = SUBSCRIBE_OPTIONS;
+module.exports.isOverloadResult = isOverloadResult;
+module.exports.CAMPAIGN_MODES = CAMPAIGN_MODES;
+module.exports.SENDY_REPLIES = SENDY_REPLIES;
+module.exports.classifyReply = classifyReply;
+module.exports.SendyError = SendyError;
+module.exports.SendyClient = SendyClient;
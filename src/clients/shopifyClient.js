@@ -1,5 +1,6 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
 
 class ShopifyClient {
   constructor() {
@@ -13,7 +14,9 @@ class ShopifyClient {
 
     // Clean shop name - remove .myshopify.com if present
     const cleanShopName = this.shopName?.replace(/\.myshopify\.com$/, '');
-    this.baseURL = `https://${cleanShopName}.myshopify.com/admin/api/${this.apiVersion}`;
+    // SHOPIFY_SHOP_URL replaces https://<shop>.myshopify.com, e.g. with the fake server in tests
+    const shopURL = (process.env.SHOPIFY_SHOP_URL || `https://${cleanShopName}.myshopify.com`).replace(/\/+$/, '');
+    this.baseURL = `${shopURL}/admin/api/${this.apiVersion}`;
     
     logger.info(`Shopify client initialized with shop: ${this.shopName}, clean: ${cleanShopName}`);
     logger.info(`Base URL: ${this.baseURL}`);
@@ -46,6 +49,7 @@ class ShopifyClient {
         return Promise.reject(error);
       }
     );
+    metrics.instrumentAxios(this.http, 'shopify');
   }
 
   async _requestWithRetry(url, config = {}, retries = 3) {
@@ -61,6 +65,7 @@ class ShopifyClient {
         if (status === 429) {
           const retryAfter = parseFloat(err.response.headers['retry-after'] || 1) * 1000;
           logger.warn(`Shopify rate limit hit (429). Retrying after ${retryAfter}ms...`);
+          metrics.retries.inc({ component: 'shopify', reason: 'rate_limit' });
           await new Promise(resolve => setTimeout(resolve, retryAfter + 500)); // Add buffer
           continue;
         }
@@ -68,6 +73,7 @@ class ShopifyClient {
         if (status >= 500 && status < 600) {
           const delay = 1000 * Math.pow(2, i); // 1s, 2s, 4s
           logger.warn(`Shopify server error (${status}). Retrying in ${delay}ms...`);
+          metrics.retries.inc({ component: 'shopify', reason: 'server_error' });
           await new Promise(resolve => setTimeout(resolve, delay));
           continue;
         }
@@ -126,7 +132,10 @@ class ShopifyClient {
   }
 
   // List orders with date range and pagination
-  async listOrders({ since = null, until = null, status = 'any', limit = 250, fields = null } = {}) {
+  // updatedSince (ISO8601) filters on updated_at_min, for incremental syncs.
+  // onPage(batch, nextPageUrl, { truncated }) is called after every page; pass startPageUrl to continue from a saved page.
+  // `truncated` is true on the last page when the page cap stopped the listing with pages left.
+  async listOrders({ since = null, until = null, updatedSince = null, status = 'any', limit = 250, fields = null, startPageUrl = null, onPage = null } = {}) {
     const sanitize = (obj) => {
       const o = {};
       for (const [k, v] of Object.entries(obj || {})) {
@@ -140,13 +149,14 @@ class ShopifyClient {
       const params = { limit, status };
       if (since) params.created_at_min = since; // ISO8601
       if (until) params.created_at_max = until; // ISO8601
+      if (updatedSince) params.updated_at_min = updatedSince; // ISO8601
       if (fields) params.fields = fields; // e.g., 'id,email,created_at,customer'
       if (pageInfo) params.page_info = pageInfo;
       return sanitize(params);
     };
 
     let orders = [];
-    let nextPageUrl = null;
+    let nextPageUrl = startPageUrl;
     let attempts = 0;
     const maxAttempts = 50; // Prevent infinite loops
 
@@ -178,10 +188,12 @@ class ShopifyClient {
         // Handle Shopify pagination via Link header
         const linkHeader = res.headers && res.headers.link ? res.headers.link : null;
         nextPageUrl = this._parseNextPageUrl(linkHeader);
-        
+
         attempts++;
+        const truncated = attempts >= maxAttempts && !!nextPageUrl;
+        if (onPage) onPage((data && data.orders) || [], nextPageUrl, { truncated });
         if (attempts >= maxAttempts) {
-          logger.warn(`Reached maximum pagination attempts (${maxAttempts}). Stopping.`);
+          if (truncated) logger.warn(`Reached maximum pagination attempts (${maxAttempts}) with orders left. Stopping.`);
           break;
         }
         
@@ -209,8 +221,8 @@ class ShopifyClient {
     }
   }
 
-  // List customers directly (alternative to order-based approach)
-  async listCustomers({ since = null, until = null, limit = 250 } = {}) {
+  // List customers directly (alternative to order-based approach); paging options as in listOrders
+  async listCustomers({ since = null, until = null, updatedSince = null, limit = 250, startPageUrl = null, onPage = null } = {}) {
     const sanitize = (obj) => {
       const o = {};
       for (const [k, v] of Object.entries(obj || {})) {
@@ -224,12 +236,13 @@ class ShopifyClient {
       const params = { limit };
       if (since) params.created_at_min = since;
       if (until) params.created_at_max = until;
+      if (updatedSince) params.updated_at_min = updatedSince;
       if (pageInfo) params.page_info = pageInfo;
       return sanitize(params);
     };
 
     let customers = [];
-    let nextPageUrl = null;
+    let nextPageUrl = startPageUrl;
     let attempts = 0;
     const maxAttempts = 50;
 
@@ -262,10 +275,12 @@ class ShopifyClient {
         } else {
           nextPageUrl = null;
         }
-        
+
         attempts++;
+        const truncated = attempts >= maxAttempts && !!nextPageUrl;
+        if (onPage) onPage((data && data.customers) || [], nextPageUrl, { truncated });
         if (attempts >= maxAttempts) {
-          logger.warn(`Reached maximum pagination attempts (${maxAttempts}). Stopping.`);
+          if (truncated) logger.warn(`Reached maximum pagination attempts (${maxAttempts}) with customers left. Stopping.`);
           break;
         }
         
@@ -327,6 +342,22 @@ class ShopifyClient {
       new Date(a.created_at || 0) - new Date(b.created_at || 0)
     );
   }
+
+  // Sendy subscribe options for an order or customer: referrer, country, buyer IP, and gdpr
+  // when the buyer accepted email marketing
+  subscribeOptions(record, type = 'order') {
+    const r = record || {};
+    const customer = type === 'order' ? (r.customer || {}) : r;
+    const address = (type === 'order' ? (r.billing_address || r.shipping_address) : null) || customer.default_address || {};
+    const consent = customer.email_marketing_consent;
+    const accepted = (type === 'order' && r.buyer_accepts_marketing === true) || customer.accepts_marketing === true ||
+      (consent && consent.state === 'subscribed');
+    const options = { referrer: `shopify:${type}` };
+    if (address.country_code) options.country = address.country_code;
+    if (type === 'order' && r.browser_ip) options.ipaddress = r.browser_ip;
+    if (accepted) options.gdpr = true;
+    return options;
+  }
 }
 
 module.exports = new ShopifyClient();
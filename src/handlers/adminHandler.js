@@ -0,0 +1,102 @@
+const express = require('express');
+const eventHistory = require('../services/eventHistory');
+const syncRunner = require('../services/syncRunner');
+const webhookInbox = require('../services/webhookInbox');
+const { requireScope } = require('./apiAuth');
+const logger = require('../utils/logger');
+
+const toLimit = (value, fallback = 50) => Math.min(Math.max(parseInt(value, 10) || fallback, 1), 1000);
+
+/**
+ * Admin API: processed webhook events, per-email history, dead letters and background sync runs.
+ * Each route requires an API token with the matching scope.
+ */
+function createAdminRouter({ history = eventHistory, runner = syncRunner, inbox = webhookInbox, scheduler = null, scope = requireScope } = {}) {
+  const router = express.Router();
+  const canRead = scope('read:events');
+
+  // Recent processing outcomes (newest first); ?source=&event=&status=done|retry|dead&limit=
+  router.get('/events', canRead, (req, res) => {
+    const { source, event, status } = req.query;
+    res.json({ events: history.recent({ limit: toLimit(req.query.limit), source, event, status }) });
+  });
+
+  // Attempts for one inbox entry, plus the entry itself while it is still pending
+  router.get('/events/:id', canRead, (req, res) => {
+    const attempts = history.forEvent(req.params.id);
+    const pending = inbox.pending().find((e) => e.id === req.params.id) || null;
+    if (!attempts.length && !pending) return res.status(404).json({ error: 'Not found' });
+    res.json({ id: req.params.id, pending, attempts });
+  });
+
+  // Webhooks waiting in the inbox (not yet processed or awaiting a retry)
+  router.get('/inbox', canRead, (req, res) => {
+    const pending = inbox.pending().map(({ body, ...entry }) => entry);
+    res.json({ pending, deadLetters: inbox.listDeadLetters().filter((l) => !l.replayedAt).length });
+  });
+
+  router.get('/emails/:email', canRead, (req, res) => {
+    const email = String(req.params.email).toLowerCase().trim();
+    const events = history.forEmail(email);
+    res.json({ email, events, lastOutcome: events.length ? events[events.length - 1] : null });
+  });
+
+  router.get('/deadletters', canRead, (req, res) => {
+    const all = req.query.all === 'true';
+    const letters = inbox.listDeadLetters().filter((l) => all || !l.replayedAt).map(({ body, ...letter }) => letter);
+    res.json({ deadLetters: letters });
+  });
+
+  router.get('/deadletters/:id', canRead, (req, res) => {
+    const letter = inbox.getDeadLetter(req.params.id);
+    if (!letter) return res.status(404).json({ error: 'Not found' });
+    res.json({ deadLetter: letter });
+  });
+
+  // Re-queue a dead letter; the webhook worker picks it up on its next pass
+  router.post('/deadletters/:id/replay', scope('replay:deadletter'), (req, res) => {
+    const letter = inbox.getDeadLetter(req.params.id);
+    if (!letter) return res.status(404).json({ error: 'Not found' });
+    if (letter.replayedAt) return res.status(409).json({ error: `Already replayed as ${letter.replayedAs}` });
+    const entry = inbox.replayDeadLetter(letter.id);
+    logger.info(`Dead letter ${letter.id} replayed as ${entry.id} by token ${req.apiToken ? req.apiToken.name : 'unknown'}`);
+    res.status(202).json({ id: letter.id, replayedAs: entry.id });
+  });
+
+  // Start a background sync: { "source": "calendly" | "shopify", "options": { "since": "...", "dryRun": true } }
+  router.post('/syncs', scope('run:sync'), (req, res) => {
+    const { source, options = {} } = req.body || {};
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      return res.status(400).json({ error: '"options" must be an object' });
+    }
+    try {
+      const run = runner.start({ source, options });
+      res.status(202).json({ run });
+    } catch (err) {
+      if (err.code === 'SYNC_RUNNING') return res.status(409).json({ error: err.message, runId: err.runId });
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  router.get('/syncs', canRead, (req, res) => {
+    res.json({ runs: runner.list() });
+  });
+
+  router.get('/syncs/:id', canRead, (req, res) => {
+    const run = runner.get(req.params.id);
+    if (!run) return res.status(404).json({ error: 'Not found' });
+    res.json({ run });
+  });
+
+  // Scheduled jobs with their cron, next run and last outcome
+  router.get('/scheduler', canRead, (req, res) => {
+    if (!scheduler) return res.status(404).json({ error: 'Scheduler not available' });
+    res.json(scheduler.status());
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter
+};
@@ -0,0 +1,49 @@
+const TokenStore = require('../utils/tokenStore');
+const { appendAudit } = require('../utils/auditLog');
+const logger = require('../utils/logger');
+
+const defaultStore = new TokenStore();
+
+/**
+ * Express middleware: require a bearer token from the token store that carries `scope`.
+ * Every attempt is written to the audit log; allowed requests are logged with their response status.
+ */
+function requireScope(scope, { store = defaultStore, audit = appendAudit } = {}) {
+  return (req, res, next) => {
+    const base = { scope, method: req.method, path: req.originalUrl, ip: req.ip };
+    const deny = (status, reason, record = null) => {
+      audit({ ...base, tokenId: record ? record.id : null, tokenName: record ? record.name : null, outcome: 'denied', reason, status });
+      logger.warn(`Denied ${req.method} ${req.originalUrl} (${reason})`);
+      return res.status(status).json({ error: status === 401 ? 'Unauthorized' : 'Forbidden', reason });
+    };
+
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (!match) return deny(401, 'missing-token');
+
+    let verification;
+    try {
+      verification = store.verify(match[1]);
+    } catch (err) {
+      logger.error('Token verification failed:', err.message);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+    const { record, reason } = verification;
+    if (!record) return deny(401, reason);
+    if (!record.scopes.includes(scope)) return deny(403, 'missing-scope', record);
+
+    req.apiToken = { id: record.id, name: record.name, scopes: record.scopes };
+    res.on('finish', () => {
+      audit({ ...base, tokenId: record.id, tokenName: record.name, outcome: 'allowed', status: res.statusCode });
+    });
+    try {
+      store.touch(record.id);
+    } catch (err) {
+      logger.warn(`Could not update last use of token ${record.id}: ${err.message}`);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  requireScope
+};
@@ -0,0 +1,33 @@
+const express = require('express');
+const defaultReadiness = require('../services/readiness');
+const { requireScope } = require('./apiAuth');
+
+/**
+ * GET /ready: checks Sendy (and Calendly/Shopify when configured); 503 if a required one fails.
+ * ?refresh=true skips the cache and calls every upstream, so it needs an API token (read:events).
+ */
+function createReadinessRouter({ readiness = defaultReadiness, scope = requireScope } = {}) {
+  const router = express.Router();
+  const canRefresh = scope('read:events');
+  const refreshNeedsToken = (req, res, next) => (req.query.refresh === 'true' ? canRefresh(req, res, next) : next());
+
+  router.get('/ready', refreshNeedsToken, async (req, res, next) => {
+    try {
+      const result = await readiness.check({ force: req.query.refresh === 'true' });
+      res.status(result.ready ? 200 : 503).json({
+        status: result.ready ? 'ready' : 'not_ready',
+        timestamp: new Date().toISOString(),
+        service: 'calendly-sendy-integration',
+        ...result
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createReadinessRouter
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const sendy = require('../clients/sendyClient');
+const { envSubscribeOptions, SendyError } = require('../clients/sendyClient');
+const shopify = require('../clients/shopifyClient');
+const inbox = require('../services/webhookInbox');
+const { loadSegments, matchSegments } = require('../utils/segments');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+const SUPPORTED_TOPICS = ['orders/create', 'customers/create', 'customers/update'];
+
+// Statuses we must not overwrite by re-subscribing (customers/update fires on every profile change)
+const SKIP_STATUSES = ['subscribed', 'unsubscribed', 'bounced', 'complained'];
+
+/**
+ * Verify `X-Shopify-Hmac-Sha256`: base64 HMAC-SHA256 of the raw body with the app's webhook secret
+ */
+function verifyShopifyHmac(rawBody, header, secret = process.env.SHOPIFY_WEBHOOK_SECRET) {
+  if (!secret) return { valid: false, reason: 'no-secret-configured' };
+  if (!header) return { valid: false, reason: 'missing-signature' };
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(String(rawBody || ''), 'utf8'))
+    .digest('base64');
+
+  const received = Buffer.from(String(header).trim(), 'utf8');
+  const computed = Buffer.from(expected, 'utf8');
+  if (received.length !== computed.length || !crypto.timingSafeEqual(received, computed)) {
+    return { valid: false, reason: 'signature-mismatch' };
+  }
+  return { valid: true, reason: 'verified' };
+}
+
+/**
+ * Handle Shopify webhook events
+ */
+async function handleShopifyWebhook(req, res) {
+  try {
+    const topic = req.headers['x-shopify-topic'];
+    const webhookId = req.headers['x-shopify-webhook-id'];
+    const rawBody = req.rawBody !== undefined ? req.rawBody : JSON.stringify(req.body);
+
+    const verification = verifyShopifyHmac(rawBody, req.headers['x-shopify-hmac-sha256']);
+    if (!verification.valid) {
+      logger.warn(`Invalid Shopify webhook signature (${verification.reason})`);
+      metrics.signatureFailures.inc({ source: 'shopify', reason: verification.reason });
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    logger.info(`Received Shopify webhook: ${topic} (${req.headers['x-shopify-shop-domain'] || 'unknown shop'})`);
+    metrics.webhooksReceived.inc({ source: 'shopify', event: topic || 'unknown' });
+
+    if (!SUPPORTED_TOPICS.includes(topic)) {
+      logger.info(`Ignoring Shopify topic: ${topic}`);
+      return res.status(200).json({ status: 'ignored' });
+    }
+
+    // Persist before acknowledging; Shopify retries the same X-Shopify-Webhook-Id on timeouts
+    const entry = inbox.enqueue({
+      source: 'shopify',
+      event: topic,
+      body: req.body,
+      dedupeKey: webhookId ? `shopify:${webhookId}` : null
+    });
+
+    res.status(200).json({ status: 'received', id: entry.id });
+  } catch (error) {
+    logger.error('Error processing Shopify webhook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * Normalize a webhook body into { email, name, facts, params } contacts, reusing the batch sync's order extraction.
+ * `facts` feed the segment rules, with the same names as the Shopify source's profiles; `params` are the
+ * Sendy subscribe options, as in the batch sync.
+ */
+function extractContacts(topic, body) {
+  const toNumber = (v) => (v === undefined || v === null || v === '' ? null : parseFloat(v));
+  if (topic === 'orders/create') {
+    const customer = body.customer || {};
+    return shopify.extractEmailsFromOrders([body]).map((c) => ({
+      email: c.email,
+      name: c.name,
+      facts: { source: 'shopify', email: c.email, name: c.name, orders: customer.orders_count || 1, last_order: body.created_at || null, order_value: toNumber(body.total_price), total_spent: toNumber(customer.total_spent) },
+      params: shopify.subscribeOptions(body, 'order')
+    }));
+  }
+  const email = body && body.email ? String(body.email).toLowerCase().trim() : null;
+  if (!email) return [];
+  const name = [body.first_name, body.last_name].filter(Boolean).join(' ').trim() || email.split('@')[0];
+  return [{ email, name, facts: { source: 'shopify', email, name, orders: body.orders_count || 0, total_spent: toNumber(body.total_spent) }, params: shopify.subscribeOptions(body, 'customer') }];
+}
+
+/**
+ * Subscribe the buyer/customer from a queued Shopify webhook to SENDY_SHOPIFY_LIST_ID, plus the lists
+ * of any matching segment rule. Throws on Sendy failures so the webhook worker retries.
+ */
+async function processShopifyEvent({ event: topic, body }) {
+  const listId = process.env.SENDY_SHOPIFY_LIST_ID || process.env.SENDY_LIST_ID;
+  if (!listId) throw new Error('No Sendy list configured: set SENDY_SHOPIFY_LIST_ID or SENDY_LIST_ID');
+
+  const contacts = extractContacts(topic, body);
+  if (!contacts.length) {
+    logger.info(`Shopify ${topic} has no email; nothing to subscribe`);
+    return { action: 'skipped', reason: 'no-email' };
+  }
+
+  const segments = loadSegments();
+  const outcomes = [];
+  for (const { email, name, facts, params } of contacts) {
+    // the configured list first, then each extra segment list (outcomes for those carry listId and segment)
+    const targets = [{ listId }];
+    for (const segment of matchSegments(segments, facts)) {
+      for (const segmentListId of segment.lists) {
+        if (!targets.some((t) => t.listId === segmentListId)) targets.push({ listId: segmentListId, segment: segment.name });
+      }
+    }
+
+    for (const target of targets) {
+      const extra = target.segment ? { listId: target.listId, segment: target.segment } : {};
+      const status = await sendy.getSubscriberStatus(email, target.listId);
+      const normalized = status.success ? status.normalized : null;
+      if (normalized && SKIP_STATUSES.includes(normalized)) {
+        logger.info(`Shopify ${topic}: ${email} is ${normalized} on list ${target.listId}; leaving as is`);
+        outcomes.push({ email, action: 'skipped', reason: normalized, ...extra });
+        continue;
+      }
+
+      logger.info(`Shopify ${topic}: subscribing ${name} (${email}) to list ${target.listId}${target.segment ? ` (segment ${target.segment})` : ''}`);
+      const result = await sendy.subscribe({ email, name, listId: target.listId, ...envSubscribeOptions(), ...params });
+      if (!result.success) throw new SendyError(`Failed to add ${email} to Sendy list ${target.listId}: ${result.message}`, result);
+      outcomes.push({ email, action: 'subscribe', success: true, ...extra });
+    }
+  }
+  return { action: 'processed', listId, contacts: outcomes };
+}
+
+module.exports = {
+  handleShopifyWebhook,
+  verifyShopifyHmac,
+  processShopifyEvent,
+  SUPPORTED_TOPICS
+};
@@ -1,27 +1,113 @@
 const crypto = require('crypto');
-const sendyService = require('../services/sendyService');
+const sendy = require('../clients/sendyClient');
+const { envSubscribeOptions, SendyError } = require('../clients/sendyClient');
+const inbox = require('../services/webhookInbox');
+const eventHistory = require('../services/eventHistory');
+const { processShopifyEvent } = require('./shopifyWebhookHandler');
 const cache = require('../utils/cache');
+const { loadRouting, resolveLists } = require('../utils/routing');
+const { loadFieldMap, mapAnswersToFields } = require('../utils/questionFields');
+const { loadSegments, matchSegments } = require('../utils/segments');
+const { getConsentRule, evaluateConsent } = require('../utils/consent');
+const ConsentStore = require('../utils/consentStore');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+// Calendly recommends rejecting signatures older than 3 minutes
+const DEFAULT_TOLERANCE_SECONDS = 180;
+
+/**
+ * Collect the active signing secrets (current + previous during a rotation)
+ */
+function getWebhookSecrets() {
+  return [process.env.CALENDLY_WEBHOOK_SECRET, process.env.CALENDLY_WEBHOOK_SECRET_PREVIOUS]
+    .map((s) => (s || '').trim())
+    .filter(Boolean);
+}
+
+function isStrictMode() {
+  return String(process.env.CALENDLY_WEBHOOK_STRICT || '').toLowerCase() === 'true';
+}
+
+function getToleranceSeconds() {
+  const parsed = parseInt(process.env.CALENDLY_WEBHOOK_TOLERANCE_SECONDS, 10);
+  return isNaN(parsed) ? DEFAULT_TOLERANCE_SECONDS : parsed;
+}
 
 /**
- * Verify Calendly webhook signature
+ * Parse a `Calendly-Webhook-Signature` header of the form `t=<timestamp>,v1=<hex>`
  */
-function verifyWebhookSignature(payload, signature) {
-  const webhookSecret = process.env.CALENDLY_WEBHOOK_SECRET;
-  if (!webhookSecret) {
+function parseSignatureHeader(header) {
+  if (!header || typeof header !== 'string') return null;
+  const parsed = { timestamp: null, signatures: [] };
+  for (const part of header.split(',')) {
+    const idx = part.indexOf('=');
+    if (idx === -1) continue;
+    const key = part.slice(0, idx).trim();
+    const value = part.slice(idx + 1).trim();
+    if (key === 't') parsed.timestamp = value;
+    if (key === 'v1' && value) parsed.signatures.push(value);
+  }
+  if (!parsed.timestamp || !/^\d+$/.test(parsed.timestamp) || parsed.signatures.length === 0) return null;
+  return parsed;
+}
+
+function computeSignature(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`, 'utf8')
+    .update(Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(String(rawBody || ''), 'utf8'))
+    .digest('hex');
+}
+
+function safeEqualHex(a, b) {
+  const bufA = Buffer.from(a, 'utf8');
+  const bufB = Buffer.from(b, 'utf8');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Verify Calendly webhook signature over `timestamp.rawBody`.
+ * Returns { valid, reason } so callers can log why a request was rejected.
+ */
+function verifyWebhookSignature(rawBody, header, options = {}) {
+  const secrets = options.secrets || getWebhookSecrets();
+  const strict = options.strict !== undefined ? options.strict : isStrictMode();
+  const toleranceSeconds = options.toleranceSeconds !== undefined ? options.toleranceSeconds : getToleranceSeconds();
+  const now = options.now !== undefined ? options.now : Date.now();
+
+  if (secrets.length === 0) {
+    if (strict) return { valid: false, reason: 'no-secret-configured' };
     logger.warn('No webhook secret configured - skipping signature verification');
-    return true;
+    return { valid: true, reason: 'unverified' };
   }
 
-  const expectedSignature = crypto
-    .createHmac('sha256', webhookSecret)
-    .update(payload, 'utf8')
-    .digest('base64');
+  if (!header) {
+    if (strict) return { valid: false, reason: 'missing-signature' };
+    logger.warn('Webhook request is unsigned - accepting because CALENDLY_WEBHOOK_STRICT is not enabled');
+    return { valid: true, reason: 'unsigned' };
+  }
 
-  return crypto.timingSafeEqual(
-    Buffer.from(signature),
-    Buffer.from(expectedSignature)
-  );
+  const parsed = parseSignatureHeader(header);
+  if (!parsed) return { valid: false, reason: 'malformed-signature' };
+
+  const ageSeconds = Math.abs(now / 1000 - parseInt(parsed.timestamp, 10));
+  if (toleranceSeconds > 0 && ageSeconds > toleranceSeconds) {
+    return { valid: false, reason: 'timestamp-outside-tolerance' };
+  }
+
+  const matched = secrets.some((secret) => {
+    const expected = computeSignature(secret, parsed.timestamp, rawBody);
+    return parsed.signatures.some((sig) => safeEqualHex(sig, expected));
+  });
+  if (!matched) return { valid: false, reason: 'signature-mismatch' };
+
+  // Reject exact replays of a request we already accepted inside the tolerance window
+  const replayKey = `webhook-signature:${parsed.timestamp}:${parsed.signatures[0]}`;
+  if (cache.has(replayKey)) return { valid: false, reason: 'replayed' };
+  cache.set(replayKey, true, Math.max(toleranceSeconds, 1) * 2);
+
+  return { valid: true, reason: 'verified' };
 }
 
 /**
@@ -30,26 +116,30 @@ function verifyWebhookSignature(payload, signature) {
 async function handleCalendlyWebhook(req, res) {
   try {
     const signature = req.headers['calendly-webhook-signature'];
-    const payload = JSON.stringify(req.body);
+    const rawBody = req.rawBody !== undefined ? req.rawBody : JSON.stringify(req.body);
 
     // Verify webhook signature
-    if (signature && !verifyWebhookSignature(payload, signature)) {
-      logger.warn('Invalid webhook signature');
+    const verification = verifyWebhookSignature(rawBody, signature);
+    if (!verification.valid) {
+      logger.warn(`Invalid webhook signature (${verification.reason})`);
+      metrics.signatureFailures.inc({ source: 'calendly', reason: verification.reason });
       return res.status(401).json({ error: 'Invalid signature' });
     }
 
-    const { event, payload: eventPayload } = req.body;
-
+    const event = req.body && req.body.event;
+    const inviteeUri = req.body && req.body.payload && req.body.payload.uri;
     logger.info(`Received Calendly webhook: ${event}`);
+    metrics.webhooksReceived.inc({ source: 'calendly', event: event || 'unknown' });
 
-    // Only process invitee.created events (when someone books an appointment)
-    if (event === 'invitee.created') {
-      await processNewInvitee(eventPayload);
-    } else {
-      logger.info(`Ignoring event type: ${event}`);
-    }
+    // Persist before acknowledging; the worker does the Sendy calls and retries
+    const entry = inbox.enqueue({
+      source: 'calendly',
+      event,
+      body: req.body,
+      dedupeKey: inviteeUri ? `calendly:${event}:${inviteeUri}` : null
+    });
 
-    res.status(200).json({ status: 'received' });
+    res.status(200).json({ status: 'received', id: entry.id });
   } catch (error) {
     logger.error('Error processing Calendly webhook:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -57,49 +147,225 @@ async function handleCalendlyWebhook(req, res) {
 }
 
 /**
- * Process new invitee (appointment booking)
+ * Process an inbox entry (called by the webhook worker). Throws so the worker can retry.
  */
-async function processNewInvitee(payload) {
-  try {
-    const invitee = payload;
-    const email = invitee.email;
-    const name = invitee.name;
+async function processQueuedWebhook(entry) {
+  if (entry.source === 'calendly') return processCalendlyEvent(entry.body);
+  if (entry.source === 'shopify') return processShopifyEvent(entry);
+  throw new Error(`Unknown webhook source: ${entry.source}`);
+}
+
+/**
+ * Dispatch a verified Calendly webhook body to the matching processor
+ */
+async function processCalendlyEvent(body) {
+  const { event, payload: eventPayload } = body || {};
 
-    if (!email) {
-      logger.warn('No email found in invitee data');
-      return;
+  if (event === 'invitee.created') {
+    // Rescheduled bookings arrive as a fresh invitee.created with old_invitee set; subscribing again is harmless
+    if (eventPayload && eventPayload.old_invitee) {
+      logger.info(`Invitee ${eventPayload.email} rescheduled from ${eventPayload.old_invitee}`);
     }
+    return processNewInvitee(eventPayload);
+  }
+  if (event === 'invitee.canceled') {
+    return processCanceledInvitee(eventPayload);
+  }
 
-    // Check cache to prevent duplicate processing
-    const cacheKey = `processed:${email}:${invitee.created_at}`;
-    if (cache.has(cacheKey)) {
-      logger.info(`Already processed invitee: ${email}`);
-      return;
+  logger.info(`Ignoring event type: ${event}`);
+  return { action: 'ignored' };
+}
+
+/**
+ * Sendy lists for an invitee, from the routing file (by event type / name) or SENDY_LIST_ID
+ */
+function resolveInviteeLists(invitee) {
+  const scheduled = invitee.scheduled_event || {};
+  const { lists, matchedBy } = resolveLists(
+    loadRouting(),
+    { eventType: scheduled.event_type, eventName: scheduled.name },
+    process.env.SENDY_LIST_ID
+  );
+  if (!lists.length) {
+    throw new Error('No Sendy list configured: set SENDY_LIST_ID or a default in the routing file');
+  }
+  logger.debug(`Routing ${invitee.email} (${scheduled.name || 'unknown event'}) via ${matchedBy} → ${lists.join(', ')}`);
+  return lists;
+}
+
+/**
+ * Extra lists from segment rules. The booking count is this booking plus the earlier ones the
+ * webhook worker processed for the same email (as far back as the event history goes).
+ */
+function resolveSegmentLists(invitee) {
+  const segments = loadSegments();
+  if (!segments) return [];
+  const scheduled = invitee.scheduled_event || {};
+  const email = String(invitee.email).toLowerCase().trim();
+  const earlier = new Set(eventHistory.forEmail(email)
+    .filter((r) => r.source === 'calendly' && r.event === 'invitee.created' && r.status === 'done')
+    .map((r) => r.id));
+  const facts = {
+    source: 'calendly',
+    email,
+    name: invitee.name || '',
+    bookings: earlier.size + 1,
+    last_booking: invitee.created_at || null,
+    event: scheduled.name || null,
+    event_type: scheduled.event_type || null,
+    events: scheduled.name ? [scheduled.name] : []
+  };
+  const matched = matchSegments(segments, facts);
+  if (matched.length) logger.debug(`Segments for ${email}: ${matched.map((s) => s.name).join(', ')}`);
+  return matched.flatMap((s) => s.lists);
+}
+
+// Replies that mean a canceled booker is already off the list; common for bookers who were never subscribed
+const ALREADY_GONE_CODES = ['NOT_IN_LIST', 'ALREADY_UNSUBSCRIBED'];
+
+const isGone = (result) => result.success || ALREADY_GONE_CODES.includes(result.code);
+
+/**
+ * Resolve the configured cancellation action: none | unsubscribe | move
+ */
+function getCancelAction() {
+  const action = String(process.env.CALENDLY_CANCEL_ACTION || 'none').toLowerCase().trim();
+  if (['none', 'unsubscribe', 'move'].includes(action)) return action;
+  logger.warn(`Unknown CALENDLY_CANCEL_ACTION "${action}" - treating as "none"`);
+  return 'none';
+}
+
+/**
+ * Process a canceled invitee. Reschedules (rescheduled: true + new_invitee) are not churn and are left alone.
+ */
+async function processCanceledInvitee(payload) {
+  const invitee = payload || {};
+  const email = invitee.email;
+
+  if (!email) {
+    logger.warn('No email found in canceled invitee data');
+    return { action: 'skipped', reason: 'no-email' };
+  }
+
+  if (invitee.rescheduled || invitee.new_invitee) {
+    logger.info(`Cancellation for ${email} is part of a reschedule (new invitee: ${invitee.new_invitee || 'unknown'}); keeping subscription`);
+    return { action: 'skipped', reason: 'rescheduled' };
+  }
+
+  const action = getCancelAction();
+  if (action === 'none') {
+    logger.info(`Invitee ${email} canceled; CALENDLY_CANCEL_ACTION=none so Sendy is left unchanged`);
+    return { action: 'none' };
+  }
+
+  const lists = resolveInviteeLists(invitee);
+
+  if (action === 'unsubscribe') {
+    for (const listId of lists) {
+      logger.info(`Invitee ${email} canceled; unsubscribing from list ${listId}`);
+      const result = await sendy.unsubscribe({ email, listId });
+      if (!isGone(result)) throw new SendyError(`Failed to unsubscribe ${email} from Sendy list ${listId}: ${result.message}`, result);
     }
+    return { action: 'unsubscribe', success: true, lists };
+  }
 
-    logger.info(`Processing new invitee: ${name} (${email})`);
+  // move: put them on the cancelled list first, then remove them from the booking's lists
+  const cancelledListId = process.env.SENDY_CANCELLED_LIST_ID;
+  if (!cancelledListId) {
+    throw new Error('CALENDLY_CANCEL_ACTION=move requires SENDY_CANCELLED_LIST_ID');
+  }
 
-    // Add to Sendy
-    const result = await sendyService.addSubscriber({
-      email,
-      name,
-      listId: process.env.SENDY_LIST_ID
+  // The cancelled list is a mailing list too: only bookers who ticked the opt-in question join it
+  const consent = evaluateConsent(invitee.questions_and_answers, getConsentRule());
+  if (!consent.consented) {
+    logger.info(`Invitee ${email} canceled without opting in; removing from list(s) ${lists.join(', ')} without adding to ${cancelledListId}`);
+  } else {
+    logger.info(`Invitee ${email} canceled; moving from list(s) ${lists.join(', ')} to ${cancelledListId}`);
+    const added = await sendy.subscribe({ email, name: invitee.name, listId: cancelledListId, ...envSubscribeOptions() });
+    if (!added.success) {
+      throw new SendyError(`Failed to add ${email} to cancelled list: ${added.message}`, added);
+    }
+  }
+  for (const listId of lists) {
+    const removed = await sendy.deleteSubscriber({ email, listId });
+    if (!isGone(removed)) throw new SendyError(`Failed to remove ${email} from list ${listId}: ${removed.message}`, removed);
+  }
+  return { action: 'move', success: true, lists, ...(consent.consented ? {} : { reason: 'no-consent' }) };
+}
+
+/**
+ * Process new invitee (appointment booking). Throws when Sendy rejects the subscribe so the
+ * worker can retry instead of losing the booking.
+ */
+async function processNewInvitee(payload) {
+  const invitee = payload || {};
+  const email = invitee.email;
+  const name = invitee.name;
+
+  if (!email) {
+    logger.warn('No email found in invitee data');
+    return { action: 'skipped', reason: 'no-email' };
+  }
+
+  // Only subscribe bookers who ticked the opt-in question (when a consent rule is configured)
+  const consentRule = getConsentRule();
+  const consent = evaluateConsent(invitee.questions_and_answers, consentRule);
+  if (!consent.consented) {
+    logger.info(`Invitee ${email} did not opt in (${consent.answer ? `answered "${consent.answer}"` : 'no consent answer'}); not subscribing`);
+    return { action: 'skipped', reason: 'no-consent' };
+  }
+  if (consentRule) {
+    const consentStore = new ConsentStore();
+    consentStore.record(email, {
+      question: consent.question,
+      answer: consent.answer,
+      consentedAt: invitee.created_at,
+      source: 'calendly',
+      event: invitee.scheduled_event ? invitee.scheduled_event.name : null
     });
+    consentStore.save();
+  }
+
+  const lists = Array.from(new Set([...resolveInviteeLists(invitee), ...resolveSegmentLists(invitee)]));
+  const fields = mapAnswersToFields(invitee.questions_and_answers, loadFieldMap());
+  // Same options as the batch sync: the booked event as referrer, and gdpr once the consent rule passed
+  const eventName = invitee.scheduled_event ? invitee.scheduled_event.name : null;
+  const options = { ...envSubscribeOptions(), referrer: eventName ? `calendly:${eventName}` : 'calendly', ...(consentRule ? { gdpr: true } : {}) };
+  logger.info(`Processing new invitee: ${name} (${email}) → list(s) ${lists.join(', ')}`);
 
-    if (result.success) {
-      // Cache successful processing
-      cache.set(cacheKey, true);
-      logger.info(`Successfully added ${email} to Sendy list`);
-    } else {
-      logger.error(`Failed to add ${email} to Sendy:`, result.message);
+  let processed = 0;
+  for (const listId of lists) {
+    // Check cache to prevent duplicate processing (per list, so a retry skips lists that already succeeded)
+    const cacheKey = `processed:${listId}:${email}:${invitee.created_at}`;
+    if (cache.has(cacheKey)) {
+      logger.info(`Already processed invitee ${email} for list ${listId}`);
+      continue;
     }
-  } catch (error) {
-    logger.error('Error processing new invitee:', error);
+
+    // Add to Sendy
+    const result = await sendy.subscribe({ email, name, listId, fields, ...options });
+
+    if (!result.success) {
+      throw new SendyError(`Failed to add ${email} to Sendy list ${listId}: ${result.message}`, result);
+    }
+
+    // Cache successful processing
+    cache.set(cacheKey, true);
+    processed++;
+    logger.info(`Successfully added ${email} to Sendy list ${listId}`);
   }
+
+  if (processed === 0) return { action: 'skipped', reason: 'duplicate', lists };
+  return { action: 'subscribe', success: true, lists };
 }
 
 module.exports = {
   handleCalendlyWebhook,
   verifyWebhookSignature,
-  processNewInvitee
+  parseSignatureHeader,
+  computeSignature,
+  processQueuedWebhook,
+  processCalendlyEvent,
+  processNewInvitee,
+  processCanceledInvitee
 };
\ No newline at end of file
@@ -2,6 +2,7 @@
 require('dotenv').config();
 const calendly = require('../clients/calendlyClient');
 const logger = require('../utils/logger');
+const EventInviteeCache = require('../utils/eventCache');
 
 function bucketByDay(invitees) {
   const buckets = {};
@@ -43,10 +44,16 @@ async function run() {
     if (a.startsWith('--since=')) opts.since = a.split('=')[1];
     if (a.startsWith('--until=')) opts.until = a.split('=')[1];
     if (a.startsWith('--top=')) opts.limit = parseInt(a.split('=')[1], 10);
+    if (a === '--refresh-events') opts.refreshEvents = true;
   }
 
   logger.info('Fetching events and invitees for analytics...');
-  const invitees = await calendly.listInviteesAcrossEvents({ since: opts.since, until: opts.until });
+  const invitees = await calendly.listInviteesAcrossEvents({
+    since: opts.since,
+    until: opts.until,
+    eventCache: new EventInviteeCache(),
+    refreshEvents: !!opts.refreshEvents
+  });
 
   const dayBuckets = bucketByDay(invitees);
   const hourBuckets = bucketByHour(invitees);
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const TokenStore = require('../utils/tokenStore');
+const { readAudit, getAuditLogPath } = require('../utils/auditLog');
+const logger = require('../utils/logger');
+
+// Usage:
+//   node src/scripts/api_tokens.js create --name=<name> --scopes=read:events,run:sync [--expires-in-days=90]
+//   node src/scripts/api_tokens.js list [--all] [--format=json|table]
+//   node src/scripts/api_tokens.js revoke <id|name>
+//   node src/scripts/api_tokens.js audit [--token=<id>] [--limit=50] [--format=json|table]
+
+async function run() {
+  const args = process.argv.slice(2).filter((a) => a !== 'tokens');
+  const positional = [];
+  const opts = { action: 'list', target: null, name: null, scopes: null, expiresInDays: null, all: false, format: 'table', token: null, limit: 50 };
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a.startsWith('--name=')) { opts.name = a.slice('--name='.length); continue; }
+    if (a.startsWith('--scopes=')) { opts.scopes = a.split('=')[1]; continue; }
+    if (a.startsWith('--expires-in-days=')) { opts.expiresInDays = parseInt(a.split('=')[1], 10); continue; }
+    if (a.startsWith('--format=')) { opts.format = a.split('=')[1]; continue; }
+    if (a.startsWith('--token=')) { opts.token = a.split('=')[1]; continue; }
+    if (a.startsWith('--limit=')) { opts.limit = parseInt(a.split('=')[1], 10); continue; }
+
+    if (a === '--name' && args[i+1]) { opts.name = args[i+1]; i++; continue; }
+    if (a === '--scopes' && args[i+1]) { opts.scopes = args[i+1]; i++; continue; }
+    if (a === '--expires-in-days' && args[i+1]) { opts.expiresInDays = parseInt(args[i+1], 10); i++; continue; }
+    if (a === '--format' && args[i+1]) { opts.format = args[i+1]; i++; continue; }
+    if (a === '--token' && args[i+1]) { opts.token = args[i+1]; i++; continue; }
+    if (a === '--limit' && args[i+1]) { opts.limit = parseInt(args[i+1], 10); i++; continue; }
+
+    if (a === '--all') { opts.all = true; continue; }
+    if (!a.startsWith('--')) positional.push(a);
+  }
+  if (positional[0]) opts.action = positional[0];
+  if (positional[1]) opts.target = positional[1];
+
+  const store = new TokenStore();
+
+  if (opts.action === 'create') {
+    if (!opts.name || !opts.scopes) {
+      throw new Error(`Usage: tokens create --name <name> --scopes <${TokenStore.SCOPES.join(',')}> [--expires-in-days <n>]`);
+    }
+    const expiresAt = opts.expiresInDays ? new Date(Date.now() + opts.expiresInDays * 86400000).toISOString() : null;
+    const { token, record } = store.create({ name: opts.name, scopes: opts.scopes, expiresAt });
+    logger.info(`Created token ${record.id} "${record.name}" with scopes ${record.scopes.join(', ')}${expiresAt ? `, expires ${expiresAt}` : ''}`);
+    logger.info('Copy it now; only its hash is stored:');
+    console.log(token);
+    return;
+  }
+
+  if (opts.action === 'list') {
+    const rows = store.list({ includeRevoked: opts.all }).map((t) => ({ ...t, scopes: t.scopes.join(',') }));
+    if (opts.format === 'json') {
+      console.log(JSON.stringify(rows, null, 2));
+    } else if (rows.length) {
+      console.table(rows);
+    }
+    logger.info(`${rows.length} token(s) in ${store.filePath}`);
+    return;
+  }
+
+  if (opts.action === 'revoke') {
+    if (!opts.target) throw new Error('Usage: tokens revoke <id|name>');
+    const revoked = store.revoke(opts.target);
+    if (!revoked) throw new Error(`No active token with id or name "${opts.target}"`);
+    logger.info(`Revoked token ${revoked.id} "${revoked.name}"`);
+    return;
+  }
+
+  if (opts.action === 'audit') {
+    const rows = readAudit({ limit: opts.limit, tokenId: opts.token });
+    if (opts.format === 'json') {
+      console.log(JSON.stringify(rows, null, 2));
+    } else if (rows.length) {
+      console.table(rows);
+    }
+    logger.info(`${rows.length} audit entr${rows.length === 1 ? 'y' : 'ies'} from ${getAuditLogPath()}`);
+    return;
+  }
+
+  throw new Error(`Unknown action "${opts.action}". Use create, list, revoke or audit.`);
+}
+
+run().catch((err) => {
+  logger.error('Tokens command failed:', err.message);
+  process.exit(1);
+});
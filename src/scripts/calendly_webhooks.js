@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const calendly = require('../clients/calendlyClient');
+const { normalizeUrl, classifySubscriptions, toRow } = require('../utils/webhookSubscriptions');
+const logger = require('../utils/logger');
+
+// Usage:
+//   node src/scripts/calendly_webhooks.js list   [--scope=user|organization] [--url=<callback>] [--format=json|table]
+//   node src/scripts/calendly_webhooks.js create --url=<callback> [--events=invitee.created,invitee.canceled] [--signing-key=<key>] [--force]
+//   node src/scripts/calendly_webhooks.js delete <uuid> | --stale | --duplicates [--dry-run]
+//
+// Subscriptions are flagged stale, duplicate or current (see utils/webhookSubscriptions).
+
+const DEFAULT_EVENTS = ['invitee.created', 'invitee.canceled'];
+
+async function run() {
+  const args = process.argv.slice(2).filter((a) => a !== 'webhooks');
+  const positional = [];
+  const opts = {
+    action: 'list',
+    id: null,
+    scope: 'user',
+    url: process.env.CALENDLY_WEBHOOK_URL || null,
+    events: DEFAULT_EVENTS,
+    signingKey: process.env.CALENDLY_WEBHOOK_SECRET || null,
+    format: 'table',
+    force: false,
+    stale: false,
+    duplicates: false,
+    dryRun: false
+  };
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a.startsWith('--scope=')) { opts.scope = a.split('=')[1]; continue; }
+    if (a.startsWith('--url=')) { opts.url = a.slice('--url='.length); continue; }
+    if (a.startsWith('--events=')) { opts.events = a.split('=')[1].split(',').map((e) => e.trim()).filter(Boolean); continue; }
+    if (a.startsWith('--signing-key=')) { opts.signingKey = a.slice('--signing-key='.length); continue; }
+    if (a.startsWith('--format=')) { opts.format = a.split('=')[1]; continue; }
+
+    if (a === '--scope' && args[i+1]) { opts.scope = args[i+1]; i++; continue; }
+    if (a === '--url' && args[i+1]) { opts.url = args[i+1]; i++; continue; }
+    if (a === '--events' && args[i+1]) { opts.events = args[i+1].split(',').map((e) => e.trim()).filter(Boolean); i++; continue; }
+    if (a === '--signing-key' && args[i+1]) { opts.signingKey = args[i+1]; i++; continue; }
+    if (a === '--format' && args[i+1]) { opts.format = args[i+1]; i++; continue; }
+
+    if (a === '--force') { opts.force = true; continue; }
+    if (a === '--stale') { opts.stale = true; continue; }
+    if (a === '--duplicates') { opts.duplicates = true; continue; }
+    if (a === '--dry-run') { opts.dryRun = true; continue; }
+    if (!a.startsWith('--')) positional.push(a);
+  }
+  if (positional[0]) opts.action = positional[0];
+  if (positional[1]) opts.id = positional[1];
+
+  if (!['user', 'organization'].includes(opts.scope)) {
+    throw new Error(`Invalid --scope "${opts.scope}" (use user or organization)`);
+  }
+
+  const subscriptions = await calendly.listWebhookSubscriptions({ scope: opts.scope });
+  const classified = classifySubscriptions(subscriptions, opts.url);
+
+  if (opts.action === 'list') {
+    const rows = classified.map(toRow);
+    if (opts.format === 'json') {
+      console.log(JSON.stringify(rows, null, 2));
+    } else if (rows.length) {
+      console.table(rows.map(({ created_at, retry_started_at, ...r }) => r));
+    }
+    const stale = classified.filter((c) => c.flags.includes('stale')).length;
+    const dupes = classified.filter((c) => c.flags.includes('duplicate')).length;
+    logger.info(`${rows.length} ${opts.scope}-scope subscription(s); ${stale} stale, ${dupes} duplicate.${opts.url ? '' : ' Pass --url (or set CALENDLY_WEBHOOK_URL) to detect stale URLs.'}`);
+    if (stale || dupes) logger.info('Remove them with: calendly-sendy webhooks delete --stale --duplicates');
+    return;
+  }
+
+  if (opts.action === 'create') {
+    if (!opts.url) throw new Error('--url (or CALENDLY_WEBHOOK_URL) is required to create a subscription');
+    const existing = classified.find((c) => normalizeUrl(c.sub.callback_url) === normalizeUrl(opts.url) && c.sub.state === 'active');
+    if (existing && !opts.force) {
+      throw new Error(`An active subscription already targets ${opts.url} (${toRow(existing).uuid}). Use --force to create another.`);
+    }
+    if (!opts.signingKey) {
+      logger.warn('No signing key given (--signing-key or CALENDLY_WEBHOOK_SECRET); Calendly will generate one you cannot retrieve later.');
+    }
+    const created = await calendly.createWebhookSubscription({
+      url: opts.url,
+      events: opts.events,
+      scope: opts.scope,
+      signingKey: opts.signingKey
+    });
+    logger.info(`Created ${opts.scope}-scope webhook subscription for ${opts.events.join(', ')} → ${opts.url}`);
+    console.log(JSON.stringify(toRow({ sub: created, flags: ['current'] }), null, 2));
+    const stale = classified.filter((c) => c.flags.includes('stale'));
+    if (stale.length) logger.warn(`${stale.length} stale subscription(s) still exist; run: calendly-sendy webhooks delete --stale`);
+    return;
+  }
+
+  if (opts.action === 'delete') {
+    let targets;
+    if (opts.id) {
+      targets = classified.filter((c) => toRow(c).uuid === String(opts.id).split('/').pop());
+      if (!targets.length) throw new Error(`No ${opts.scope}-scope subscription with id ${opts.id}`);
+    } else if (opts.stale || opts.duplicates) {
+      targets = classified.filter((c) => (opts.stale && c.flags.includes('stale')) || (opts.duplicates && c.flags.includes('duplicate')));
+    } else {
+      throw new Error('Usage: webhooks delete <uuid> | --stale | --duplicates');
+    }
+
+    if (!targets.length) {
+      logger.info('Nothing to delete.');
+      return;
+    }
+    for (const target of targets) {
+      const row = toRow(target);
+      if (opts.dryRun) {
+        logger.info(`[dry-run] Would delete ${row.uuid} → ${row.callback_url} (${row.flags || 'selected'})`);
+        continue;
+      }
+      await calendly.deleteWebhookSubscription(target.sub.uri);
+      logger.info(`Deleted ${row.uuid} → ${row.callback_url} (${row.flags || 'selected'})`);
+    }
+    return;
+  }
+
+  throw new Error(`Unknown action "${opts.action}". Use list, create or delete.`);
+}
+
+run().catch((err) => {
+  logger.error('Calendly webhooks command failed:', err.message);
+  process.exit(1);
+});
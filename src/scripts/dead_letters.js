@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const inbox = require('../services/webhookInbox');
+const logger = require('../utils/logger');
+
+// Usage:
+//   node src/scripts/dead_letters.js list [--all] [--format=json|table]
+//   node src/scripts/dead_letters.js show <id>
+//   node src/scripts/dead_letters.js replay <id>|--all
+
+function summarize(letter) {
+  return {
+    id: letter.id,
+    source: letter.source,
+    event: letter.event,
+    email: letter.body && letter.body.payload ? letter.body.payload.email || null : null,
+    attempts: letter.attempts,
+    failedAt: letter.failedAt,
+    lastError: letter.lastError,
+    replayedAt: letter.replayedAt
+  };
+}
+
+async function run() {
+  const args = process.argv.slice(2).filter((a) => a !== 'deadletters');
+  const positional = [];
+  const opts = { action: 'list', id: null, all: false, format: 'table' };
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--all') { opts.all = true; continue; }
+    if (a.startsWith('--format=')) { opts.format = a.split('=')[1]; continue; }
+    if (a.startsWith('--id=')) { opts.id = a.split('=')[1]; continue; }
+    if (a === '--format' && args[i+1]) { opts.format = args[i+1]; i++; continue; }
+    if (!a.startsWith('--')) positional.push(a);
+  }
+  if (positional[0]) opts.action = positional[0];
+  if (positional[1]) opts.id = positional[1];
+
+  logger.info(`Using webhook inbox: ${inbox.dir}`);
+
+  if (opts.action === 'list') {
+    const letters = inbox.listDeadLetters().filter((l) => opts.all || !l.replayedAt);
+    const rows = letters.map(summarize);
+    if (opts.format === 'json') {
+      console.log(JSON.stringify(rows, null, 2));
+    } else if (rows.length) {
+      console.table(rows.map((r) => ({ ...r, id: r.id.slice(0, 8), lastError: String(r.lastError || '').slice(0, 60) })));
+    }
+    logger.info(`${rows.length} dead letter(s)${opts.all ? '' : ' awaiting replay'}; ${inbox.pending().length} event(s) pending in inbox.`);
+    return;
+  }
+
+  if (opts.action === 'show') {
+    if (!opts.id) throw new Error('Usage: deadletters show <id>');
+    const letter = inbox.getDeadLetter(opts.id);
+    if (!letter) throw new Error(`No dead letter found for id ${opts.id}`);
+    console.log(JSON.stringify(letter, null, 2));
+    return;
+  }
+
+  if (opts.action === 'replay') {
+    const targets = opts.all
+      ? inbox.listDeadLetters().filter((l) => !l.replayedAt)
+      : [inbox.getDeadLetter(opts.id || '')].filter(Boolean);
+    if (!opts.all && !opts.id) throw new Error('Usage: deadletters replay <id> | --all');
+    if (!targets.length) throw new Error(opts.all ? 'No dead letters awaiting replay' : `No dead letter found for id ${opts.id}`);
+    for (const letter of targets) {
+      const entry = inbox.replayDeadLetter(letter.id);
+      logger.info(`Re-queued ${letter.id} (${letter.event}) as ${entry.id}; the server's webhook worker will process it.`);
+    }
+    return;
+  }
+
+  throw new Error(`Unknown action "${opts.action}". Use list, show or replay.`);
+}
+
+run().catch((err) => {
+  logger.error('Dead letter command failed:', err.message);
+  process.exit(1);
+});
@@ -5,6 +5,7 @@ const path = require('path');
 const csvWriter = require('csv-writer').createObjectCsvWriter;
 const calendly = require('../clients/calendlyClient');
 const logger = require('../utils/logger');
+const EventInviteeCache = require('../utils/eventCache');
 
 async function run() {
   const args = process.argv.slice(2);
@@ -14,12 +15,18 @@ async function run() {
     if (a.startsWith('--until=')) opts.until = a.split('=')[1];
     if (a.startsWith('--output=')) opts.output = a.split('=')[1];
     if (a.startsWith('--format=')) opts.format = a.split('=')[1];
+    if (a === '--refresh-events') opts.refreshEvents = true;
   }
 
   opts.format = opts.format || 'json';
 
   logger.info('Fetching invitees from Calendly...');
-  const invitees = await calendly.listInviteesAcrossEvents({ since: opts.since, until: opts.until });
+  const invitees = await calendly.listInviteesAcrossEvents({
+    since: opts.since,
+    until: opts.until,
+    eventCache: new EventInviteeCache(),
+    refreshEvents: !!opts.refreshEvents
+  });
 
   // Normalize and dedupe by email - keep latest created_at
   const map = new Map();
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const cache = require('../utils/cache');
+const Reconciler = require('../sync/reconcile');
+const { renderReport, STATUS_GROUPS } = require('../sync/reconcile');
+const SendySink = require('../sync/sinks/sendySink');
+const CalendlySource = require('../sync/sources/calendlySource');
+const ShopifySource = require('../sync/sources/shopifySource');
+const { parseSyncArgs } = require('../sync/args');
+const logger = require('../utils/logger');
+
+// Usage:
+//   node src/scripts/reconcile.js [--sources calendly,shopify] [--list-id <id>[,<id>...]]
+//     [--since/--from ...] [--until/--to ...] [--format json|csv|html] [--output <path>]
+
+const SOURCES = { calendly: CalendlySource, shopify: ShopifySource };
+
+const FLAGS = {
+  ...CalendlySource.FLAGS,
+  ...ShopifySource.FLAGS,
+  '--sources': { key: 'sources', type: 'value' },
+  '--format': { key: 'format', type: 'value' },
+  '--output': { key: 'output', type: 'value' }
+};
+
+async function run() {
+  const opts = parseSyncArgs(process.argv.slice(2), {
+    flags: FLAGS,
+    defaults: { ...CalendlySource.DEFAULTS, ...ShopifySource.DEFAULTS, sources: 'calendly', format: 'json', output: null }
+  });
+  const format = String(opts.format).toLowerCase();
+  if (!['json', 'csv', 'html'].includes(format)) throw new Error(`Unknown format "${opts.format}". Use json, csv or html.`);
+
+  const names = String(opts.sources).split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const unknown = names.filter(n => !SOURCES[n]);
+  if (!names.length || unknown.length) throw new Error(`Unknown source(s) "${unknown.join(', ') || opts.sources}". Use calendly, shopify or both.`);
+
+  // --list-id may name several lists; every contact is checked against each of them
+  const lists = opts.listId ? String(opts.listId).split(',').map(s => s.trim()).filter(Boolean) : [];
+  if (lists.length) opts.listId = lists[0];
+
+  const reconciler = new Reconciler({ sources: names.map(n => new SOURCES[n]()), sink: new SendySink(), opts, lists });
+  const report = await reconciler.run();
+
+  const out = opts.output || path.join(process.cwd(), `reconcile_report_${Date.now()}.${format}`);
+  fs.writeFileSync(out, renderReport(report, format));
+  logger.info(`📊 ${STATUS_GROUPS.filter(g => report.totals[g]).map(g => `${g}: ${report.totals[g]}`).join(', ') || 'no contacts found'}`);
+  logger.info(`📝 Reconciliation report written to ${out}`);
+}
+
+run()
+  .then(() => {
+    if (typeof cache.shutdown === 'function') cache.shutdown();
+    process.exit(0);
+  })
+  .catch((err) => {
+    logger.error('Error in reconcile:', err.message);
+    if (typeof cache.shutdown === 'function') cache.shutdown();
+    process.exit(1);
+  });
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const cache = require('../utils/cache');
+const CalendlySource = require('../sync/sources/calendlySource');
+const ShopifySource = require('../sync/sources/shopifySource');
+const { parseSyncArgs } = require('../sync/args');
+const { loadSegments, applySegments } = require('../utils/segments');
+const logger = require('../utils/logger');
+
+// Usage:
+//   node src/scripts/segments.js preview [--sources calendly,shopify] [--segments-file <path>]
+//     [--since/--from ...] [--until/--to ...] [--format table|json]
+// Fetches contacts like a sync would and shows how many match each segment. Never calls Sendy.
+
+const SOURCES = { calendly: CalendlySource, shopify: ShopifySource };
+
+const FLAGS = {
+  ...CalendlySource.FLAGS,
+  ...ShopifySource.FLAGS,
+  '--sources': { key: 'sources', type: 'value' },
+  '--format': { key: 'format', type: 'value' }
+};
+
+// Reading contacts for a preview does not need checkpointing
+const NO_CHECKPOINT = { save() {}, maybeSave() {} };
+
+async function preview(opts) {
+  const segments = loadSegments(opts.segmentsFile);
+  if (!segments) throw new Error('No segments file found. Create sendy-segments.json, or pass --segments-file / set SENDY_SEGMENTS_FILE.');
+  logger.info(`🧩 Previewing ${segments.segments.length} segment(s) from ${segments.filePath}`);
+
+  const names = String(opts.sources).split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const unknown = names.filter(n => !SOURCES[n]);
+  if (!names.length || unknown.length) throw new Error(`Unknown source(s) "${unknown.join(', ') || opts.sources}". Use calendly, shopify or both.`);
+
+  const rows = segments.segments.map(s => ({ segment: s.name, lists: s.lists.join(', '), matched: 0, bySource: {}, sample: [] }));
+  const totals = {};
+  for (const name of names) {
+    const source = new SOURCES[name]();
+    const sourceOpts = { ...opts };
+    source.prepare(sourceOpts);
+    const state = {};
+    await source.fetch(state, { opts: sourceOpts, window: { incrementalSince: null }, checkpoint: NO_CHECKPOINT });
+    const records = source.records(state);
+    const contacts = source.contacts(records);
+    const { contacts: segmented, matches } = applySegments(segments, contacts, source.profiles(records), source.name);
+    totals[name] = { contacts: new Set(contacts.map(c => c.email)).size, extraListPairs: segmented.length - contacts.length };
+    for (const row of rows) {
+      const emails = matches[row.segment];
+      row.matched += emails.length;
+      row.bySource[name] = emails.length;
+      row.sample.push(...emails.slice(0, 5 - row.sample.length));
+    }
+  }
+  return { file: segments.filePath, sources: names, totals, segments: rows };
+}
+
+async function run() {
+  const args = process.argv.slice(2).filter((a) => a !== 'segments');
+  const action = args[0] && !args[0].startsWith('--') ? args.shift() : 'preview';
+  if (action !== 'preview') throw new Error(`Unknown action "${action}". Usage: segments preview [options]`);
+  const opts = parseSyncArgs(args, {
+    flags: FLAGS,
+    defaults: { ...CalendlySource.DEFAULTS, ...ShopifySource.DEFAULTS, sources: 'calendly', format: 'table' }
+  });
+
+  const result = await preview(opts);
+  if (opts.format === 'json') {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  console.table(result.segments.map(({ segment, lists, matched, bySource }) => ({ segment, lists, matched, ...bySource })));
+  for (const [name, t] of Object.entries(result.totals)) {
+    logger.info(`${name}: ${t.contacts} contact(s); segments would add ${t.extraListPairs} contact/list pair(s)`);
+  }
+}
+
+run()
+  .then(() => {
+    if (typeof cache.shutdown === 'function') cache.shutdown();
+    process.exit(0);
+  })
+  .catch((err) => {
+    logger.error('Error in segments:', err.message);
+    if (typeof cache.shutdown === 'function') cache.shutdown();
+    process.exit(1);
+  });
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const fs = require('fs');
+const sendy = require('../clients/sendyClient');
+const { CAMPAIGN_MODES } = require('../clients/sendyClient');
+const { parseSyncArgs } = require('../sync/args');
+const logger = require('../utils/logger');
+
+// Usage:
+//   node src/scripts/sendy_campaign.js --subject <text> --html-file <path> [--plain-file <path>] [--title <text>]
+//     [--mode draft|schedule|send] [--list-ids <id,...>] [--segment-ids <id,...>]
+//     [--exclude-list-ids <id,...>] [--exclude-segment-ids <id,...>] [--brand-id <id>]
+//     [--schedule-at "<date time>"] [--timezone <tz>] [--from-name ...] [--from-email ...] [--reply-to ...]
+//     [--query-string ...] [--track-opens 0|1|2] [--track-clicks 0|1|2]
+// The default mode is draft: the campaign is saved under the brand and nothing is sent.
+
+const FLAGS = {
+  '--mode': { key: 'mode', type: 'value' },
+  '--title': { key: 'title', type: 'value' },
+  '--subject': { key: 'subject', type: 'value' },
+  '--html-file': { key: 'htmlFile', type: 'value' },
+  '--plain-file': { key: 'plainFile', type: 'value' },
+  '--from-name': { key: 'fromName', type: 'value' },
+  '--from-email': { key: 'fromEmail', type: 'value' },
+  '--reply-to': { key: 'replyTo', type: 'value' },
+  '--list-ids': { key: 'listIds', type: 'value' },
+  '--segment-ids': { key: 'segmentIds', type: 'value' },
+  '--exclude-list-ids': { key: 'excludeListIds', type: 'value' },
+  '--exclude-segment-ids': { key: 'excludeSegmentIds', type: 'value' },
+  '--brand-id': { key: 'brandId', type: 'value' },
+  '--schedule-at': { key: 'scheduleAt', type: 'value' },
+  '--timezone': { key: 'timezone', type: 'value' },
+  '--query-string': { key: 'queryString', type: 'value' },
+  '--track-opens': { key: 'trackOpens', type: 'value' },
+  '--track-clicks': { key: 'trackClicks', type: 'value' }
+};
+
+const readFile = (file) => (file ? fs.readFileSync(file, 'utf8') : undefined);
+
+async function run() {
+  const opts = parseSyncArgs(process.argv.slice(2), { flags: FLAGS, defaults: { mode: 'draft' } });
+  if (!CAMPAIGN_MODES.includes(opts.mode)) throw new Error(`Unknown mode "${opts.mode}". Use ${CAMPAIGN_MODES.join(', ')}.`);
+  if (!opts.htmlFile) throw new Error('No campaign body provided. Use --html-file.');
+
+  const res = await sendy.createCampaign({
+    mode: opts.mode,
+    title: opts.title,
+    subject: opts.subject,
+    htmlText: readFile(opts.htmlFile),
+    plainText: readFile(opts.plainFile),
+    // undefined keeps the client's env defaults
+    fromName: opts.fromName || undefined,
+    fromEmail: opts.fromEmail || undefined,
+    replyTo: opts.replyTo,
+    listIds: opts.listIds,
+    segmentIds: opts.segmentIds,
+    excludeListIds: opts.excludeListIds,
+    excludeSegmentIds: opts.excludeSegmentIds,
+    brandId: opts.brandId || undefined,
+    scheduleAt: opts.scheduleAt,
+    timezone: opts.timezone,
+    queryString: opts.queryString,
+    trackOpens: opts.trackOpens,
+    trackClicks: opts.trackClicks
+  });
+  console.log(JSON.stringify({ success: res.success, mode: res.mode, message: res.message }, null, 2));
+  return res.success;
+}
+
+run()
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((err) => {
+    logger.error('Error creating Sendy campaign:', err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const sendy = require('../clients/sendyClient');
+const { parseSyncArgs } = require('../sync/args');
+const logger = require('../utils/logger');
+
+// Usage:
+//   node src/scripts/sendy_subscriber.js unsubscribe --email <email>[,<email>...] [--list-id <id>]
+//   node src/scripts/sendy_subscriber.js delete --email <email>[,<email>...] [--list-id <id>]
+// unsubscribe keeps the subscriber marked as unsubscribed; delete removes them from the list for good.
+
+const ACTIONS = {
+  unsubscribe: (email, listId) => sendy.unsubscribe({ email, listId }),
+  delete: (email, listId) => sendy.deleteSubscriber({ email, listId })
+};
+
+async function run() {
+  // The CLI runs this as `sendy-unsubscribe` / `sendy-delete`
+  const args = process.argv.slice(2);
+  const action = args[0] && !args[0].startsWith('--') ? args.shift().replace(/^sendy-/, '') : null;
+  if (!ACTIONS[action]) throw new Error(`Unknown action "${action || ''}". Use unsubscribe or delete.`);
+  const opts = parseSyncArgs(args, {
+    flags: { '--email': { key: 'email', type: 'value' } },
+    defaults: { email: null, listId: process.env.SENDY_LIST_ID }
+  });
+
+  const emails = String(opts.email || '').split(',').map(e => e.trim()).filter(Boolean);
+  if (!emails.length) throw new Error('No email provided. Use --email.');
+  if (!opts.listId) throw new Error('No Sendy list id provided. Use --list-id or set SENDY_LIST_ID in env.');
+
+  const results = [];
+  for (const email of emails) {
+    const res = await ACTIONS[action](email, opts.listId);
+    results.push({ email, success: res.success, message: res.message });
+  }
+  console.log(JSON.stringify({ action, listId: opts.listId, results }, null, 2));
+  return results.every(r => r.success);
+}
+
+run()
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((err) => {
+    logger.error('Error in sendy subscriber command:', err.message);
+    process.exit(1);
+  });
@@ -6,10 +6,17 @@ const logger = require('../utils/logger');
 async function run() {
   const args = process.argv.slice(2);
   const opts = { email: null, name: '', listId: process.env.SENDY_LIST_ID };
+  // Optional Sendy subscribe options, e.g. --gdpr --silent --country=DE --ipaddress=203.0.113.7 --referrer=test --hp=bot
+  const options = {};
   for (const a of args) {
     if (a.startsWith('--email=')) opts.email = a.split('=')[1];
     if (a.startsWith('--name=')) opts.name = a.split('=')[1];
     if (a.startsWith('--list-id=')) opts.listId = a.split('=')[1];
+    if (a === '--gdpr') options.gdpr = true;
+    if (a === '--silent') options.silent = true;
+    for (const key of ['country', 'ipaddress', 'referrer', 'hp']) {
+      if (a.startsWith(`--${key}=`)) options[key] = a.slice(key.length + 3);
+    }
   }
 
   if (!opts.listId) {
@@ -23,8 +30,8 @@ async function run() {
     logger.info('No --email supplied. Using invalid test email to get a deterministic error string.');
   }
 
-  logger.info(`Testing Sendy subscribe: email='${opts.email}', name='${opts.name}', list='${opts.listId}'`);
-  const res = await sendy.subscribe({ email: opts.email, name: opts.name, listId: opts.listId });
+  logger.info(`Testing Sendy subscribe: email='${opts.email}', name='${opts.name}', list='${opts.listId}'${Object.keys(options).length ? `, options=${JSON.stringify(options)}` : ''}`);
+  const res = await sendy.subscribe({ email: opts.email, name: opts.name, listId: opts.listId, ...options });
   const output = {
     success: res.success,
     statusCode: res.statusCode || null,
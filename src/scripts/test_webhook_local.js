@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 require('dotenv').config();
 const http = require('http');
+const crypto = require('crypto');
 
 // This script sends a mock Calendly webhook POST to a locally running server (src/server.js)
 // Usage: node src/scripts/test_webhook_local.js --port=3000
@@ -22,15 +23,27 @@ const payload = {
 
 const data = JSON.stringify(payload);
 
+const headers = {
+  'Content-Type': 'application/json',
+  'Content-Length': Buffer.byteLength(data)
+};
+
+// Sign like Calendly does (t=<timestamp>,v1=<hex hmac of "timestamp.body">) when a secret is configured
+if (process.env.CALENDLY_WEBHOOK_SECRET) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto
+    .createHmac('sha256', process.env.CALENDLY_WEBHOOK_SECRET)
+    .update(`${timestamp}.${data}`)
+    .digest('hex');
+  headers['Calendly-Webhook-Signature'] = `t=${timestamp},v1=${signature}`;
+}
+
 const req = http.request({
   hostname: 'localhost',
   port,
   path: '/webhook/calendly',
   method: 'POST',
-  headers: {
-    'Content-Type': 'application/json',
-    'Content-Length': Buffer.byteLength(data)
-  }
+  headers
 }, (res) => {
   let body = '';
   res.on('data', (chunk) => body += chunk);
@@ -5,19 +5,38 @@ const bodyParser = require('body-parser');
 require('dotenv').config();
 
 const webhookHandler = require('./handlers/webhookHandler');
-const { validateConfig } = require('./utils/config');
+const shopifyWebhookHandler = require('./handlers/shopifyWebhookHandler');
+const { createAdminRouter } = require('./handlers/adminHandler');
+const { createReadinessRouter } = require('./handlers/readinessHandler');
+const webhookInbox = require('./services/webhookInbox');
+const eventHistory = require('./services/eventHistory');
+const WebhookWorker = require('./services/webhookWorker');
+const Scheduler = require('./services/scheduler');
+const { validateConfig, getCorsOrigins } = require('./utils/config');
 const logger = require('./utils/logger');
+const metrics = require('./utils/metrics');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Security middleware
 app.use(helmet());
-app.use(cors());
+
+// Only the configured origins get CORS headers; webhooks and probes are server-to-server and unaffected
+const corsOrigins = getCorsOrigins();
+app.use(cors({
+  origin: corsOrigins.includes('*') ? true : corsOrigins,
+  allowedHeaders: ['Authorization', 'Content-Type']
+}));
+
+// Keep the raw request body around so webhook signatures can be verified byte-for-byte
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
 
 // Parse JSON bodies
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
+app.use(bodyParser.json({ verify: captureRawBody }));
+app.use(bodyParser.urlencoded({ extended: true, verify: captureRawBody }));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -28,9 +47,31 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Readiness probe; ?refresh=true needs an API token (see handlers/readinessHandler)
+app.use(createReadinessRouter());
+
+// Prometheus metrics endpoint
+app.get('/metrics', async (req, res, next) => {
+  try {
+    res.set('Content-Type', metrics.registry.contentType);
+    res.end(await metrics.registry.metrics());
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Calendly webhook endpoint
 app.post('/webhook/calendly', webhookHandler.handleCalendlyWebhook);
 
+// Shopify webhook endpoint (orders/create, customers/create, customers/update)
+app.post('/webhook/shopify', shopifyWebhookHandler.handleShopifyWebhook);
+
+// Periodic syncs and list-count snapshots (SCHEDULE_* cron expressions; SCHEDULER_ENABLED=false turns it off)
+const scheduler = new Scheduler();
+
+// Admin API; every route requires a scoped API token (calendly-sendy tokens create)
+app.use('/admin', createAdminRouter({ scheduler }));
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   logger.error('Unhandled error:', error);
@@ -48,11 +89,21 @@ app.use((req, res) => {
   });
 });
 
+// Background worker that drains the durable webhook inbox
+const webhookWorker = new WebhookWorker({
+  inbox: webhookInbox,
+  processor: webhookHandler.processQueuedWebhook,
+  history: eventHistory
+});
+
 // Start server only if config is valid
 if (validateConfig()) {
   app.listen(PORT, () => {
     logger.info(`Calendly-Sendy Integration Server running on port ${PORT}`);
     logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    logger.info(`Webhook inbox: ${webhookInbox.dir}`);
+    webhookWorker.start();
+    scheduler.start();
   });
 } else {
   logger.error('Invalid configuration. Server not started.');
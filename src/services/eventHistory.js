@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Append-only log of webhook processing outcomes (one JSON line per attempt), written by the
+ * webhook worker and read by the admin API. Trimmed to the newest `maxEntries` lines.
+ */
+class EventHistory {
+  constructor({ filePath, maxEntries } = {}) {
+    const inboxDir = process.env.WEBHOOK_INBOX_DIR || path.join(process.cwd(), '.webhook-inbox');
+    this.filePath = filePath || process.env.EVENT_HISTORY_FILE || path.join(inboxDir, 'history.jsonl');
+    this.maxEntries = maxEntries || parseInt(process.env.EVENT_HISTORY_MAX, 10) || 5000;
+    this.lineCount = null;
+  }
+
+  // Calendly invitee payloads carry the email at payload.email; Shopify orders/customers at body.email
+  static extractEmails({ source, body } = {}) {
+    const emails = new Set();
+    const add = (v) => { if (v) emails.add(String(v).toLowerCase().trim()); };
+    if (!body) return [];
+    if (source === 'calendly') {
+      add(body.payload && body.payload.email);
+    } else {
+      add(body.email);
+      add(body.contact_email);
+      add(body.customer && body.customer.email);
+    }
+    return Array.from(emails);
+  }
+
+  _readAll() {
+    if (!fs.existsSync(this.filePath)) return [];
+    const records = [];
+    for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (_) {
+        // torn final line; skip it
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Record the outcome of one processing attempt of an inbox entry
+   */
+  record(entry, { status, error = null, attempts = null, result = null }) {
+    const record = {
+      at: new Date().toISOString(),
+      id: entry.id,
+      source: entry.source,
+      event: entry.event,
+      emails: EventHistory.extractEmails(entry),
+      status,
+      attempts: attempts !== null ? attempts : entry.attempts || 0,
+      receivedAt: entry.receivedAt || null,
+      error,
+      result
+    };
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+      if (this.lineCount === null) this.lineCount = this._readAll().length;
+      else this.lineCount++;
+      // trim with some slack so we do not rewrite the file on every append
+      if (this.lineCount > this.maxEntries * 1.2) this.trim();
+    } catch (err) {
+      logger.warn(`Could not write event history ${this.filePath}: ${err.message}`);
+    }
+    return record;
+  }
+
+  trim() {
+    const keep = this._readAll().slice(-this.maxEntries);
+    const tmp = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmp, keep.map((r) => JSON.stringify(r)).join('\n') + (keep.length ? '\n' : ''));
+    fs.renameSync(tmp, this.filePath);
+    this.lineCount = keep.length;
+  }
+
+  /**
+   * Newest-first outcomes, optionally filtered by source, event and status
+   */
+  recent({ limit = 50, source = null, event = null, status = null } = {}) {
+    return this._readAll()
+      .filter((r) => (!source || r.source === source) && (!event || r.event === event) && (!status || r.status === status))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  // Every attempt for one inbox entry, oldest first
+  forEvent(id) {
+    return this._readAll().filter((r) => r.id === id);
+  }
+
+  // Every recorded outcome that involved this email, oldest first
+  forEmail(email) {
+    const needle = String(email || '').toLowerCase().trim();
+    if (!needle) return [];
+    return this._readAll().filter((r) => (r.emails || []).includes(needle));
+  }
+}
+
+module.exports = new EventHistory();
+module.exports.EventHistory = EventHistory;
@@ -0,0 +1,115 @@
+const sendy = require('../clients/sendyClient');
+const calendly = require('../clients/calendlyClient');
+const shopify = require('../clients/shopifyClient');
+const logger = require('../utils/logger');
+
+const toList = (v) => String(v || '').split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Default dependency checks for GET /ready. `enabled` decides whether a check runs at all;
+ * a disabled check is reported as "skipped" and never fails readiness.
+ */
+function defaultChecks() {
+  return [
+    {
+      name: 'sendy',
+      enabled: () => true,
+      async check() {
+        const listId = process.env.SENDY_LIST_ID;
+        if (!listId) throw new Error('SENDY_LIST_ID not set');
+        // a plain-text Sendy error on bad config ("Invalid API key", "List does not exist") is a failed result
+        const res = await sendy.getActiveSubscriberCount(listId);
+        if (!res.success) throw new Error(res.message || res.code);
+        return { listId, activeSubscribers: res.count };
+      }
+    },
+    {
+      name: 'calendly',
+      enabled: () => !!calendly.token,
+      async check() {
+        const user = await calendly.getCurrentUser();
+        return { user: user && (user.email || user.uri) };
+      }
+    },
+    {
+      name: 'shopify',
+      enabled: () => !!(shopify.shopName && shopify.accessToken),
+      async check() {
+        const shop = await shopify.getShopInfo();
+        return { shop: shop && (shop.myshopify_domain || shop.domain || shop.name) };
+      }
+    }
+  ];
+}
+
+function describeError(err) {
+  if (err && err.response) return `HTTP ${err.response.status}${err.message ? ` (${err.message})` : ''}`;
+  return err && err.message ? err.message : String(err);
+}
+
+/**
+ * Runs dependency checks and caches the combined result for `ttlMs`
+ * so a tight probe interval does not hammer the upstream APIs.
+ */
+class Readiness {
+  constructor({ checks, ttlMs, timeoutMs, optional } = {}) {
+    this.checks = checks || defaultChecks();
+    this.ttlMs = ttlMs !== undefined ? ttlMs : (parseInt(process.env.READINESS_CACHE_MS, 10) || 10000);
+    this.timeoutMs = timeoutMs || parseInt(process.env.READINESS_TIMEOUT_MS, 10) || 5000;
+    this.optional = optional || toList(process.env.READINESS_OPTIONAL);
+    this.cached = null;
+    this.inFlight = null;
+  }
+
+  async runCheck({ name, enabled, check }) {
+    const required = !this.optional.includes(name);
+    if (!enabled()) return { name, status: 'skipped', required: false, latencyMs: 0, error: null };
+
+    const started = Date.now();
+    let timer;
+    try {
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+      });
+      const detail = await Promise.race([check(), timeout]);
+      return { name, status: 'ok', required, latencyMs: Date.now() - started, error: null, detail: detail || null };
+    } catch (err) {
+      const error = describeError(err);
+      logger.warn(`Readiness check ${name} failed: ${error}`);
+      return { name, status: 'error', required, latencyMs: Date.now() - started, error };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async evaluate() {
+    const results = await Promise.all(this.checks.map((c) => this.runCheck(c)));
+    const dependencies = {};
+    for (const { name, ...rest } of results) dependencies[name] = rest;
+    const ready = results.every((r) => r.status !== 'error' || !r.required);
+    return { ready, checkedAt: new Date().toISOString(), dependencies };
+  }
+
+  /**
+   * Current readiness; served from cache while fresh. Concurrent callers share one evaluation.
+   */
+  async check({ force = false } = {}) {
+    if (!force && this.cached && Date.now() - this.cached.at < this.ttlMs) {
+      return { ...this.cached.result, cached: true };
+    }
+    if (!this.inFlight) {
+      this.inFlight = this.evaluate()
+        .then((result) => {
+          this.cached = { at: Date.now(), result };
+          return result;
+        })
+        .finally(() => {
+          this.inFlight = null;
+        });
+    }
+    return { ...(await this.inFlight), cached: false };
+  }
+}
+
+module.exports = new Readiness();
+module.exports.Readiness = Readiness;
@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const syncRunner = require('./syncRunner');
+const { parseCron, nextRun } = require('../utils/cron');
+const FileLock = require('../utils/fileLock');
+const { loadRouting } = require('../utils/routing');
+const logger = require('../utils/logger');
+
+function getSchedulerDir(dir) {
+  return dir || process.env.SCHEDULER_DIR || path.join(process.cwd(), '.scheduler');
+}
+
+function parseJsonOption(name) {
+  const raw = process.env[name];
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('expected a JSON object');
+    return parsed;
+  } catch (err) {
+    throw new Error(`Invalid ${name}: ${err.message}`);
+  }
+}
+
+// Lists whose active-subscriber count is snapshotted: LIST_COUNT_LISTS, else every configured list
+function snapshotLists() {
+  const explicit = String(process.env.LIST_COUNT_LISTS || '').split(',').map((s) => s.trim()).filter(Boolean);
+  if (explicit.length) return explicit;
+  const lists = new Set([process.env.SENDY_LIST_ID, process.env.SENDY_SHOPIFY_LIST_ID].filter(Boolean));
+  try {
+    const routing = loadRouting();
+    if (routing) {
+      routing.default.forEach((l) => lists.add(l));
+      routing.routes.forEach((r) => r.lists.forEach((l) => lists.add(l)));
+    }
+  } catch (err) {
+    logger.warn(`List-count snapshot ignores routing file: ${err.message}`);
+  }
+  return Array.from(lists);
+}
+
+/**
+ * Sync jobs run the sync scripts through the shared SyncRunner (so they show up in /admin/syncs).
+ * Without a window in the job options, each run continues from the stored watermark.
+ */
+function syncJob(name, source, cronVar, optionsVar, runner) {
+  return {
+    name,
+    cron: process.env[cronVar] || null,
+    async run() {
+      const started = runner.start({ source, options: parseJsonOption(optionsVar) });
+      const finished = await runner.wait(started.id);
+      if (finished.status !== 'succeeded') {
+        throw new Error(`${source} sync ${finished.id} ${finished.status}${finished.error ? `: ${finished.error}` : ''}`);
+      }
+      return { runId: finished.id, totals: finished.totals };
+    }
+  };
+}
+
+function defaultJobs({ runner = syncRunner, dir } = {}) {
+  return [
+    syncJob('calendly-sync', 'calendly', 'SCHEDULE_CALENDLY_SYNC', 'SCHEDULE_CALENDLY_SYNC_OPTIONS', runner),
+    syncJob('shopify-sync', 'shopify', 'SCHEDULE_SHOPIFY_SYNC', 'SCHEDULE_SHOPIFY_SYNC_OPTIONS', runner),
+    {
+      name: 'list-counts',
+      cron: process.env.SCHEDULE_LIST_COUNTS || null,
+      async run() {
+        // required lazily so a server without the job never touches the Sendy client
+        const sendy = require('../clients/sendyClient');
+        const filePath = process.env.LIST_COUNT_FILE || path.join(getSchedulerDir(dir), 'list-counts.jsonl');
+        const at = new Date().toISOString();
+        const counts = {};
+        for (const listId of snapshotLists()) {
+          // the client only succeeds on a numeric reply, so a plain-text Sendy error lands here too
+          const res = await sendy.getActiveSubscriberCount(listId);
+          if (!res.success) throw new Error(`Could not count list ${listId}: ${res.message || res.code}`);
+          counts[listId] = res.count;
+        }
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        for (const [listId, count] of Object.entries(counts)) {
+          fs.appendFileSync(filePath, JSON.stringify({ at, listId, count }) + '\n');
+        }
+        return { counts, file: filePath };
+      }
+    }
+  ];
+}
+
+/**
+ * In-process cron scheduler. Each job takes a file lock while it runs, so overlapping ticks
+ * and other server instances sharing the directory never run the same job twice at once.
+ * Last-run outcomes are persisted in <dir>/state.json.
+ */
+class Scheduler {
+  constructor({ jobs, dir, tickMs, enabled } = {}) {
+    this.dir = getSchedulerDir(dir);
+    this.statePath = path.join(this.dir, 'state.json');
+    this.tickMs = tickMs || parseInt(process.env.SCHEDULER_TICK_MS, 10) || 30000;
+    this.enabled = enabled !== undefined ? enabled : String(process.env.SCHEDULER_ENABLED || 'true').toLowerCase() !== 'false';
+    this.jobs = new Map();
+    this.timer = null;
+
+    for (const job of jobs || defaultJobs({ dir: this.dir })) {
+      if (!job.cron) {
+        this.jobs.set(job.name, { ...job, parsed: null, nextRunAt: null, running: false });
+        continue;
+      }
+      this.jobs.set(job.name, { ...job, parsed: parseCron(job.cron), nextRunAt: null, running: false });
+    }
+  }
+
+  _loadState() {
+    try {
+      return JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+    } catch (_) {
+      return { jobs: {} };
+    }
+  }
+
+  _saveState(name, patch) {
+    const state = this._loadState();
+    if (!state.jobs) state.jobs = {};
+    state.jobs[name] = { ...(state.jobs[name] || {}), ...patch };
+    fs.mkdirSync(this.dir, { recursive: true });
+    const tmp = `${this.statePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, this.statePath);
+  }
+
+  activeJobs() {
+    return Array.from(this.jobs.values()).filter((j) => j.parsed);
+  }
+
+  start() {
+    if (this.timer) return;
+    if (!this.enabled) {
+      logger.info('Scheduler disabled (SCHEDULER_ENABLED=false)');
+      return;
+    }
+    const active = this.activeJobs();
+    if (!active.length) {
+      logger.info('Scheduler has no jobs configured; not starting');
+      return;
+    }
+    const now = new Date();
+    for (const job of active) {
+      job.nextRunAt = nextRun(job.parsed, now);
+      logger.info(`Scheduled ${job.name} (${job.cron}); next run ${job.nextRunAt ? job.nextRunAt.toISOString() : 'never'}`);
+    }
+    this.timer = setInterval(() => { this.tick(); }, this.tickMs);
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Trigger every job whose next run time has passed; missed runs are not caught up
+  tick(now = new Date()) {
+    const triggered = [];
+    for (const job of this.activeJobs()) {
+      if (!job.nextRunAt || job.nextRunAt > now) continue;
+      job.nextRunAt = nextRun(job.parsed, now);
+      triggered.push(this.runJob(job.name));
+    }
+    return Promise.all(triggered);
+  }
+
+  /**
+   * Run one job now (also used by the schedule). Resolves with the recorded outcome.
+   */
+  async runJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) throw new Error(`Unknown job "${name}"`);
+
+    const lock = new FileLock(path.join(this.dir, 'locks', `${name}.lock`));
+    if (job.running || !lock.acquire({ job: name })) {
+      const holder = lock.read();
+      logger.warn(`Skipping ${name}: previous run still in progress${holder ? ` (pid ${holder.pid} on ${holder.host} since ${holder.acquiredAt})` : ''}`);
+      const skipped = { at: new Date().toISOString(), reason: 'locked' };
+      this._saveState(name, { lastSkipped: skipped });
+      return { status: 'skipped', ...skipped };
+    }
+
+    job.running = true;
+    const startedAt = new Date().toISOString();
+    this._saveState(name, { running: { startedAt, pid: process.pid } });
+    logger.info(`Scheduler: starting ${name}`);
+    let lastRun;
+    try {
+      const detail = await job.run();
+      lastRun = { startedAt, finishedAt: new Date().toISOString(), status: 'succeeded', error: null, detail: detail || null };
+      logger.info(`Scheduler: ${name} succeeded`);
+    } catch (err) {
+      lastRun = { startedAt, finishedAt: new Date().toISOString(), status: 'failed', error: err.message, detail: null };
+      logger.error(`Scheduler: ${name} failed:`, err.message);
+    } finally {
+      job.running = false;
+      lock.release();
+    }
+    this._saveState(name, { lastRun, running: null });
+    return lastRun;
+  }
+
+  status() {
+    const state = this._loadState();
+    return {
+      enabled: this.enabled,
+      started: !!this.timer,
+      jobs: Array.from(this.jobs.values()).map((job) => {
+        const saved = (state.jobs || {})[job.name] || {};
+        return {
+          name: job.name,
+          cron: job.cron,
+          scheduled: !!job.parsed,
+          running: job.running,
+          nextRunAt: job.nextRunAt ? job.nextRunAt.toISOString() : null,
+          lastRun: saved.lastRun || null,
+          lastSkipped: saved.lastSkipped || null
+        };
+      })
+    };
+  }
+}
+
+module.exports = Scheduler;
+module.exports.defaultJobs = defaultJobs;
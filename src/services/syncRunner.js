@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { parseSyncArgs } = require('../sync/args');
+const { parseProgressLine } = require('../sync/progress');
+const logger = require('../utils/logger');
+
+const SCRIPTS = {
+  calendly: path.join(__dirname, '..', 'scripts', 'sync_calendly_to_sendy.js'),
+  shopify: path.join(__dirname, '..', 'scripts', 'sync_shopify_to_sendy.js')
+};
+
+// Options each sync script accepts: camelCase key → [flag, 'value' | 'flag']
+const COMMON_OPTIONS = {
+  since: ['--since', 'value'],
+  until: ['--until', 'value'],
+  from: ['--from', 'value'],
+  to: ['--to', 'value'],
+  listId: ['--list-id', 'value'],
+  batchSize: ['--batch-size', 'value'],
+  throttleMs: ['--throttle-ms', 'value'],
+  concurrency: ['--concurrency', 'value'],
+  maxRps: ['--max-rps', 'value'],
+  cacheFile: ['--cache-file', 'value'],
+  dryRun: ['--dry-run', 'flag'],
+  noCache: ['--no-cache', 'flag'],
+  clearCache: ['--clear-cache', 'flag'],
+  noPersistentCache: ['--no-persistent-cache', 'flag'],
+  refreshPersistent: ['--refresh-persistent', 'flag'],
+  full: ['--full', 'flag'],
+  overlapMinutes: ['--overlap-minutes', 'value'],
+  resume: ['--resume', 'value'],
+  segmentsFile: ['--segments-file', 'value'],
+  noSegments: ['--no-segments', 'flag'],
+  gdpr: ['--gdpr', 'flag'],
+  silent: ['--silent', 'flag'],
+  referrer: ['--referrer', 'value'],
+  country: ['--country', 'value']
+};
+
+const SOURCE_OPTIONS = {
+  calendly: {
+    ...COMMON_OPTIONS,
+    scope: ['--scope', 'value'],
+    status: ['--status', 'value'],
+    routingFile: ['--routing-file', 'value'],
+    noRouting: ['--no-routing', 'flag'],
+    fieldMapFile: ['--field-map-file', 'value'],
+    consentQuestion: ['--consent-question', 'value'],
+    consentAnswers: ['--consent-answers', 'value'],
+    refreshEvents: ['--refresh-events', 'flag']
+  },
+  shopify: {
+    ...COMMON_OPTIONS,
+    orderStatus: ['--order-status', 'value'],
+    source: ['--source', 'value']
+  }
+};
+
+const stripAnsi = (s) => s.replace(/\x1b\[[0-9;]*m/g, '');
+
+/**
+ * Translate an options object into sync script arguments. Throws on unknown options and invalid values.
+ */
+function buildArgs(source, options = {}) {
+  const known = SOURCE_OPTIONS[source];
+  if (!known) throw new Error(`Unknown sync source "${source}" (use calendly or shopify)`);
+  const args = [];
+  for (const [key, value] of Object.entries(options)) {
+    const spec = known[key];
+    if (!spec) throw new Error(`Unknown ${source} sync option "${key}"`);
+    const [flag, kind] = spec;
+    if (kind === 'flag') {
+      if (value === true || value === 'true') args.push(flag);
+    } else if (value !== undefined && value !== null && value !== '') {
+      args.push(`${flag}=${value}`);
+    }
+  }
+  // reject values the script would refuse (e.g. a non-numeric overlapMinutes) before starting it
+  parseSyncArgs(args, { watermark: true });
+  return args;
+}
+
+/**
+ * Runs the sync scripts as child processes and tracks their progress from the structured progress
+ * lines they print (see sync/progress); other output is kept as the run's log.
+ * One run per source at a time; the newest `maxRuns` runs are kept in memory.
+ */
+class SyncRunner {
+  constructor({ scripts = SCRIPTS, maxRuns = 20, logLines = 50, cwd = process.cwd() } = {}) {
+    this.scripts = scripts;
+    this.maxRuns = maxRuns;
+    this.logLines = logLines;
+    this.cwd = cwd;
+    this.runs = new Map();
+  }
+
+  list() {
+    return Array.from(this.runs.values()).map((run) => this.describe(run)).reverse();
+  }
+
+  get(id) {
+    const run = this.runs.get(id);
+    return run ? this.describe(run) : null;
+  }
+
+  // Public view of a run: drops the child process handle and internal fields
+  describe(run) {
+    const out = {};
+    for (const [key, value] of Object.entries(run)) {
+      if (key !== 'child' && !key.startsWith('_')) out[key] = value;
+    }
+    return out;
+  }
+
+  /**
+   * Resolves with the finished run (immediately if it already finished)
+   */
+  wait(id) {
+    const run = this.runs.get(id);
+    if (!run) return Promise.resolve(null);
+    return run._done;
+  }
+
+  running(source) {
+    return Array.from(this.runs.values()).find((r) => r.source === source && r.status === 'running') || null;
+  }
+
+  start({ source, options = {} } = {}) {
+    const args = buildArgs(source, options);
+    const existing = this.running(source);
+    if (existing) {
+      const err = new Error(`A ${source} sync is already running (${existing.id})`);
+      err.code = 'SYNC_RUNNING';
+      err.runId = existing.id;
+      throw err;
+    }
+
+    const run = {
+      id: crypto.randomUUID(),
+      source,
+      options,
+      args,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      exitCode: null,
+      pid: null,
+      progress: { phase: 'starting', checked: 0, total: null, toSubscribe: null, subscribed: null },
+      checkpointId: null,
+      reportPath: null,
+      totals: null,
+      error: null,
+      log: []
+    };
+
+    run._done = new Promise((resolve) => { run._resolve = resolve; });
+    const child = spawn(process.execPath, [this.scripts[source], ...args], {
+      cwd: this.cwd,
+      env: { ...process.env, SYNC_PROGRESS: 'json' }
+    });
+    run.child = child;
+    run.pid = child.pid;
+    this.runs.set(run.id, run);
+    this._prune();
+    logger.info(`Started ${source} sync ${run.id} (pid ${child.pid}): ${args.join(' ') || '(no options)'}`);
+
+    const onData = (chunk) => {
+      run._buffer = (run._buffer || '') + chunk.toString('utf8');
+      const lines = run._buffer.split('\n');
+      run._buffer = lines.pop();
+      for (const line of lines) this._onLine(run, stripAnsi(line).trim());
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('error', (err) => {
+      run.status = 'failed';
+      run.error = err.message;
+      run.finishedAt = new Date().toISOString();
+      delete run.child;
+      run._resolve(this.describe(run));
+    });
+    child.on('close', (code) => {
+      if (run._buffer) this._onLine(run, stripAnsi(run._buffer).trim());
+      delete run._buffer;
+      run.exitCode = code;
+      run.status = code === 0 ? 'succeeded' : 'failed';
+      run.finishedAt = new Date().toISOString();
+      run.progress.phase = 'finished';
+      delete run.child;
+      this._loadReport(run);
+      logger.info(`${source} sync ${run.id} ${run.status} (exit ${code})`);
+      run._resolve(this.describe(run));
+    });
+
+    return this.describe(run);
+  }
+
+  // Progress comes from the scripts' structured progress lines (see sync/progress); anything else is log output
+  _onLine(run, line) {
+    if (!line) return;
+    const update = parseProgressLine(line);
+    if (!update) {
+      run.log.push(line);
+      if (run.log.length > this.logLines) run.log.shift();
+      return;
+    }
+
+    const p = run.progress;
+    for (const key of ['phase', 'checked', 'total', 'toSubscribe', 'subscribed']) {
+      if (update[key] !== undefined) p[key] = update[key];
+    }
+    if (update.runId) run.checkpointId = update.runId;
+    if (update.reportPath) run.reportPath = update.reportPath;
+    if (update.error) run.error = update.error;
+  }
+
+  _loadReport(run) {
+    if (!run.reportPath) return;
+    try {
+      const report = JSON.parse(fs.readFileSync(path.resolve(this.cwd, run.reportPath), 'utf8'));
+      run.totals = report.totals || null;
+    } catch (err) {
+      logger.warn(`Could not read sync report ${run.reportPath}: ${err.message}`);
+    }
+  }
+
+  _prune() {
+    for (const [id, run] of this.runs) {
+      if (this.runs.size <= this.maxRuns) break;
+      if (run.status !== 'running') this.runs.delete(id);
+    }
+  }
+}
+
+module.exports = new SyncRunner();
+module.exports.SyncRunner = SyncRunner;
+module.exports.buildArgs = buildArgs;
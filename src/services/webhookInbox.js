@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Durable, append-only inbox for verified webhooks.
+ *
+ * inbox.jsonl holds one operation per line (enqueue | attempt | done | dead); folding the
+ * log by id gives the pending set. deadletter.jsonl holds events that exhausted their retries
+ * (dead | replayed). The files are re-read on every call so the CLI and the server can share them.
+ */
+class WebhookInbox {
+  constructor({ dir } = {}) {
+    this.dir = dir || process.env.WEBHOOK_INBOX_DIR || path.join(process.cwd(), '.webhook-inbox');
+    this.inboxPath = path.join(this.dir, 'inbox.jsonl');
+    this.deadLetterPath = path.join(this.dir, 'deadletter.jsonl');
+  }
+
+  _ensureDir() {
+    if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  _append(filePath, record) {
+    this._ensureDir();
+    const fd = fs.openSync(filePath, 'a');
+    try {
+      fs.writeSync(fd, JSON.stringify(record) + '\n');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  _readLines(filePath) {
+    if (!fs.existsSync(filePath)) return [];
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const records = [];
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (_) {
+        // a torn final line from a crash mid-write; skip it
+        logger.warn(`Skipping unreadable line in ${filePath}`);
+      }
+    }
+    return records;
+  }
+
+  // Fold the inbox log into { pending: Map<id, entry>, closed: number }
+  _state() {
+    const pending = new Map();
+    let closed = 0;
+    for (const rec of this._readLines(this.inboxPath)) {
+      if (rec.op === 'enqueue') {
+        pending.set(rec.id, { ...rec, attempts: rec.attempts || 0, nextAttemptAt: rec.nextAttemptAt || rec.receivedAt });
+      } else if (rec.op === 'attempt' && pending.has(rec.id)) {
+        const entry = pending.get(rec.id);
+        entry.attempts = rec.attempts;
+        entry.nextAttemptAt = rec.nextAttemptAt;
+        entry.lastError = rec.lastError;
+      } else if ((rec.op === 'done' || rec.op === 'dead') && pending.has(rec.id)) {
+        pending.delete(rec.id);
+        closed++;
+      }
+    }
+    return { pending, closed };
+  }
+
+  /**
+   * Persist a webhook before acknowledging it. Returns the inbox entry.
+   * `dedupeKey` suppresses a second copy while the first is still pending (provider retries).
+   */
+  enqueue({ source, event, body, dedupeKey = null }) {
+    if (dedupeKey) {
+      for (const entry of this._state().pending.values()) {
+        if (entry.dedupeKey === dedupeKey) {
+          logger.info(`Webhook ${dedupeKey} already queued as ${entry.id}`);
+          return entry;
+        }
+      }
+    }
+    const now = new Date().toISOString();
+    const record = {
+      op: 'enqueue',
+      id: crypto.randomUUID(),
+      source,
+      event,
+      dedupeKey,
+      receivedAt: now,
+      nextAttemptAt: now,
+      attempts: 0,
+      body
+    };
+    this._append(this.inboxPath, record);
+    return record;
+  }
+
+  pending() {
+    return Array.from(this._state().pending.values());
+  }
+
+  due(now = Date.now()) {
+    return this.pending()
+      .filter((e) => new Date(e.nextAttemptAt).getTime() <= now)
+      .sort((a, b) => new Date(a.receivedAt) - new Date(b.receivedAt));
+  }
+
+  markDone(id) {
+    this._append(this.inboxPath, { op: 'done', id, at: new Date().toISOString() });
+  }
+
+  markRetry(id, { attempts, nextAttemptAt, lastError }) {
+    this._append(this.inboxPath, { op: 'attempt', id, attempts, nextAttemptAt, lastError });
+  }
+
+  markDead(entry, lastError) {
+    const failedAt = new Date().toISOString();
+    this._append(this.deadLetterPath, {
+      op: 'dead',
+      id: entry.id,
+      source: entry.source,
+      event: entry.event,
+      receivedAt: entry.receivedAt,
+      attempts: entry.attempts,
+      lastError,
+      failedAt,
+      body: entry.body
+    });
+    this._append(this.inboxPath, { op: 'dead', id: entry.id, at: failedAt });
+  }
+
+  // Dead letters with their replay status, oldest first
+  listDeadLetters() {
+    const letters = new Map();
+    for (const rec of this._readLines(this.deadLetterPath)) {
+      if (rec.op === 'dead') {
+        letters.set(rec.id, { ...rec, replayedAt: null, replayedAs: null });
+      } else if (rec.op === 'replayed' && letters.has(rec.id)) {
+        const letter = letters.get(rec.id);
+        letter.replayedAt = rec.at;
+        letter.replayedAs = rec.newId;
+      }
+    }
+    return Array.from(letters.values()).map(({ op, ...rest }) => rest);
+  }
+
+  getDeadLetter(id) {
+    return this.listDeadLetters().find((l) => l.id === id || l.id.startsWith(id)) || null;
+  }
+
+  // Put a dead letter back into the inbox with a fresh attempt budget
+  replayDeadLetter(id) {
+    const letter = this.getDeadLetter(id);
+    if (!letter) return null;
+    const entry = this.enqueue({ source: letter.source, event: letter.event, body: letter.body });
+    this._append(this.deadLetterPath, { op: 'replayed', id: letter.id, newId: entry.id, at: new Date().toISOString() });
+    return entry;
+  }
+
+  /**
+   * Rewrite inbox.jsonl with only pending entries once enough closed entries pile up.
+   * Skipped if another process appended while we were rewriting.
+   */
+  compact({ minClosed = 100 } = {}) {
+    if (!fs.existsSync(this.inboxPath)) return false;
+    const sizeBefore = fs.statSync(this.inboxPath).size;
+    const { pending, closed } = this._state();
+    if (closed < minClosed) return false;
+
+    const lines = Array.from(pending.values()).map((e) => JSON.stringify({ ...e, op: 'enqueue' }));
+    const tmpPath = `${this.inboxPath}.tmp`;
+    fs.writeFileSync(tmpPath, lines.length ? lines.join('\n') + '\n' : '');
+    if (fs.statSync(this.inboxPath).size !== sizeBefore) {
+      fs.unlinkSync(tmpPath);
+      return false;
+    }
+    fs.renameSync(tmpPath, this.inboxPath);
+    logger.info(`Compacted webhook inbox (${closed} closed entries removed, ${pending.size} pending)`);
+    return true;
+  }
+}
+
+module.exports = new WebhookInbox();
+module.exports.WebhookInbox = WebhookInbox;
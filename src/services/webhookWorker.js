@@ -0,0 +1,96 @@
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+/**
+ * Drains the webhook inbox in the background, retrying failures with exponential backoff
+ * and moving events that exhaust their attempts to the dead-letter store.
+ */
+class WebhookWorker {
+  constructor({ inbox, processor, history = null, intervalMs, maxAttempts, baseDelayMs, maxDelayMs } = {}) {
+    this.inbox = inbox;
+    this.processor = processor;
+    this.history = history;
+    this.intervalMs = intervalMs || parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS, 10) || 2000;
+    this.maxAttempts = maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+    this.baseDelayMs = baseDelayMs || parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 5000;
+    this.maxDelayMs = maxDelayMs || parseInt(process.env.WEBHOOK_RETRY_MAX_MS, 10) || 3600000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  // 5s, 10s, 20s, ... capped at maxDelayMs
+  backoffDelay(attempts) {
+    return Math.min(this.baseDelayMs * Math.pow(2, Math.max(attempts - 1, 0)), this.maxDelayMs);
+  }
+
+  // Outcome log for the admin API; never lets a history write failure affect processing
+  recordOutcome(entry, outcome) {
+    if (!this.history) return;
+    try {
+      this.history.record(entry, outcome);
+    } catch (err) {
+      logger.warn(`Could not record outcome of webhook ${entry.id}: ${err.message}`);
+    }
+  }
+
+  async processEntry(entry) {
+    try {
+      const result = await this.processor(entry);
+      this.inbox.markDone(entry.id);
+      this.recordOutcome(entry, { status: 'done', attempts: (entry.attempts || 0) + 1, result: result || null });
+      return { id: entry.id, status: 'done' };
+    } catch (err) {
+      const attempts = (entry.attempts || 0) + 1;
+      const lastError = err && err.message ? err.message : String(err);
+      // A permanent failure (e.g. SendyError INVALID_EMAIL) would fail the same way on every retry
+      const permanent = !!err && err.retryable === false;
+      if (permanent || attempts >= this.maxAttempts) {
+        logger.error(`Webhook ${entry.id} (${entry.event}) ${permanent ? `failed permanently${err.code ? ` (${err.code})` : ''}` : `failed ${attempts} times`}; moving to dead-letter store: ${lastError}`);
+        this.inbox.markDead({ ...entry, attempts }, lastError);
+        metrics.retries.inc({ component: 'webhook_worker', reason: 'dead_letter' });
+        this.recordOutcome(entry, { status: 'dead', attempts, error: lastError });
+        return { id: entry.id, status: 'dead', error: lastError };
+      }
+      const delay = this.backoffDelay(attempts);
+      const nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      logger.warn(`Webhook ${entry.id} (${entry.event}) attempt ${attempts}/${this.maxAttempts} failed: ${lastError}. Retrying in ${delay}ms`);
+      this.inbox.markRetry(entry.id, { attempts, nextAttemptAt, lastError });
+      metrics.retries.inc({ component: 'webhook_worker', reason: entry.source || 'unknown' });
+      this.recordOutcome(entry, { status: 'retry', attempts, error: lastError });
+      return { id: entry.id, status: 'retry', error: lastError, nextAttemptAt };
+    }
+  }
+
+  // Process every entry that is currently due; returns per-entry outcomes
+  async drain() {
+    if (this.running) return [];
+    this.running = true;
+    const outcomes = [];
+    try {
+      for (const entry of this.inbox.due()) {
+        outcomes.push(await this.processEntry(entry));
+      }
+      this.inbox.compact();
+    } catch (err) {
+      logger.error('Webhook worker error:', err.message);
+    } finally {
+      this.running = false;
+    }
+    return outcomes;
+  }
+
+  start() {
+    if (this.timer) return;
+    logger.info(`Webhook worker started (interval ${this.intervalMs}ms, max attempts ${this.maxAttempts})`);
+    this.timer = setInterval(() => { this.drain(); }, this.intervalMs);
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+    this.drain();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = WebhookWorker;
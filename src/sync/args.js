@@ -0,0 +1,131 @@
+/**
+ * Command-line parsing shared by the sync scripts. Every option accepts both
+ * `--flag=value` and `--flag value`; unknown arguments are ignored.
+ */
+
+// flag -> { key, type: 'value' | 'int' | 'number' | 'flag', date: 'since' | 'until', min, env }
+// (`min`: the value must be a plain number no lower than this, or parsing throws; `env`: the variable behind its default)
+const COMMON_FLAGS = {
+  '--since': { key: 'since', type: 'value' },
+  '--until': { key: 'until', type: 'value' },
+  '--from': { key: 'since', type: 'value', date: 'since' },
+  '--to': { key: 'until', type: 'value', date: 'until' },
+  '--list-id': { key: 'listId', type: 'value' },
+  '--batch-size': { key: 'batchSize', type: 'int' },
+  '--throttle-ms': { key: 'throttleMs', type: 'int' },
+  '--concurrency': { key: 'concurrency', type: 'int' },
+  '--max-rps': { key: 'maxRps', type: 'number' },
+  '--cache-file': { key: 'cacheFile', type: 'value' },
+  '--resume': { key: 'resume', type: 'value' },
+  '--segments-file': { key: 'segmentsFile', type: 'value' },
+  '--no-segments': { key: 'noSegments', type: 'flag' },
+  '--gdpr': { key: 'gdpr', type: 'flag' },
+  '--silent': { key: 'silent', type: 'flag' },
+  '--referrer': { key: 'referrer', type: 'value' },
+  '--country': { key: 'country', type: 'value' },
+  '--dry-run': { key: 'dryRun', type: 'flag' },
+  '--no-cache': { key: 'noCache', type: 'flag' },
+  '--clear-cache': { key: 'clearCache', type: 'flag' },
+  '--no-persistent-cache': { key: 'noPersistentCache', type: 'flag' },
+  '--refresh-persistent': { key: 'refreshPersistent', type: 'flag' },
+  '--full': { key: 'full', type: 'flag' }
+};
+
+// Only the sync entry points read these, so a bad SYNC_WATERMARK_OVERLAP_MINUTES does not stop other commands
+const WATERMARK_FLAGS = {
+  '--overlap-minutes': { key: 'overlapMinutes', type: 'number', min: 0, env: 'SYNC_WATERMARK_OVERLAP_MINUTES' }
+};
+
+function commonDefaults() {
+  return {
+    dryRun: false,
+    batchSize: 20,
+    throttleMs: 250,
+    concurrency: parseInt(process.env.SYNC_CONCURRENCY || '4', 10),
+    maxRps: parseFloat(process.env.SYNC_MAX_RPS || '0'),
+    noCache: false,
+    clearCache: false,
+    noPersistentCache: false,
+    cacheFile: null,
+    refreshPersistent: false,
+    full: false,
+    segmentsFile: null,
+    noSegments: false,
+    gdpr: process.env.SENDY_SUBSCRIBE_GDPR === 'true',
+    silent: process.env.SENDY_SUBSCRIBE_SILENT === 'true',
+    referrer: null,
+    country: null
+  };
+}
+
+function watermarkDefaults() {
+  return {
+    overlapMinutes: process.env.SYNC_WATERMARK_OVERLAP_MINUTES || '60'
+  };
+}
+
+// Accept YYYY-MM-DD and expand it to the start or end of that day (UTC); anything else is used as-is
+function normalizeDate(val, kind) {
+  if (!val) return val;
+  if (val.includes('T')) return val;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(val)) {
+    return kind === 'until' ? `${val}T23:59:59Z` : `${val}T00:00:00Z`;
+  }
+  return val;
+}
+
+// A bounded numeric option; anything that is not a plain number (e.g. "abc", "10m") is rejected
+function parseBounded(name, raw, min) {
+  const value = typeof raw === 'number' ? raw : /^\s*\d+(\.\d+)?\s*$/.test(String(raw)) ? parseFloat(raw) : NaN;
+  if (!Number.isFinite(value) || value < min) {
+    throw new Error(`Invalid ${name} "${raw}": expected a number of at least ${min}`);
+  }
+  return value;
+}
+
+/**
+ * Parse sync arguments: the common flags plus a source's own `flags`, on top of `defaults`.
+ * `watermark` adds the incremental-sync flags (--overlap-minutes) that only the sync scripts use.
+ * Throws on an out-of-range value of a flag with `min`.
+ */
+function parseSyncArgs(args, { flags = {}, defaults = {}, watermark = false } = {}) {
+  const spec = { ...COMMON_FLAGS, ...(watermark ? WATERMARK_FLAGS : {}), ...flags };
+  const opts = { ...commonDefaults(), ...(watermark ? watermarkDefaults() : {}), ...defaults };
+  const assign = (def, raw) => {
+    if (def.min !== undefined) opts[def.key] = raw;
+    else if (def.type === 'int') opts[def.key] = parseInt(raw, 10);
+    else if (def.type === 'number') opts[def.key] = parseFloat(raw);
+    else opts[def.key] = def.date ? normalizeDate(raw, def.date) : raw;
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    const eq = a.indexOf('=');
+    const name = eq === -1 ? a : a.slice(0, eq);
+    const def = spec[name];
+    if (!def) continue;
+    if (def.type === 'flag') {
+      if (eq === -1) opts[def.key] = true;
+      continue;
+    }
+    if (eq !== -1) {
+      assign(def, a.slice(eq + 1));
+    } else if (args[i + 1]) {
+      assign(def, args[i + 1]);
+      i++;
+    }
+  }
+  // Bounded values are checked once, whether they came from the command line or a default (env)
+  for (const [name, def] of Object.entries(spec)) {
+    if (def.min !== undefined && opts[def.key] !== undefined) opts[def.key] = parseBounded(def.env ? `${name} (or ${def.env})` : name, opts[def.key], def.min);
+  }
+  return opts;
+}
+
+module.exports = {
+  COMMON_FLAGS,
+  WATERMARK_FLAGS,
+  commonDefaults,
+  normalizeDate,
+  parseSyncArgs
+};
@@ -0,0 +1,444 @@
+const fs = require('fs');
+const path = require('path');
+const cache = require('../utils/cache');
+const FileCache = require('../utils/fileCache');
+const WatermarkStore = require('../utils/watermarks');
+const { windowStart, newestTimestamp } = require('../utils/watermarks');
+const SyncCheckpoint = require('../utils/checkpoint');
+const AdaptivePool = require('../utils/adaptivePool');
+const { loadSegments, segmentLists, applySegments } = require('../utils/segments');
+const logger = require('../utils/logger');
+
+// Status checks are applied, logged and checkpointed in chunks of this many contacts
+const STATUS_CHUNK = 50;
+
+// Subscribe options set for the whole run (--gdpr, --silent, --referrer, --country); they win over each contact's params
+function runSubscribeOptions(opts) {
+  const options = {};
+  for (const key of ['gdpr', 'silent', 'referrer', 'country']) {
+    if (opts[key]) options[key] = opts[key];
+  }
+  return options;
+}
+
+/**
+ * Runs one sync from a source into a sink. The engine owns everything the sources share:
+ * resume/checkpoints, the in-memory and persistent caches, watermarks, status checks,
+ * subscribing, counters and the JSON report.
+ *
+ * Sink calls (status checks and subscribes) share one AdaptivePool: `--concurrency` calls in flight,
+ * at most `--max-rps` per second, backing off when sink.isOverloaded() flags a result.
+ *
+ * A source is an object with:
+ *   name                        checkpoint/watermark prefix (e.g. 'calendly')
+ *   label, noun                 for log lines ('Calendly', 'invitees')
+ *   reportPrefix                report file name prefix
+ *   prepare(opts)               validate options and load configuration; throw on bad input
+ *   cacheFileName(opts)         default persistent cache file name
+ *   watermark(opts)             { key, lists, field } for incremental runs
+ *   fetch(state, ctx)           fetch raw records into the checkpointed `state`
+ *   records(state)              the records fetched so far
+ *   contacts(records)           normalized contacts: { email, name, listId, fields, params, ... }
+ *                               (params: the contact's own Sendy subscribe options, e.g. referrer)
+ * and optionally fetchFailures(state) (records that could not be fetched completely; like subscription
+ * failures they hold the watermark back), skippedCounts(), resultFields(contact), describeList(listId, contacts),
+ * reportFields(ctx), reportTotals(ctx) and finish(ctx). Sources used by `reconcile` or with
+ * segment rules also implement profiles(records): one { email, name, lists, ...metadata } entry per email.
+ *
+ * `onProgress(update)`, when given, receives { phase, ... } updates as the run goes (see sync/progress).
+ */
+class SyncEngine {
+  constructor({ source, sink, opts, onProgress = null }) {
+    this.source = source;
+    this.sink = sink;
+    this.opts = opts;
+    this.onProgress = onProgress;
+    this.checkpoint = null;
+    this._checkpointing = false;
+    this._onSignal = null;
+  }
+
+  async run() {
+    try {
+      return await this._run();
+    } catch (err) {
+      if (this._checkpointing) {
+        this.checkpoint.save();
+        logger.info(`💾 Progress saved; continue with --resume ${this.checkpoint.runId}`);
+      }
+      throw err;
+    } finally {
+      this._stopSignalHandling();
+    }
+  }
+
+  async _run() {
+    const { source, opts } = this;
+
+    // --resume continues an interrupted run with the options it was started with
+    const checkpoint = opts.resume ? SyncCheckpoint.load(opts.resume, source.name) : SyncCheckpoint.create(source.name);
+    this.checkpoint = checkpoint;
+    if (opts.resume) {
+      Object.assign(opts, checkpoint.data.options);
+      // cache resets already happened when the run started
+      opts.clearCache = false;
+      opts.refreshPersistent = false;
+      logger.info(`⏯️ Resuming run ${checkpoint.runId} from the ${checkpoint.data.phase} phase (${checkpoint.filePath}).`);
+    }
+
+    source.prepare(opts);
+    this.pool = new AdaptivePool({
+      name: this.sink.name || 'sink',
+      concurrency: opts.concurrency,
+      maxRps: opts.maxRps,
+      isOverloaded: this.sink.isOverloaded ? (res) => this.sink.isOverloaded(res) : undefined
+    });
+    logger.info(`⚙️ Sink concurrency ${this.pool.maxConcurrency}${opts.maxRps > 0 ? `, max ${opts.maxRps} requests/s` : ''}.`);
+    this.segments = opts.noSegments ? null : loadSegments(opts.segmentsFile);
+    if (this.segments) {
+      if (!source.profiles) throw new Error(`The ${source.label} source does not support segments; use --no-segments.`);
+      logger.info(`🧩 Segments from ${this.segments.filePath}: ${this.segments.segments.map(s => `${s.name} → ${s.lists.join(', ')}`).join('; ')}`);
+    }
+    this._setupCaches();
+    const window = this._resolveWindow();
+
+    if (!opts.resume) {
+      checkpoint.data.options = { ...opts };
+      checkpoint.data.previousWatermark = window.previousWatermark;
+      checkpoint.data.incrementalSince = window.incrementalSince;
+      checkpoint.save();
+    }
+    this._checkpointing = true;
+    logger.info(`💾 Checkpointing run ${checkpoint.runId}; if interrupted, continue with --resume ${checkpoint.runId}`);
+    this._progress({ phase: 'fetching', runId: checkpoint.runId });
+    this._startSignalHandling();
+
+    // Fetch: sources keep their paging state in checkpoint.data.fetch
+    const fetchState = checkpoint.data.fetch || (checkpoint.data.fetch = {});
+    if (checkpoint.data.phase === 'fetch') {
+      await source.fetch(fetchState, { opts, window, checkpoint });
+      checkpoint.data.phase = 'status';
+      checkpoint.save();
+    }
+    const records = source.records(fetchState);
+    const fetchFailures = source.fetchFailures ? source.fetchFailures(fetchState) : 0;
+    const contacts = this._applySegments(source.contacts(records), records);
+    if (contacts.length) {
+      logger.info(`⏱️ Estimating status check duration ~${Math.ceil(contacts.length * 120 / 1000 / this.pool.maxConcurrency)}s (assuming ~120ms per API call, ${this.pool.maxConcurrency} at a time).`);
+    }
+
+    const { toSubscribe, counters } = await this._checkStatuses(contacts);
+    this._progress({ phase: 'subscribing', checked: contacts.length, total: contacts.length, toSubscribe: toSubscribe.length });
+    const results = await this._subscribe(toSubscribe);
+    const subscriptionFailures = results.filter(r => !r.success).length;
+
+    // Cache successes
+    let successCount = 0;
+    for (const res of results) {
+      if (res.success) {
+        if (!opts.noCache) cache.set(`synced:${res.listId}:${res.email}`, true);
+        if (!opts.noPersistentCache) this.fileCache.setEmail(res.listId, res.email.toLowerCase());
+        successCount++;
+      }
+    }
+
+    const ctx = { opts, records, contacts, toSubscribe, results, window };
+    if (source.finish) await source.finish(ctx);
+
+    window.nextWatermark = this._advanceWatermark(window, records, subscriptionFailures, fetchFailures);
+
+    logger.info(`🎉 ${source.label} sync complete. ${successCount} subscribed (dryRun=${opts.dryRun}).`);
+    this._progress({ phase: 'reporting', subscribed: successCount });
+
+    const report = this._buildReport({ ...ctx, counters, successCount, subscriptionFailures, fetchFailures });
+    const reportPath = path.join(process.cwd(), `${source.reportPrefix}_${Date.now()}.json`);
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    logger.info(`📝 Report written to ${reportPath}`);
+    this._progress({ phase: 'reporting', reportPath });
+
+    if (!opts.noPersistentCache) {
+      this.fileCache.save();
+      const targetLists = Object.keys(report.lists);
+      const stored = targetLists.reduce((n, listId) => n + Object.keys(this.fileCache.ensureList(listId).emails).length, 0);
+      logger.info(`💾 Persistent cache updated (${stored} emails stored across ${targetLists.length} list(s)).`);
+    }
+    this._checkpointing = false;
+    checkpoint.remove();
+    return { report, reportPath };
+  }
+
+  _progress(update) {
+    if (this.onProgress) this.onProgress(update);
+  }
+
+  // Segment rules add a contact for every extra list a matching email should join
+  _applySegments(contacts, records) {
+    if (!this.segments) return contacts;
+    const { contacts: segmented, matches } = applySegments(this.segments, contacts, this.source.profiles(records), this.source.name);
+    this.segmentCounts = {};
+    for (const [name, emails] of Object.entries(matches)) this.segmentCounts[name] = emails.length;
+    logger.info(`🧩 Segment matches: ${Object.entries(this.segmentCounts).map(([name, n]) => `${name} ${n}`).join(', ')} (${segmented.length - contacts.length} extra contact/list pair(s))`);
+    return segmented;
+  }
+
+  _setupCaches() {
+    const { source, opts } = this;
+    // Persistent cache file is set up once the source knows its list(s); entries are keyed per list
+    this.persistentFilePath = opts.cacheFile || process.env.SENDY_SYNC_CACHE_FILE || path.join(process.cwd(), source.cacheFileName(opts));
+    this.fileCache = new FileCache({ filePath: this.persistentFilePath });
+    if (opts.noPersistentCache) {
+      logger.info('Persistent file cache disabled (--no-persistent-cache).');
+    } else {
+      this.fileCache.load();
+      if (opts.refreshPersistent) {
+        logger.info('Refreshing persistent cache: clearing existing stored emails (--refresh-persistent).');
+        this.fileCache.clear();
+      }
+      logger.info(`Using persistent cache file: ${this.persistentFilePath}`);
+    }
+
+    if (opts.clearCache && typeof cache.flushAll === 'function') {
+      cache.flushAll();
+      logger.info('In-memory cache cleared at start of run (--clear-cache).');
+    }
+  }
+
+  // Incremental window: without an explicit window, continue from the oldest watermark of the run's lists
+  _resolveWindow() {
+    const { source, opts, checkpoint } = this;
+    this.watermarks = new WatermarkStore();
+    const mark = source.watermark(opts);
+    // segment lists share the watermark, so a newly added segment starts with a backfill
+    mark.lists = Array.from(new Set([...mark.lists, ...segmentLists(this.segments)]));
+    const window = { ...mark, previousWatermark: null, incrementalSince: null, nextWatermark: null };
+    if (opts.resume) {
+      window.previousWatermark = checkpoint.data.previousWatermark || null;
+      window.incrementalSince = checkpoint.data.incrementalSince || null;
+      return window;
+    }
+
+    window.previousWatermark = this.watermarks.oldest(mark.key, mark.lists);
+    const explicitWindow = !!(opts.since || opts.until);
+    if (!explicitWindow && opts.full) {
+      logger.info('🔁 Full backfill requested (--full); ignoring watermarks.');
+    } else if (!explicitWindow && window.previousWatermark) {
+      window.incrementalSince = windowStart(window.previousWatermark, opts.overlapMinutes);
+      logger.info(`🔖 Incremental sync from watermark ${window.previousWatermark} (${opts.overlapMinutes} min overlap): fetching changes since ${window.incrementalSince}`);
+    }
+    return window;
+  }
+
+  _startSignalHandling() {
+    this._onSignal = (signal) => {
+      this.checkpoint.save();
+      if (!this.opts.noPersistentCache) this.fileCache.save();
+      logger.warn(`⏸️ ${signal} received; progress saved. Resume with --resume ${this.checkpoint.runId}`);
+      if (typeof cache.shutdown === 'function') cache.shutdown();
+      process.exit(signal === 'SIGINT' ? 130 : 143);
+    };
+    process.once('SIGINT', this._onSignal);
+    process.once('SIGTERM', this._onSignal);
+  }
+
+  _stopSignalHandling() {
+    if (!this._onSignal) return;
+    process.removeListener('SIGINT', this._onSignal);
+    process.removeListener('SIGTERM', this._onSignal);
+    this._onSignal = null;
+  }
+
+  // Status checks resume at checkState.cursor (index into contacts)
+  async _checkStatuses(contacts) {
+    const { source, sink, opts, checkpoint, fileCache } = this;
+    const checkState = checkpoint.data.status || (checkpoint.data.status = {
+      cursor: 0,
+      toSubscribe: [],
+      counters: {
+        cached: 0,
+        alreadySubscribed: 0,
+        unsubscribed: 0,
+        bouncedOrComplained: 0,
+        notInList: 0,
+        unknownStatus: 0
+      }
+    });
+    const { toSubscribe, counters } = checkState;
+    if (source.skippedCounts) Object.assign(counters, source.skippedCounts());
+    this._progress({ phase: 'checking', checked: checkState.cursor, total: contacts.length });
+
+    const classify = (c, status) => {
+      const cacheKey = `synced:${c.listId}:${c.email}`;
+      const lowerEmail = c.email.toLowerCase();
+      if (status.cached) {
+        logger.debug(`Skipping cached email: ${c.email}`);
+        counters.cached++;
+        return;
+      }
+      if (status.persistent) {
+        logger.debug(`Skipping persistent-cached email: ${c.email}`);
+        counters.alreadySubscribed++;
+        return;
+      }
+      if (status.success) {
+        if (status.normalized === 'subscribed') {
+          logger.debug(`${c.email} already subscribed to ${c.listId}`);
+          if (!opts.noCache) cache.set(cacheKey, true);
+          if (!opts.noPersistentCache) fileCache.setEmail(c.listId, lowerEmail);
+          counters.alreadySubscribed++;
+          return;
+        } else if (status.normalized === 'unsubscribed') {
+          logger.info(`${c.email} previously unsubscribed from ${c.listId}; respecting status (will not resubscribe).`);
+          if (!opts.noCache) cache.set(cacheKey, true); // prevent repeated checks
+          counters.unsubscribed++;
+          return;
+        } else if (status.normalized === 'bounced' || status.normalized === 'complained') {
+          logger.warn(`${c.email} status is ${status.normalized} on ${c.listId}; skipping.`);
+          if (!opts.noCache) cache.set(cacheKey, true);
+          counters.bouncedOrComplained++;
+          return;
+        } else if (status.normalized === 'not-in-list') {
+          // proceed to subscribe
+          counters.notInList++;
+        } else {
+          logger.debug(`${c.email} status ${status.normalized}; will attempt subscribe if not subscribed.`);
+          counters.unknownStatus++;
+        }
+      }
+      toSubscribe.push(c);
+    };
+
+    // Cache hits are settled locally; the rest of each chunk goes to the sink through the pool
+    while (checkpoint.data.phase === 'status' && checkState.cursor < contacts.length) {
+      const chunk = contacts.slice(checkState.cursor, checkState.cursor + STATUS_CHUNK);
+      const statuses = chunk.map((c) => {
+        if (!opts.noCache && cache.get(`synced:${c.listId}:${c.email}`)) return { cached: true };
+        if (!opts.noPersistentCache && fileCache.hasEmail(c.listId, c.email.toLowerCase())) return { persistent: true };
+        return null;
+      });
+      const lookups = chunk.filter((c, i) => !statuses[i]);
+      const found = await this.pool.map(lookups, (c) => sink.status(c.email, c.listId));
+      let f = 0;
+      chunk.forEach((c, i) => classify(c, statuses[i] || found[f++]));
+      checkState.cursor += chunk.length;
+      checkpoint.maybeSave();
+      this._progress({ phase: 'checking', checked: checkState.cursor, total: contacts.length });
+      if (lookups.length) {
+        logger.info(`⏳ Progress: checked ${checkState.cursor}/${contacts.length} ${source.noun}; pending subscribe queue size ${toSubscribe.length}`);
+      }
+    }
+    if (checkpoint.data.phase === 'status') {
+      checkpoint.data.phase = 'subscribe';
+      checkpoint.save();
+    }
+    return { toSubscribe, counters };
+  }
+
+  // Subscribe list by list; subscribeState.cursor counts finished contacts of the queue
+  async _subscribe(toSubscribe) {
+    const { source, sink, opts, checkpoint } = this;
+    logger.info(`🚀 Will attempt subscription for ${toSubscribe.length} emails (dryRun=${opts.dryRun}).`);
+    if (opts.dryRun) {
+      logger.info('Note: dry-run means results.success=false in the report entries because no API call is made.');
+    }
+
+    const subscribeState = checkpoint.data.subscribe || (checkpoint.data.subscribe = { cursor: 0, results: [] });
+    const results = subscribeState.results;
+    const lists = Array.from(new Set(toSubscribe.map(c => c.listId)));
+    const queue = lists.flatMap(listId => toSubscribe.filter(c => c.listId === listId));
+    while (subscribeState.cursor < queue.length) {
+      const listId = queue[subscribeState.cursor].listId;
+      let end = subscribeState.cursor;
+      while (end < queue.length && queue[end].listId === listId) end++;
+      const items = queue.slice(subscribeState.cursor, end);
+      logger.info(`📬 Subscribing ${items.length} email(s) to list ${listId}`);
+      await sink.subscribe(listId, items, {
+        dryRun: opts.dryRun,
+        batchSize: opts.batchSize,
+        throttleMs: opts.throttleMs,
+        pool: this.pool,
+        params: runSubscribeOptions(opts),
+        onResult: (res, idx) => {
+          results.push({
+            ...res,
+            listId,
+            ...(source.resultFields ? source.resultFields(items[idx]) : {}),
+            ...(items[idx].segment ? { segment: items[idx].segment } : {})
+          });
+          subscribeState.cursor++;
+          checkpoint.maybeSave();
+        }
+      });
+    }
+    return results;
+  }
+
+  // Advance watermarks only after a complete, real run over an open-ended window
+  _advanceWatermark(window, records, subscriptionFailures, fetchFailures = 0) {
+    const { source, opts } = this;
+    if (opts.dryRun || opts.until) {
+      logger.info('🔖 Watermarks unchanged (dry run or explicit --until).');
+      return window.previousWatermark;
+    }
+    if (subscriptionFailures > 0) {
+      logger.warn(`🔖 Watermarks not advanced: ${subscriptionFailures} subscription failure(s) will be retried next run.`);
+      return window.previousWatermark;
+    }
+    if (fetchFailures > 0) {
+      logger.warn(`🔖 Watermarks not advanced: ${fetchFailures} ${source.noun} fetch failure(s) will be retried next run.`);
+      return window.previousWatermark;
+    }
+    const newest = newestTimestamp(records, window.field);
+    if (!newest) return window.previousWatermark;
+    for (const listId of window.lists) this.watermarks.set(window.key, listId, newest);
+    this.watermarks.save();
+    logger.info(`🔖 Watermark for ${window.key} → ${window.lists.join(', ')} advanced to ${newest} (${this.watermarks.filePath}).`);
+    return this.watermarks.oldest(window.key, window.lists);
+  }
+
+  _buildReport(ctx) {
+    const { source, opts } = this;
+    const { contacts, toSubscribe, results, counters, successCount, subscriptionFailures, fetchFailures, window } = ctx;
+
+    // Per-list breakdown
+    const lists = {};
+    for (const listId of Array.from(new Set(contacts.map(c => c.listId)))) {
+      const listContacts = contacts.filter(c => c.listId === listId);
+      const listResults = results.filter(r => r.listId === listId);
+      lists[listId] = {
+        checked: listContacts.length,
+        attempted: toSubscribe.filter(c => c.listId === listId).length,
+        subscribed: listResults.filter(r => r.success).length,
+        failures: listResults.filter(r => !r.success && !r.dryRun).length,
+        ...(source.describeList ? source.describeList(listId, listContacts) : {})
+      };
+    }
+
+    return {
+      runId: this.checkpoint.runId,
+      dryRun: opts.dryRun,
+      listId: opts.listId || null,
+      ...(source.reportFields ? source.reportFields(ctx) : {}),
+      since: opts.since || null,
+      until: opts.until || null,
+      incrementalSince: window.incrementalSince,
+      watermark: { full: opts.full, previous: window.previousWatermark, next: window.nextWatermark, overlapMinutes: opts.overlapMinutes },
+      persistentCacheFile: opts.noPersistentCache ? null : this.persistentFilePath,
+      segments: this.segments ? { file: this.segments.filePath, matches: this.segmentCounts || {} } : null,
+      subscribeOptions: runSubscribeOptions(opts),
+      totals: {
+        ...(source.reportTotals ? source.reportTotals(ctx) : {}),
+        checked: contacts.length,
+        attempted: toSubscribe.length,
+        subscribed: successCount,
+        would_subscribe: toSubscribe.length,
+        skipped: { ...counters },
+        subscriptionFailures,
+        fetchFailures
+      },
+      lists,
+      results
+    };
+  }
+}
+
+module.exports = SyncEngine;
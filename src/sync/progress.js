@@ -0,0 +1,34 @@
+/**
+ * Machine-readable progress of a sync run, for the admin sync runner. When SYNC_PROGRESS=json the
+ * sync scripts print one line per update: PROGRESS_PREFIX followed by a JSON object such as
+ *   { "phase": "checking", "checked": 50, "total": 120 }
+ * Fields: phase (fetching | checking | subscribing | reporting | failed), runId, checked, total,
+ * toSubscribe, subscribed, reportPath, error. The log lines stay free to change.
+ */
+
+const PROGRESS_PREFIX = '@@sync-progress ';
+
+// A reporter that writes progress lines, or null when nobody is reading them
+function progressReporter(env = process.env) {
+  if (env.SYNC_PROGRESS !== 'json') return null;
+  return (update) => {
+    process.stdout.write(`${PROGRESS_PREFIX}${JSON.stringify(update)}\n`);
+  };
+}
+
+// The update on a progress line, or null for any other output
+function parseProgressLine(line) {
+  if (!line || !line.startsWith(PROGRESS_PREFIX)) return null;
+  try {
+    const update = JSON.parse(line.slice(PROGRESS_PREFIX.length));
+    return update && typeof update === 'object' ? update : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+module.exports = {
+  PROGRESS_PREFIX,
+  progressReporter,
+  parseProgressLine
+};
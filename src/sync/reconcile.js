@@ -0,0 +1,179 @@
+const createCsvStringifier = require('csv-writer').createObjectCsvStringifier;
+const AdaptivePool = require('../utils/adaptivePool');
+const { loadSegments, matchSegments } = require('../utils/segments');
+const logger = require('../utils/logger');
+
+// Report groups, in order; statuses Sendy reports outside these land in "other", failed checks in "error"
+const STATUS_GROUPS = ['subscribed', 'unsubscribed', 'bounced', 'complained', 'unconfirmed', 'not-in-list', 'other', 'error'];
+
+const COLUMNS = ['email', 'name', 'list_id', 'status', 'sendy_status', 'sources', 'bookings', 'last_booking', 'event', 'consent', 'orders', 'last_order', 'total_spent'];
+
+// Reconcile never resumes, so sources fetch against a checkpoint that goes nowhere
+const NO_CHECKPOINT = { save() {}, maybeSave() {} };
+
+/**
+ * Read-only comparison of source contacts with their Sendy status: who booked or bought,
+ * which list they should be on, and what Sendy says about them there. Never subscribes.
+ *
+ * Sources are the sync sources (see engine.js) and must implement profiles(records).
+ * With `lists`, every contact is checked against each of them; otherwise against the
+ * lists the source routes it to plus those of matching segment rules.
+ */
+class Reconciler {
+  constructor({ sources, sink, opts, lists = null }) {
+    this.sources = sources;
+    this.sink = sink;
+    this.opts = opts;
+    this.lists = lists && lists.length ? lists : null;
+  }
+
+  async run() {
+    const { opts, sink } = this;
+    const segments = opts.noSegments ? null : loadSegments(opts.segmentsFile);
+    const profiles = new Map();
+    for (const source of this.sources) {
+      // prepare() fills in source defaults such as listId, so each source gets its own copy
+      const sourceOpts = { ...opts };
+      source.prepare(sourceOpts);
+      const state = {};
+      await source.fetch(state, { opts: sourceOpts, window: { incrementalSince: null }, checkpoint: NO_CHECKPOINT });
+      const found = source.profiles(source.records(state));
+      logger.info(`🔎 ${found.length} ${source.label} contact(s) to reconcile`);
+      for (const p of found) {
+        const segmentLists = matchSegments(segments, { source: source.name, ...p }).flatMap(s => s.lists);
+        mergeProfile(profiles, { ...p, lists: Array.from(new Set([...p.lists, ...segmentLists])) }, source.name);
+      }
+    }
+
+    const pairs = [];
+    for (const p of profiles.values()) {
+      for (const listId of this.lists || p.lists) pairs.push({ profile: p, listId });
+    }
+    const pool = new AdaptivePool({
+      name: sink.name || 'sink',
+      concurrency: opts.concurrency,
+      maxRps: opts.maxRps,
+      isOverloaded: sink.isOverloaded ? (res) => sink.isOverloaded(res) : undefined
+    });
+    logger.info(`⏱️ Checking ${pairs.length} contact/list pair(s) against Sendy, ${pool.maxConcurrency} at a time...`);
+
+    const rows = [];
+    await pool.map(pairs, ({ profile, listId }) => sink.status(profile.email, listId), {
+      onResult: (status, i) => {
+        rows.push(toRow(pairs[i].profile, pairs[i].listId, status));
+        if ((i + 1) % 100 === 0) logger.info(`⏳ Progress: checked ${i + 1}/${pairs.length}`);
+      }
+    });
+    return buildReport(rows, { opts, sources: this.sources.map(s => s.name), lists: Array.from(new Set(pairs.map(p => p.listId))) });
+  }
+}
+
+// The same email from several sources becomes one contact with every source's metadata
+function mergeProfile(profiles, p, sourceName) {
+  const cur = profiles.get(p.email);
+  if (!cur) {
+    profiles.set(p.email, { ...p, sources: [sourceName], lists: [...p.lists] });
+    return;
+  }
+  for (const [key, value] of Object.entries(p)) {
+    if (key === 'lists' || value === null || value === undefined || value === '') continue;
+    if (cur[key] === null || cur[key] === undefined || cur[key] === '') cur[key] = value;
+  }
+  cur.sources.push(sourceName);
+  cur.lists = Array.from(new Set([...cur.lists, ...p.lists]));
+}
+
+function statusGroup(status) {
+  if (!status || !status.success) return 'error';
+  return STATUS_GROUPS.includes(status.normalized) ? status.normalized : 'other';
+}
+
+function toRow(profile, listId, status) {
+  const row = {};
+  for (const col of COLUMNS) row[col] = profile[col] === undefined ? null : profile[col];
+  return {
+    ...row,
+    list_id: listId,
+    status: statusGroup(status),
+    sendy_status: status && status.success ? status.status : (status && status.message) || null,
+    sources: profile.sources.join('+')
+  };
+}
+
+function buildReport(rows, { opts, sources, lists }) {
+  const groups = {};
+  for (const g of STATUS_GROUPS) groups[g] = [];
+  for (const row of rows) groups[row.status].push(row);
+
+  const byList = {};
+  for (const listId of lists) {
+    byList[listId] = {};
+    for (const g of STATUS_GROUPS) byList[listId][g] = groups[g].filter(r => r.list_id === listId).length;
+  }
+  const totals = { checked: rows.length };
+  for (const g of STATUS_GROUPS) totals[g] = groups[g].length;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    sources,
+    lists,
+    since: opts.since || null,
+    until: opts.until || null,
+    totals,
+    byList,
+    groups
+  };
+}
+
+function reportRows(report) {
+  return STATUS_GROUPS.flatMap(g => report.groups[g]);
+}
+
+function toCsv(report) {
+  const stringifier = createCsvStringifier({ header: COLUMNS.map(id => ({ id, title: id })) });
+  return stringifier.getHeaderString() + stringifier.stringifyRecords(reportRows(report));
+}
+
+const escapeHtml = (v) => String(v === null || v === undefined ? '' : v)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function toHtml(report) {
+  const head = `<tr>${COLUMNS.map(c => `<th>${escapeHtml(c)}</th>`).join('')}</tr>`;
+  const sections = STATUS_GROUPS.filter(g => report.groups[g].length).map(g => [
+    `<h2>${escapeHtml(g)} (${report.groups[g].length})</h2>`,
+    `<table>${head}`,
+    ...report.groups[g].map(r => `<tr>${COLUMNS.map(c => `<td>${escapeHtml(r[c])}</td>`).join('')}</tr>`),
+    '</table>'
+  ].join('\n'));
+  const summary = STATUS_GROUPS.map(g => `<li>${escapeHtml(g)}: ${report.totals[g]}</li>`).join('');
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Sendy reconciliation ${escapeHtml(report.generatedAt)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; margin-bottom: 2em; font-size: 0.9em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+th { background: #f3f3f3; }
+</style>
+</head>
+<body>
+<h1>Sendy reconciliation</h1>
+<p>Sources: ${escapeHtml(report.sources.join(', '))}. Lists: ${escapeHtml(report.lists.join(', '))}. Window: ${escapeHtml(report.since || 'unset')} – ${escapeHtml(report.until || 'unset')}. Generated ${escapeHtml(report.generatedAt)}.</p>
+<ul>${summary}</ul>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+function renderReport(report, format) {
+  if (format === 'csv') return toCsv(report);
+  if (format === 'html') return toHtml(report);
+  return JSON.stringify(report, null, 2);
+}
+
+module.exports = Reconciler;
+module.exports.STATUS_GROUPS = STATUS_GROUPS;
+module.exports.renderReport = renderReport;
@@ -0,0 +1,38 @@
+const sendyClient = require('../../clients/sendyClient');
+
+/**
+ * Destination of a sync: looks up a contact's status on a list and subscribes contacts.
+ * Another sink only needs the same two methods, plus isOverloaded() if it wants adaptive throttling.
+ */
+class SendySink {
+  constructor({ client = sendyClient } = {}) {
+    this.client = client;
+    this.name = 'sendy';
+  }
+
+  /**
+   * Resolves with { success, normalized } where normalized is one of subscribed, unsubscribed,
+   * soft-bounced, bounced, complained, not-in-list, unconfirmed or deleted; failures carry a code.
+   * The engine's pool does the retrying, so the client does not.
+   */
+  status(email, listId) {
+    return this.client.getSubscriberStatus(email, listId, { retries: 0 });
+  }
+
+  // Results (or errors) that should make the engine's pool back off
+  isOverloaded(result) {
+    return sendyClient.isOverloadResult(result);
+  }
+
+  /**
+   * Subscribe contacts ({ email, name, fields, params }) to one list through `pool`. `params` are Sendy
+   * subscribe options (gdpr, silent, country, ...) for every contact, over each contact's own.
+   * onResult(result, index) fires per contact, in order.
+   */
+  subscribe(listId, contacts, { dryRun = false, batchSize = 20, throttleMs = 250, pool = null, onResult = null, params = {} } = {}) {
+    const items = contacts.map((c) => ({ email: c.email, name: c.name || '', fields: c.fields || {}, params: c.params || {} }));
+    return this.client.bulkSubscribe(listId, items, { dryRun, batchSize, throttleMs, pool, onResult, params });
+  }
+}
+
+module.exports = SendySink;
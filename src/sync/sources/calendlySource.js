@@ -0,0 +1,236 @@
+const calendly = require('../../clients/calendlyClient');
+const { loadRouting, resolveLists } = require('../../utils/routing');
+const { loadFieldMap, mapAnswersToFields } = require('../../utils/questionFields');
+const { getConsentRule, evaluateConsent } = require('../../utils/consent');
+const ConsentStore = require('../../utils/consentStore');
+const EventInviteeCache = require('../../utils/eventCache');
+const logger = require('../../utils/logger');
+
+const FLAGS = {
+  '--scope': { key: 'scope', type: 'value' },
+  '--status': { key: 'status', type: 'value' },
+  '--routing-file': { key: 'routingFile', type: 'value' },
+  '--no-routing': { key: 'noRouting', type: 'flag' },
+  '--field-map-file': { key: 'fieldMapFile', type: 'value' },
+  '--consent-question': { key: 'consentQuestion', type: 'value' },
+  '--consent-answers': { key: 'consentAnswers', type: 'value' },
+  '--refresh-events': { key: 'refreshEvents', type: 'flag' }
+};
+
+const DEFAULTS = {
+  scope: 'user',
+  status: 'active',
+  routingFile: null,
+  noRouting: false,
+  fieldMapFile: null,
+  consentQuestion: undefined,
+  consentAnswers: undefined,
+  refreshEvents: false
+};
+
+/**
+ * Calendly invitees as sync contacts: routed to lists, with booking answers mapped to
+ * Sendy fields and an optional newsletter-consent filter.
+ */
+class CalendlySource {
+  constructor() {
+    this.name = 'calendly';
+    this.label = 'Calendly';
+    this.noun = 'invitees';
+    this.reportPrefix = 'sync_report';
+    this.noConsent = 0;
+    this.consentByEmail = new Map();
+  }
+
+  prepare(opts) {
+    if (!opts.listId && process.env.SENDY_LIST_ID) opts.listId = process.env.SENDY_LIST_ID;
+
+    // Routing file maps event types to lists; --list-id / SENDY_LIST_ID is the fallback
+    this.routing = opts.noRouting ? null : loadRouting(opts.routingFile);
+    if (this.routing) {
+      logger.info(`🧭 Using routing file ${this.routing.filePath} (${this.routing.routes.length} rule(s), default: ${this.routing.default.join(', ') || opts.listId || 'none'})`);
+    }
+    this.fieldMap = loadFieldMap(opts.fieldMapFile);
+    if (this.fieldMap) {
+      logger.info(`🏷️ Mapping booking answers to Sendy fields via ${this.fieldMap.filePath} (${this.fieldMap.fields.map(f => f.field).join(', ')})`);
+    }
+    this.consentRule = getConsentRule({ question: opts.consentQuestion, answers: opts.consentAnswers });
+    this.consentStore = this.consentRule ? new ConsentStore() : null;
+    if (this.consentRule) {
+      logger.info(`✅ Consent required: question "${this.consentRule.question}" answered ${this.consentRule.accepted.length ? this.consentRule.accepted.map(a => `"${a}"`).join(' / ') : 'with anything'}`);
+    }
+    if (!opts.listId && !(this.routing && this.routing.default.length)) {
+      throw new Error('No Sendy list id provided. Use --list-id, set SENDY_LIST_ID in env, or add a default to the routing file.');
+    }
+    this.opts = opts;
+  }
+
+  cacheFileName(opts) {
+    return `.sendy_cache_${opts.listId || this.routing.default[0]}.json`;
+  }
+
+  // Every list this run can feed shares the invitee created_at watermark
+  watermark(opts) {
+    const routing = this.routing;
+    const lists = [opts.listId, ...(routing ? routing.default : []), ...(routing ? routing.routes.flatMap(r => r.lists) : [])];
+    return { key: 'calendly', lists: Array.from(new Set(lists.filter(Boolean))), field: 'created_at' };
+  }
+
+  // The event list first, then invitees per event (past events come from the event cache)
+  async fetch(state, { opts, window, checkpoint }) {
+    if (!state.invitees) Object.assign(state, { events: null, doneEvents: [], invitees: [] });
+    if (!state.incompleteEvents) state.incompleteEvents = [];
+    let since = opts.since || window.incrementalSince;
+    logger.info('📅 Fetching invitees from Calendly...');
+    if (!since && !opts.until) {
+      logger.warn('⚠️ No date window provided. Defaulting to start from 2015-01-01 to fetch full history.');
+      since = '2015-01-01T00:00:00Z';
+    } else {
+      logger.info(`🗓️ Date window: since=${since || 'unset'} until=${opts.until || 'unset'}`);
+    }
+    await calendly.listInviteesAcrossEvents({
+      since,
+      until: opts.until,
+      scope: opts.scope,
+      status: opts.status,
+      eventCache: new EventInviteeCache(),
+      refreshEvents: opts.refreshEvents,
+      events: state.events,
+      skipEvents: new Set(state.doneEvents),
+      onEvents: (events) => {
+        state.events = events;
+        checkpoint.save();
+      },
+      // An event whose invitee pages failed part way stays out of doneEvents, so a resume fetches it again
+      onEventInvitees: (uuid, list, { complete = true } = {}) => {
+        if (state.incompleteEvents.includes(uuid)) {
+          state.invitees = state.invitees.filter(i => i.event_uuid !== uuid);
+          state.incompleteEvents = state.incompleteEvents.filter(u => u !== uuid);
+        }
+        state.invitees.push(...list);
+        if (complete) state.doneEvents.push(uuid);
+        else state.incompleteEvents.push(uuid);
+        checkpoint.maybeSave();
+      }
+    });
+  }
+
+  records(state) {
+    return state.invitees || [];
+  }
+
+  // Events with invitees missing keep the watermark where it is, so the next run fetches them again
+  fetchFailures(state) {
+    return (state.incompleteEvents || []).length;
+  }
+
+  contacts(invitees) {
+    const { routing, fieldMap, consentRule, opts } = this;
+
+    // Consent: an email may be subscribed if any of its bookings ticked the opt-in question
+    const consentByEmail = this.consentByEmail;
+    if (consentRule) {
+      for (const inv of invitees) {
+        if (!inv.email) continue;
+        const email = inv.email.toLowerCase().trim();
+        const consent = evaluateConsent(inv.raw && inv.raw.questions_and_answers, consentRule);
+        if (!consent.consented) continue;
+        const cur = consentByEmail.get(email);
+        if (!cur || new Date(inv.created_at || 0) < new Date(cur.consentedAt || 0)) {
+          consentByEmail.set(email, { question: consent.question, answer: consent.answer, consentedAt: inv.created_at || null, event: inv.event_name || null });
+        }
+      }
+    }
+
+    // Route each invitee to its list(s), then dedupe by list+email - keep latest created_at
+    const map = new Map();
+    const noConsentEmails = new Set();
+    for (const inv of invitees) {
+      if (!inv.email) continue;
+      const email = inv.email.toLowerCase().trim();
+      if (consentRule && !consentByEmail.has(email)) {
+        noConsentEmails.add(email);
+        continue;
+      }
+      const { lists, matchedBy } = resolveLists(routing, { eventType: inv.event_type, eventName: inv.event_name }, opts.listId);
+      for (const listId of lists) {
+        const key = `${listId}:${email}`;
+        const cur = map.get(key);
+        const created = new Date(inv.created_at || Date.now());
+        if (!cur || created > new Date(cur.created_at || 0)) {
+          const fields = mapAnswersToFields(inv.raw && inv.raw.questions_and_answers, fieldMap);
+          // With a consent rule every contact here opted in, which Sendy records as gdpr
+          const params = { referrer: inv.event_name ? `calendly:${inv.event_name}` : 'calendly', ...(consentRule ? { gdpr: true } : {}) };
+          map.set(key, { email, name: inv.name || '', created_at: inv.created_at || null, event: inv.event_name || null, listId, route: matchedBy, fields, params });
+        }
+      }
+    }
+    this.noConsent = noConsentEmails.size;
+    if (consentRule) {
+      logger.info(`🙅 ${noConsentEmails.size} email(s) skipped without newsletter consent; ${consentByEmail.size} consented.`);
+    }
+
+    const rows = Array.from(map.values()).sort((a, b) => new Date(a.created_at || 0) - new Date(b.created_at || 0));
+    const targetLists = Array.from(new Set(rows.map(r => r.listId)));
+    logger.info(`✅ Found ${rows.length} invitee/list pairs to check against Sendy list(s) ${targetLists.join(', ') || opts.listId}`);
+    return rows;
+  }
+
+  skippedCounts() {
+    return { noConsent: this.noConsent };
+  }
+
+  // One entry per email for reconcile reports and segment rules: bookings, the latest one,
+  // every event booked, routed lists and (with a rule) consent
+  profiles(invitees) {
+    const { routing, consentRule, opts } = this;
+    const byEmail = new Map();
+    for (const inv of invitees) {
+      if (!inv.email) continue;
+      const email = inv.email.toLowerCase().trim();
+      const p = byEmail.get(email) || { email, name: '', bookings: 0, last_booking: null, event: null, event_type: null, events: [], lists: new Set(), consent: consentRule ? false : null };
+      p.bookings++;
+      if (!p.last_booking || new Date(inv.created_at || 0) > new Date(p.last_booking)) {
+        p.last_booking = inv.created_at || null;
+        p.event = inv.event_name || null;
+        p.event_type = inv.event_type || null;
+        p.name = inv.name || p.name;
+      }
+      if (inv.event_name && !p.events.includes(inv.event_name)) p.events.push(inv.event_name);
+      resolveLists(routing, { eventType: inv.event_type, eventName: inv.event_name }, opts.listId).lists.forEach(l => p.lists.add(l));
+      if (consentRule && !p.consent) p.consent = evaluateConsent(inv.raw && inv.raw.questions_and_answers, consentRule).consented;
+      byEmail.set(email, p);
+    }
+    return Array.from(byEmail.values()).map(p => ({ ...p, lists: Array.from(p.lists) }));
+  }
+
+  resultFields(contact) {
+    return { event: contact.event, route: contact.route };
+  }
+
+  describeList(listId, contacts) {
+    return { events: Array.from(new Set(contacts.map(c => c.event).filter(Boolean))) };
+  }
+
+  // Store consent evidence (answer + booking time) for every consenting email seen in this run
+  finish({ opts }) {
+    if (!this.consentStore || opts.dryRun) return;
+    for (const [email, evidence] of this.consentByEmail) {
+      this.consentStore.record(email, { ...evidence, source: 'calendly' });
+    }
+    this.consentStore.save();
+    logger.info(`🧾 Consent evidence saved to ${this.consentStore.filePath}`);
+  }
+
+  reportFields() {
+    const { routing, consentRule, consentStore } = this;
+    return {
+      routingFile: routing ? routing.filePath : null,
+      consent: consentRule ? { question: consentRule.question, accepted: consentRule.accepted, evidenceFile: consentStore.filePath } : null
+    };
+  }
+}
+
+module.exports = CalendlySource;
+module.exports.FLAGS = FLAGS;
+module.exports.DEFAULTS = DEFAULTS;
@@ -0,0 +1,184 @@
+const shopify = require('../../clients/shopifyClient');
+const logger = require('../../utils/logger');
+
+const FLAGS = {
+  '--order-status': { key: 'orderStatus', type: 'value' },
+  '--source': { key: 'source', type: 'value' }
+};
+
+const DEFAULTS = {
+  orderStatus: 'any',
+  source: 'orders'
+};
+
+const pick = (obj, keys) => {
+  if (!obj) return obj;
+  const out = {};
+  for (const key of keys) if (obj[key] !== undefined) out[key] = obj[key];
+  return out;
+};
+
+// The parts of an order or customer that contacts(), profiles() and the report read. Only these are
+// kept in the checkpoint, so it stays small and holds no addresses, line items or other buyer details.
+function slimRecord(record, type) {
+  const customer = (c) => c && {
+    ...pick(c, ['email', 'first_name', 'last_name', 'accepts_marketing', 'orders_count', 'total_spent']),
+    ...(c.email_marketing_consent ? { email_marketing_consent: pick(c.email_marketing_consent, ['state']) } : {}),
+    ...(c.default_address ? { default_address: pick(c.default_address, ['country_code']) } : {})
+  };
+  if (type === 'customers') return { ...pick(record, ['id', 'created_at', 'updated_at']), ...customer(record) };
+  return {
+    ...pick(record, ['id', 'email', 'name', 'order_number', 'total_price', 'created_at', 'updated_at', 'browser_ip', 'buyer_accepts_marketing']),
+    ...(record.customer ? { customer: customer(record.customer) } : {}),
+    ...(record.billing_address ? { billing_address: pick(record.billing_address, ['email', 'first_name', 'last_name', 'country_code']) } : {}),
+    ...(record.shipping_address ? { shipping_address: pick(record.shipping_address, ['country_code']) } : {})
+  };
+}
+
+/**
+ * Shopify buyers as sync contacts, read either from orders (one contact per email, latest
+ * order wins) or from the customer list. Everything goes to a single list.
+ */
+class ShopifySource {
+  constructor() {
+    this.name = 'shopify';
+    this.label = 'Shopify';
+    this.noun = 'customers';
+    this.reportPrefix = 'shopify_sync_report';
+  }
+
+  prepare(opts) {
+    if (!opts.listId) {
+      opts.listId = process.env.SENDY_SHOPIFY_LIST_ID || process.env.SENDY_LIST_ID;
+    }
+    if (!opts.listId) {
+      throw new Error('No Sendy list id provided. Use --list-id or set SENDY_SHOPIFY_LIST_ID / SENDY_LIST_ID in env.');
+    }
+    opts.source = String(opts.source || 'orders').toLowerCase();
+    if (!['orders', 'customers'].includes(opts.source)) {
+      throw new Error(`Unknown Shopify source "${opts.source}". Use orders or customers.`);
+    }
+    this.opts = opts;
+  }
+
+  cacheFileName(opts) {
+    return `.sendy_shopify_cache_${opts.listId}.json`;
+  }
+
+  // Orders and customers change independently, so each keeps its own updated_at watermark
+  watermark(opts) {
+    return { key: `shopify-${opts.source}`, lists: [opts.listId], field: 'updated_at' };
+  }
+
+  // Page by page; a resumed run continues from the saved next-page URL
+  async fetch(state, { opts, window, checkpoint }) {
+    if (!state.nextPageUrl) Object.assign(state, { records: [], nextPageUrl: null });
+    if (!opts.since && !opts.until && !window.incrementalSince) {
+      logger.warn('No date window provided (--since/--until or --from/--to). Fetching ALL customers/orders may take a while.');
+    } else if (opts.since || opts.until) {
+      logger.info(`Date window: since=${opts.since || 'unset'} until=${opts.until || 'unset'}`);
+    }
+    const query = {
+      since: opts.since,
+      until: opts.until,
+      updatedSince: window.incrementalSince,
+      limit: 250,
+      startPageUrl: state.nextPageUrl,
+      // A listing cut short by the client's page cap is incomplete, like a failed Calendly event fetch
+      onPage: (batch, nextPageUrl, { truncated = false } = {}) => {
+        state.records.push(...batch.map((r) => slimRecord(r, opts.source)));
+        state.nextPageUrl = nextPageUrl;
+        state.truncated = truncated;
+        checkpoint.maybeSave();
+      }
+    };
+    if (opts.source === 'customers') {
+      logger.info('🛍️  Fetching customers from Shopify...');
+      await shopify.listCustomers(query);
+    } else {
+      logger.info('📦 Fetching orders from Shopify...');
+      await shopify.listOrders({ ...query, status: opts.orderStatus });
+    }
+  }
+
+  records(state) {
+    return state.records || [];
+  }
+
+  // Orders or customers left unfetched keep the watermark where it is, so the next run fetches them again
+  fetchFailures(state) {
+    return state.truncated ? 1 : 0;
+  }
+
+  contacts(records) {
+    const listId = this.opts.listId;
+    if (this.opts.source === 'customers') {
+      const customers = records
+        .map((c) => {
+          const email = c.email ? String(c.email).toLowerCase().trim() : null;
+          if (!email) return null;
+          const name = [c.first_name, c.last_name].filter(Boolean).join(' ').trim() || email.split('@')[0];
+          return { email, name, created_at: c.created_at, listId, params: shopify.subscribeOptions(c, 'customer') };
+        })
+        .filter(Boolean);
+      logger.info(`✅ Found ${customers.length} customers from Shopify customer list`);
+      return customers;
+    }
+    const customers = shopify.extractEmailsFromOrders(records).map(({ raw_order, ...c }) => ({ ...c, listId, params: shopify.subscribeOptions(raw_order, 'order') }));
+    logger.info(`✅ Found ${customers.length} unique customer emails from ${records.length} orders`);
+    return customers;
+  }
+
+  // One entry per email for reconcile reports and segment rules: order count, latest order (date and value) and total spent
+  profiles(records) {
+    const listId = this.opts.listId;
+    const byEmail = new Map();
+    for (const r of records) {
+      const customer = this.opts.source === 'customers' ? r : (r.customer || r.billing_address || {});
+      const rawEmail = this.opts.source === 'customers' ? r.email : (r.email || (r.customer && r.customer.email) || (r.billing_address && r.billing_address.email));
+      if (!rawEmail) continue;
+      const email = String(rawEmail).toLowerCase().trim();
+      const p = byEmail.get(email) || { email, name: '', orders: 0, last_order: null, order_value: null, total_spent: 0, lists: [listId] };
+      p.name = p.name || [customer.first_name, customer.last_name].filter(Boolean).join(' ').trim();
+      if (this.opts.source === 'customers') {
+        p.orders = r.orders_count || 0;
+        p.total_spent = parseFloat(r.total_spent || 0);
+      } else {
+        p.orders++;
+        p.total_spent += parseFloat(r.total_price || 0);
+        if (!p.last_order || new Date(r.created_at || 0) > new Date(p.last_order)) {
+          p.last_order = r.created_at || null;
+          p.order_value = parseFloat(r.total_price || 0);
+        }
+      }
+      byEmail.set(email, p);
+    }
+    return Array.from(byEmail.values()).map(p => ({ ...p, total_spent: Number(p.total_spent.toFixed(2)) }));
+  }
+
+  reportFields({ opts, contacts }) {
+    return {
+      source: opts.source,
+      orderStatus: opts.orderStatus,
+      sample_customers: contacts.slice(0, 5).map(c => ({
+        email: c.email,
+        name: c.name,
+        order_id: c.order_id,
+        order_value: c.order_value,
+        created_at: c.created_at
+      }))
+    };
+  }
+
+  reportTotals({ opts, records, contacts }) {
+    return {
+      orders_fetched: opts.source === 'orders' ? records.length : 0,
+      customers_checked: contacts.length
+    };
+  }
+}
+
+module.exports = ShopifySource;
+module.exports.FLAGS = FLAGS;
+module.exports.DEFAULTS = DEFAULTS;
+module.exports.slimRecord = slimRecord;
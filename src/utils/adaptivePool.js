@@ -0,0 +1,146 @@
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// How often a parked worker re-checks whether it may take the next item
+const POLL_MS = 25;
+
+/**
+ * Bounded-concurrency runner for API calls that adapts to the remote side.
+ * - At most `concurrency` calls are in flight, started no faster than `maxRps` per second (0 = no cap).
+ * - When `isOverloaded(result | error)` says the remote is struggling, every worker pauses
+ *   for a backoff (doubling up to maxBackoffMs), the concurrency limit is halved, and the call is retried
+ *   up to `retries` times.
+ * - After `recoverAfter` healthy calls in a row the limit grows back by one.
+ * One pool can be shared by several map() calls so what it learned carries over.
+ */
+class AdaptivePool {
+  constructor({ name = 'pool', concurrency = 1, maxRps = 0, retries = 2, backoffMs = 1000, maxBackoffMs = 30000, recoverAfter = 20, isOverloaded = () => false } = {}) {
+    this.name = name;
+    this.maxConcurrency = Math.max(1, parseInt(concurrency, 10) || 1);
+    this.limit = this.maxConcurrency;
+    this.minIntervalMs = maxRps > 0 ? 1000 / maxRps : 0;
+    this.retries = retries;
+    this.backoffMs = backoffMs;
+    this.maxBackoffMs = maxBackoffMs;
+    this.recoverAfter = recoverAfter;
+    this.isOverloaded = isOverloaded;
+
+    this.active = 0;
+    this.pausedUntil = 0;
+    this.nextStartAt = 0;
+    this.currentBackoff = 0;
+    this.healthyStreak = 0;
+    this.stats = { calls: 0, overloads: 0, retries: 0 };
+  }
+
+  /**
+   * Run worker(item, index) for every item. Resolves with results in item order;
+   * onResult(result, index) is also called in item order, as soon as all earlier items are done.
+   */
+  async map(items, worker, { onResult = null } = {}) {
+    const results = new Array(items.length);
+    const done = new Array(items.length).fill(false);
+    let next = 0;
+    let emitted = 0;
+    let failure = null;
+
+    const flush = () => {
+      while (emitted < items.length && done[emitted]) {
+        if (onResult) onResult(results[emitted], emitted);
+        emitted++;
+      }
+    };
+
+    const lane = async () => {
+      while (next < items.length && !failure) {
+        if (this.active >= this.limit) {
+          await sleep(POLL_MS);
+          continue;
+        }
+        const index = next++;
+        this.active++;
+        try {
+          results[index] = await this._call(items[index], index, worker);
+        } catch (err) {
+          failure = failure || err;
+          return;
+        } finally {
+          this.active--;
+        }
+        done[index] = true;
+        flush();
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.maxConcurrency, items.length) }, lane));
+    if (failure) throw failure;
+    return results;
+  }
+
+  async _call(item, index, worker) {
+    for (let attempt = 0; ; attempt++) {
+      await this._waitTurn();
+      this.stats.calls++;
+      let result;
+      let error = null;
+      try {
+        result = await worker(item, index);
+      } catch (err) {
+        error = err;
+      }
+
+      if (!this.isOverloaded(error || result)) {
+        this._healthy();
+        if (error) throw error;
+        return result;
+      }
+      this._overloaded();
+      if (attempt >= this.retries) {
+        if (error) throw error;
+        return result;
+      }
+      this.stats.retries++;
+      metrics.retries.inc({ component: this.name, reason: 'overload' });
+    }
+  }
+
+  // Wait out any backoff pause and keep starts at least 1/maxRps apart
+  async _waitTurn() {
+    for (;;) {
+      const now = Date.now();
+      const at = Math.max(this.pausedUntil, this.nextStartAt);
+      if (at <= now) {
+        this.nextStartAt = now + this.minIntervalMs;
+        return;
+      }
+      await sleep(at - now);
+    }
+  }
+
+  _overloaded() {
+    this.stats.overloads++;
+    this.healthyStreak = 0;
+    // calls that were already in flight report the same overload; react once per pause
+    if (Date.now() < this.pausedUntil) return;
+    this.currentBackoff = this.currentBackoff ? Math.min(this.currentBackoff * 2, this.maxBackoffMs) : this.backoffMs;
+    this.pausedUntil = Date.now() + this.currentBackoff;
+    const before = this.limit;
+    this.limit = Math.max(1, Math.floor(this.limit / 2));
+    logger.warn(`${this.name} looks overloaded; pausing ${this.currentBackoff}ms, concurrency ${before} → ${this.limit}`);
+  }
+
+  _healthy() {
+    this.healthyStreak++;
+    if (this.healthyStreak < this.recoverAfter) return;
+    this.healthyStreak = 0;
+    this.currentBackoff = 0;
+    if (this.limit < this.maxConcurrency) {
+      this.limit++;
+      logger.info(`${this.name} recovered; concurrency back to ${this.limit}`);
+    }
+  }
+}
+
+module.exports = AdaptivePool;
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+function getAuditLogPath(filePath) {
+  return filePath || process.env.API_AUDIT_LOG || path.join(process.cwd(), '.api-audit.jsonl');
+}
+
+/**
+ * Append one JSON line per authenticated API request (allowed or denied).
+ * Never throws: an unwritable audit log is logged, not fatal to the request.
+ */
+function appendAudit(entry, filePath) {
+  const resolved = getAuditLogPath(filePath);
+  try {
+    fs.appendFileSync(resolved, JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n');
+  } catch (err) {
+    logger.error(`Could not write audit log ${resolved}: ${err.message}`);
+  }
+}
+
+function readAudit({ limit = 100, tokenId = null } = {}, filePath) {
+  const resolved = getAuditLogPath(filePath);
+  if (!fs.existsSync(resolved)) return [];
+  const records = [];
+  for (const line of fs.readFileSync(resolved, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const rec = JSON.parse(line);
+      if (!tokenId || rec.tokenId === tokenId) records.push(rec);
+    } catch (_) {
+      // torn final line; skip it
+    }
+  }
+  return records.slice(-limit);
+}
+
+module.exports = {
+  getAuditLogPath,
+  appendAudit,
+  readAudit
+};
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function getCheckpointDir(dir) {
+  return dir || process.env.SYNC_CHECKPOINT_DIR || path.join(process.cwd(), '.sync_checkpoints');
+}
+
+function newRunId(script) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  return `${script}-${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Progress of one sync run, written to <dir>/<runId>.json so `--resume <runId>` can pick up
+ * where the run stopped. `data` is owned by the sync script:
+ * { runId, script, options, phase: 'fetch' | 'status' | 'subscribe', fetch, status, subscribe }
+ */
+class SyncCheckpoint {
+  constructor({ runId, script, dir, intervalMs, data } = {}) {
+    this.dir = getCheckpointDir(dir);
+    this.runId = runId;
+    this.filePath = path.join(this.dir, `${runId}.json`);
+    this.intervalMs = intervalMs !== undefined ? intervalMs : parseInt(process.env.SYNC_CHECKPOINT_INTERVAL_MS || '5000', 10);
+    this.data = data || { runId, script, createdAt: new Date().toISOString(), phase: 'fetch' };
+    this._lastSave = 0;
+  }
+
+  static create(script, options = {}) {
+    return new SyncCheckpoint({ ...options, runId: newRunId(script), script });
+  }
+
+  /**
+   * Load the checkpoint of an interrupted run. Throws if it does not exist or belongs to another script.
+   */
+  static load(runId, script, options = {}) {
+    if (!/^[\w.-]+$/.test(String(runId || ''))) throw new Error(`Invalid run id "${runId}"`);
+    const cp = new SyncCheckpoint({ ...options, runId });
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(cp.filePath, 'utf8'));
+    } catch (err) {
+      throw new Error(`No checkpoint for run "${runId}" (${cp.filePath}): ${err.code === 'ENOENT' ? 'not found' : err.message}`);
+    }
+    if (data.script !== script) throw new Error(`Run "${runId}" is a ${data.script} sync, not ${script}`);
+    cp.data = data;
+    return cp;
+  }
+
+  save() {
+    this.data.updatedAt = new Date().toISOString();
+    fs.mkdirSync(this.dir, { recursive: true });
+    const tmp = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.data));
+    fs.renameSync(tmp, this.filePath);
+    this._lastSave = Date.now();
+  }
+
+  // Save unless the last save was less than intervalMs ago
+  maybeSave() {
+    if (Date.now() - this._lastSave >= this.intervalMs) this.save();
+  }
+
+  remove() {
+    try { fs.unlinkSync(this.filePath); } catch (_) {}
+  }
+}
+
+module.exports = SyncCheckpoint;
+module.exports.getCheckpointDir = getCheckpointDir;
@@ -33,6 +33,16 @@ function validateConfig() {
   return true;
 }
 
+/**
+ * Browser origins allowed by CORS (CORS_ORIGINS, comma-separated). Empty means no cross-origin access.
+ */
+function getCorsOrigins() {
+  return String(process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map((o) => o.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+}
+
 /**
  * Get configuration summary
  */
@@ -44,11 +54,18 @@ function getConfigSummary() {
     listId: process.env.SENDY_LIST_ID,
     cacheEnabled: true,
     cacheTTL: process.env.CACHE_TTL || 3600,
-    webhookSecretConfigured: !!process.env.CALENDLY_WEBHOOK_SECRET
+    webhookSecretConfigured: !!process.env.CALENDLY_WEBHOOK_SECRET,
+    webhookSecretRotation: !!process.env.CALENDLY_WEBHOOK_SECRET_PREVIOUS,
+    webhookStrict: String(process.env.CALENDLY_WEBHOOK_STRICT || '').toLowerCase() === 'true',
+    shopifyWebhookSecretConfigured: !!process.env.SHOPIFY_WEBHOOK_SECRET,
+    shopifyListId: process.env.SENDY_SHOPIFY_LIST_ID || process.env.SENDY_LIST_ID,
+    webhookToleranceSeconds: process.env.CALENDLY_WEBHOOK_TOLERANCE_SECONDS || 180,
+    corsOrigins: getCorsOrigins()
   };
 }
 
 module.exports = {
   validateConfig,
-  getConfigSummary
+  getConfigSummary,
+  getCorsOrigins
 };
\ No newline at end of file
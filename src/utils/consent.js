@@ -0,0 +1,41 @@
+const { compileNamePattern } = require('./routing');
+
+/**
+ * Consent rule from env (or explicit overrides). Returns null when no consent question is configured,
+ * in which case every booker may be subscribed.
+ *
+ * CALENDLY_CONSENT_QUESTION  question text (case-insensitive, `*` wildcard or /regex/)
+ * CALENDLY_CONSENT_ANSWERS   comma-separated accepted answers; empty = any non-empty answer
+ */
+function getConsentRule({ question, answers } = {}) {
+  const q = (question !== undefined ? question : process.env.CALENDLY_CONSENT_QUESTION) || '';
+  if (!String(q).trim()) return null;
+  const rawAnswers = answers !== undefined ? answers : process.env.CALENDLY_CONSENT_ANSWERS || '';
+  const accepted = (Array.isArray(rawAnswers) ? rawAnswers : String(rawAnswers).split(','))
+    .map((a) => String(a).trim().toLowerCase())
+    .filter(Boolean);
+  return { question: String(q).trim(), questionRegex: compileNamePattern(String(q).trim()), accepted };
+}
+
+/**
+ * Check an invitee's questions_and_answers against the rule.
+ * Returns { consented, question, answer } - question/answer are the evidence (or null).
+ */
+function evaluateConsent(questionsAndAnswers, rule) {
+  if (!rule) return { consented: true, question: null, answer: null };
+  const qa = (questionsAndAnswers || []).find((item) => item && rule.questionRegex.test(String(item.question || '').trim()));
+  if (!qa) return { consented: false, question: null, answer: null };
+
+  const answer = qa.answer === undefined || qa.answer === null ? '' : String(qa.answer).trim();
+  // checkbox answers may hold several selected options separated by newlines
+  const selected = answer.split('\n').map((a) => a.trim().toLowerCase()).filter(Boolean);
+  const consented = rule.accepted.length
+    ? selected.some((a) => rule.accepted.includes(a))
+    : selected.length > 0;
+  return { consented, question: qa.question, answer };
+}
+
+module.exports = {
+  getConsentRule,
+  evaluateConsent
+};
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Per-email consent evidence: the booking answer that allowed us to subscribe, and when it was given.
+ * { emails: { [email]: { question, answer, consentedAt, recordedAt, source, event } } }
+ */
+class ConsentStore {
+  constructor({ filePath } = {}) {
+    this.filePath = filePath || process.env.CONSENT_EVIDENCE_FILE || path.join(process.cwd(), '.consent_evidence.json');
+    this.data = { emails: {} };
+    this._loaded = false;
+  }
+
+  load() {
+    if (this._loaded) return;
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        if (!this.data.emails) this.data.emails = {};
+      }
+    } catch (_) {
+      // unreadable evidence must not be silently replaced; keep it aside and start fresh
+      try { fs.renameSync(this.filePath, `${this.filePath}.corrupt-${Date.now()}`); } catch (_e) {}
+      this.data = { emails: {} };
+    }
+    this._loaded = true;
+  }
+
+  // Write then rename, so a crash mid-write never leaves half a file of consent evidence
+  save() {
+    const tmp = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmp, this.filePath);
+  }
+
+  get(email) {
+    this.load();
+    return this.data.emails[String(email).toLowerCase()] || null;
+  }
+
+  // Keep the earliest consent we saw; later bookings only refresh recordedAt
+  record(email, { question, answer, consentedAt, source = 'calendly', event = null }) {
+    this.load();
+    const key = String(email).toLowerCase();
+    const existing = this.data.emails[key];
+    const recordedAt = new Date().toISOString();
+    if (existing && existing.consentedAt && consentedAt && new Date(existing.consentedAt) <= new Date(consentedAt)) {
+      existing.recordedAt = recordedAt;
+      return existing;
+    }
+    this.data.emails[key] = { question, answer, consentedAt: consentedAt || recordedAt, recordedAt, source, event };
+    return this.data.emails[key];
+  }
+}
+
+module.exports = ConsentStore;
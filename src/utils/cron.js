@@ -0,0 +1,125 @@
+/**
+ * Minimal 5-field cron expressions (minute hour day-of-month month day-of-week), evaluated
+ * in the server's local time zone. Supports `*`, lists, ranges, steps, month/day names and
+ * the @hourly/@daily/@weekly/@monthly/@yearly aliases.
+ */
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTHS, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAYS, offset: 0 }
+];
+
+function parseValue(raw, field, expr) {
+  const lower = raw.toLowerCase();
+  if (field.names && field.names.includes(lower)) return field.names.indexOf(lower) + field.offset;
+  if (!/^\d+$/.test(raw)) throw new Error(`Invalid ${field.name} "${raw}" in cron expression "${expr}"`);
+  const value = parseInt(raw, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} ${value} out of range ${field.min}-${field.max} in cron expression "${expr}"`);
+  }
+  return value;
+}
+
+function parseField(text, field, expr) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step > 0)) throw new Error(`Invalid step "${part}" in cron expression "${expr}"`);
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      start = parseValue(a, field, expr);
+      end = parseValue(b, field, expr);
+      if (start > end) throw new Error(`Invalid range "${range}" in cron expression "${expr}"`);
+    } else {
+      start = parseValue(range, field, expr);
+      // "5/15" means every 15 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+  return { values, restricted: text !== '*' };
+}
+
+/**
+ * Parse an expression into matchers. Throws on invalid input.
+ */
+function parseCron(expression) {
+  const expr = String(expression || '').trim();
+  const normalized = ALIASES[expr.toLowerCase()] || expr;
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression "${expr}" must have 5 fields (minute hour day month weekday)`);
+
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i], expr));
+  // 7 is an alias for Sunday
+  if (dow.values.has(7)) dow.values.add(0);
+  return { expression: expr, minute, hour, dom, month, dow };
+}
+
+// Standard cron rule: when both day fields are restricted, either may match
+function dayMatches(cron, date) {
+  const domOk = cron.dom.values.has(date.getDate());
+  const dowOk = cron.dow.values.has(date.getDay());
+  if (cron.dom.restricted && cron.dow.restricted) return domOk || dowOk;
+  return domOk && dowOk;
+}
+
+/**
+ * First time strictly after `from` that matches the expression (or parsed cron). Null if none within ~5 years.
+ */
+function nextRun(cronOrExpression, from = new Date()) {
+  const cron = typeof cronOrExpression === 'string' ? parseCron(cronOrExpression) : cronOrExpression;
+  const d = new Date(from.getTime());
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const limit = from.getTime() + 5 * 366 * 24 * 3600 * 1000;
+
+  while (d.getTime() <= limit) {
+    if (!cron.month.values.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(cron, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.values.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.values.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return d;
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  nextRun
+};
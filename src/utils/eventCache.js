@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+function getEventCacheDir() {
+  return process.env.CALENDLY_EVENT_CACHE_DIR || path.join(process.cwd(), '.calendly_event_cache');
+}
+
+/**
+ * On-disk cache of the raw invitees of past Calendly events, one file per event UUID:
+ * { uuid, endTime, cachedAt, invitees }
+ * Invitees of an event that is over rarely change, so re-running analytics or a backfill
+ * over the same window only fetches events that are new or still upcoming.
+ */
+class EventInviteeCache {
+  constructor({ dir } = {}) {
+    this.dir = dir || getEventCacheDir();
+    this.stats = { hits: 0, misses: 0, writes: 0 };
+  }
+
+  _file(uuid) {
+    if (!/^[\w-]+$/.test(String(uuid || ''))) return null;
+    return path.join(this.dir, `${uuid}.json`);
+  }
+
+  // Cached raw invitees for an event, or null
+  get(uuid) {
+    const file = this._file(uuid);
+    try {
+      if (file && fs.existsSync(file)) {
+        const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (Array.isArray(entry.invitees)) {
+          this.stats.hits++;
+          return entry.invitees;
+        }
+      }
+    } catch (_) {
+      // an unreadable entry is just a miss; the next fetch rewrites it
+    }
+    this.stats.misses++;
+    return null;
+  }
+
+  // Only events that have ended are stored; returns whether the entry was written
+  set(uuid, event, invitees, now = Date.now()) {
+    const file = this._file(uuid);
+    const endTime = event && (event.end_time || event.start_time);
+    if (!file || !endTime || isNaN(new Date(endTime)) || new Date(endTime).getTime() > now) return false;
+    fs.mkdirSync(this.dir, { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ uuid, endTime, cachedAt: new Date(now).toISOString(), invitees }));
+    fs.renameSync(tmp, file);
+    this.stats.writes++;
+    return true;
+  }
+}
+
+module.exports = EventInviteeCache;
+module.exports.getEventCacheDir = getEventCacheDir;
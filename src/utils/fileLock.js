@@ -0,0 +1,86 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: the process exists but belongs to someone else
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * Exclusive lock backed by a file created with O_EXCL. A lock left behind by a dead process
+ * on this host, or older than `staleMs`, is taken over. A lock file that cannot be parsed may still
+ * be in the middle of being written, so it only counts as stale once it is `unreadableMs` old.
+ */
+class FileLock {
+  constructor(filePath, { staleMs = 6 * 3600 * 1000, unreadableMs = 10 * 1000 } = {}) {
+    this.filePath = filePath;
+    this.staleMs = staleMs;
+    this.unreadableMs = unreadableMs;
+    this.held = false;
+  }
+
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  isStale(info, now = Date.now()) {
+    if (!info) {
+      let stat;
+      try {
+        stat = fs.statSync(this.filePath);
+      } catch (_) {
+        return true; // gone already
+      }
+      return now - stat.mtimeMs > this.unreadableMs;
+    }
+    if (info.host === os.hostname() && info.pid && !isProcessAlive(info.pid)) return true;
+    return now - new Date(info.acquiredAt || 0).getTime() > this.staleMs;
+  }
+
+  /**
+   * Try to take the lock. Returns true on success, false if another live holder has it.
+   */
+  acquire(meta = {}) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const info = { pid: process.pid, host: os.hostname(), acquiredAt: new Date().toISOString(), ...meta };
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const fd = fs.openSync(this.filePath, 'wx');
+        try {
+          fs.writeSync(fd, JSON.stringify(info));
+        } finally {
+          fs.closeSync(fd);
+        }
+        this.held = true;
+        return true;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+        if (!this.isStale(this.read())) return false;
+        try { fs.unlinkSync(this.filePath); } catch (_) {}
+      }
+    }
+    return false;
+  }
+
+  release() {
+    if (!this.held) return;
+    this.held = false;
+    const info = this.read();
+    // never remove a lock that was taken over by someone else
+    if (info && info.pid === process.pid && info.host === os.hostname()) {
+      try { fs.unlinkSync(this.filePath); } catch (_) {}
+    }
+  }
+}
+
+module.exports = FileLock;
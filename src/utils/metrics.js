@@ -0,0 +1,108 @@
+const client = require('prom-client');
+const cache = require('./cache');
+
+/**
+ * Prometheus metrics for the webhook server (exposed on GET /metrics).
+ * Scripts may record into the same registry; it is only exported by the server.
+ */
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'calendly_sendy_' });
+
+const webhooksReceived = new client.Counter({
+  name: 'calendly_sendy_webhooks_received_total',
+  help: 'Webhooks received, by source and event type',
+  labelNames: ['source', 'event'],
+  registers: [registry]
+});
+
+const signatureFailures = new client.Counter({
+  name: 'calendly_sendy_webhook_signature_failures_total',
+  help: 'Webhooks rejected by signature verification, by source and reason',
+  labelNames: ['source', 'reason'],
+  registers: [registry]
+});
+
+const sendySubscribeResults = new client.Counter({
+  name: 'calendly_sendy_sendy_subscribe_total',
+  help: 'Sendy subscribe calls, by normalized result',
+  labelNames: ['result'],
+  registers: [registry]
+});
+
+const outboundDuration = new client.Histogram({
+  name: 'calendly_sendy_outbound_request_duration_seconds',
+  help: 'Latency of outbound API calls, by client, method and status',
+  labelNames: ['client', 'method', 'status'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry]
+});
+
+const retries = new client.Counter({
+  name: 'calendly_sendy_retries_total',
+  help: 'Retries, by component and reason',
+  labelNames: ['component', 'reason'],
+  registers: [registry]
+});
+
+// NodeCache keeps its own running stats; read them at scrape time
+const cacheStats = (name, help, key) => new client.Gauge({
+  name,
+  help,
+  registers: [registry],
+  collect() {
+    this.set(cache.getStats()[key] || 0);
+  }
+});
+cacheStats('calendly_sendy_cache_hits', 'In-memory cache hits since start', 'hits');
+cacheStats('calendly_sendy_cache_misses', 'In-memory cache misses since start', 'misses');
+cacheStats('calendly_sendy_cache_keys', 'Keys currently held in the in-memory cache', 'keys');
+
+/**
+ * Label a Sendy subscribe result by its reply code (see SENDY_REPLIES in the Sendy client), so the
+ * label values stay a small, fixed set: subscribed, already_subscribed, invalid_email, network_error, ...
+ */
+function normalizeSubscribeResult({ success, code } = {}) {
+  if (code === 'ALREADY_SUBSCRIBED') return 'already_subscribed';
+  if (success) return 'subscribed';
+  return code ? String(code).toLowerCase() : 'error';
+}
+
+function recordSubscribeResult(result) {
+  sendySubscribeResults.inc({ result: normalizeSubscribeResult(result) });
+}
+
+/**
+ * Time every request made through an axios instance
+ */
+function instrumentAxios(http, clientName) {
+  http.interceptors.request.use((config) => {
+    config.metadata = { ...(config.metadata || {}), startedAt: process.hrtime.bigint() };
+    return config;
+  });
+  const observe = (config, status) => {
+    if (!config || !config.metadata || !config.metadata.startedAt) return;
+    const seconds = Number(process.hrtime.bigint() - config.metadata.startedAt) / 1e9;
+    outboundDuration.observe({ client: clientName, method: String(config.method || 'get').toUpperCase(), status: String(status) }, seconds);
+  };
+  http.interceptors.response.use(
+    (response) => {
+      observe(response.config, response.status);
+      return response;
+    },
+    (error) => {
+      observe(error.config, error.response ? error.response.status : (error.code || 'error'));
+      return Promise.reject(error);
+    }
+  );
+  return http;
+}
+
+module.exports = {
+  registry,
+  webhooksReceived,
+  signatureFailures,
+  retries,
+  instrumentAxios,
+  normalizeSubscribeResult,
+  recordSubscribeResult
+};
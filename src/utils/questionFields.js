@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const { compileNamePattern } = require('./routing');
+
+/**
+ * Calendly booking questions → Sendy custom fields.
+ *
+ * Field map file (JSON, default ./calendly-fields.json or CALENDLY_FIELD_MAP_FILE):
+ * {
+ *   "fields": [
+ *     { "question": "Company", "field": "Company" },
+ *     { "question": "/how did you hear/i", "field": "Referral" },
+ *     { "position": 1, "field": "Role" }
+ *   ]
+ * }
+ * `question` is matched case-insensitively against the question text (`*` wildcard or /regex/);
+ * `position` is Calendly's 0-based question position. `field` is the Sendy custom field name.
+ */
+
+function getFieldMapFilePath(filePath) {
+  return filePath || process.env.CALENDLY_FIELD_MAP_FILE || path.join(process.cwd(), 'calendly-fields.json');
+}
+
+/**
+ * Load and validate the field map. Returns null when the file does not exist.
+ */
+function loadFieldMap(filePath) {
+  const resolved = getFieldMapFilePath(filePath);
+  if (!fs.existsSync(resolved)) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid field map file ${resolved}: ${err.message}`);
+  }
+
+  const fields = (parsed.fields || []).map((f, idx) => {
+    if (!f.field) throw new Error(`Field mapping #${idx + 1} in ${resolved} has no "field"`);
+    const hasPosition = f.position !== undefined && f.position !== null && f.position !== '';
+    if (!f.question && !hasPosition) throw new Error(`Field mapping #${idx + 1} in ${resolved} needs "question" or "position"`);
+    return {
+      field: String(f.field).trim(),
+      question: f.question ? String(f.question) : null,
+      questionRegex: f.question ? compileNamePattern(String(f.question).trim()) : null,
+      position: hasPosition ? parseInt(f.position, 10) : null
+    };
+  });
+
+  return { filePath: resolved, fields };
+}
+
+/**
+ * Map an invitee's questions_and_answers to { [sendyField]: answer }. Empty answers are dropped.
+ */
+function mapAnswersToFields(questionsAndAnswers, fieldMap) {
+  const out = {};
+  if (!fieldMap || !Array.isArray(questionsAndAnswers)) return out;
+
+  questionsAndAnswers.forEach((qa, idx) => {
+    if (!qa) return;
+    const answer = qa.answer === undefined || qa.answer === null ? '' : String(qa.answer).trim();
+    if (!answer) return;
+    const question = String(qa.question || '').trim();
+    const position = qa.position !== undefined && qa.position !== null ? qa.position : idx;
+    for (const mapping of fieldMap.fields) {
+      const byQuestion = mapping.questionRegex && mapping.questionRegex.test(question);
+      const byPosition = mapping.position !== null && mapping.position === position;
+      if ((byQuestion || byPosition) && out[mapping.field] === undefined) out[mapping.field] = answer;
+    }
+  });
+  return out;
+}
+
+module.exports = {
+  getFieldMapFilePath,
+  loadFieldMap,
+  mapAnswersToFields
+};
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Event-type → Sendy list routing.
+ *
+ * Routing file (JSON, default ./sendy-routing.json or SENDY_ROUTING_FILE):
+ * {
+ *   "default": ["fallbackListId"],
+ *   "routes": [
+ *     { "eventType": "https://api.calendly.com/event_types/ABC", "lists": ["listA"] },
+ *     { "name": "Discovery*", "lists": ["listB"] },
+ *     { "name": "/workshop/i", "lists": ["listC", "listD"] }
+ *   ]
+ * }
+ * Routes are checked in order and the first match wins.
+ */
+
+function getRoutingFilePath(filePath) {
+  return filePath || process.env.SENDY_ROUTING_FILE || path.join(process.cwd(), 'sendy-routing.json');
+}
+
+const toList = (v) => (Array.isArray(v) ? v : v ? [v] : []).map((x) => String(x).trim()).filter(Boolean);
+
+// Turn "/pattern/flags" into a RegExp, otherwise treat the value as a case-insensitive glob (* wildcard).
+// The g and y flags are dropped: they make test() stateful, and compiled patterns are reused for every record.
+function compileNamePattern(pattern) {
+  const regexMatch = /^\/(.+)\/([gimsuy]*)$/.exec(pattern);
+  if (regexMatch) return new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+  const escaped = pattern.split('*').map((p) => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Load and validate the routing file. Returns null when the file does not exist.
+ */
+function loadRouting(filePath) {
+  const resolved = getRoutingFilePath(filePath);
+  if (!fs.existsSync(resolved)) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid routing file ${resolved}: ${err.message}`);
+  }
+
+  const routes = (parsed.routes || []).map((r, idx) => {
+    const lists = toList(r.lists || r.listId || r.list);
+    if (!lists.length) throw new Error(`Routing rule #${idx + 1} in ${resolved} has no lists`);
+    if (!r.eventType && !r.name) throw new Error(`Routing rule #${idx + 1} in ${resolved} needs "eventType" or "name"`);
+    return {
+      eventType: r.eventType ? String(r.eventType).trim() : null,
+      name: r.name ? String(r.name) : null,
+      nameRegex: r.name ? compileNamePattern(String(r.name)) : null,
+      lists
+    };
+  });
+
+  return { filePath: resolved, default: toList(parsed.default), routes };
+}
+
+function matchesEventType(ruleType, eventType) {
+  if (!eventType) return false;
+  // allow rules to use the bare event type UUID instead of the full URI
+  return ruleType === eventType || eventType.split('/').pop() === ruleType;
+}
+
+/**
+ * Resolve the Sendy list ids for an event. Falls back to routing.default, then fallbackListId.
+ * Returns { lists, matchedBy } where matchedBy is the rule label or 'default'.
+ */
+function resolveLists(routing, { eventType = null, eventName = null } = {}, fallbackListId = null) {
+  if (routing) {
+    for (const rule of routing.routes) {
+      if (rule.eventType && matchesEventType(rule.eventType, eventType)) {
+        return { lists: rule.lists, matchedBy: `eventType:${rule.eventType}` };
+      }
+      if (rule.nameRegex && eventName && rule.nameRegex.test(eventName)) {
+        return { lists: rule.lists, matchedBy: `name:${rule.name}` };
+      }
+    }
+    if (routing.default.length) return { lists: routing.default, matchedBy: 'default' };
+  }
+  return { lists: toList(fallbackListId), matchedBy: 'default' };
+}
+
+module.exports = {
+  compileNamePattern,
+  getRoutingFilePath,
+  loadRouting,
+  resolveLists
+};
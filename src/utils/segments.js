@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const { compileNamePattern } = require('./routing');
+
+/**
+ * Rule-based segments: extra Sendy lists a contact joins on top of its routed list.
+ *
+ * Segments file (JSON, default ./sendy-segments.json or SENDY_SEGMENTS_FILE):
+ * {
+ *   "segments": [
+ *     { "name": "vip", "when": { "bookings": { "gte": 3 } }, "lists": ["vipList"] },
+ *     { "name": "high-value", "when": { "source": "shopify", "order_value": { "gt": 200 } }, "lists": ["hvList"] },
+ *     { "name": "workshops", "when": { "events": "/workshop/i" }, "lists": ["wsList"] }
+ *   ]
+ * }
+ * Every condition in `when` must hold. A string is a case-insensitive glob (`*`) or /regex/, a number
+ * or boolean must be equal, an array matches any of its values, and an object uses operators:
+ * gt, gte, lt, lte, eq, ne, in, matches, exists. A condition on an array fact (e.g. `events`)
+ * holds when any element matches. Every matching segment applies, so a contact can join several lists.
+ *
+ * Facts come from the sources' profiles(): source, email, name, and bookings / event / events /
+ * event_type for Calendly, orders / order_value / last_order / total_spent for Shopify.
+ */
+
+const OPERATORS = ['gt', 'gte', 'lt', 'lte', 'eq', 'ne', 'in', 'matches', 'exists'];
+
+function getSegmentsFilePath(filePath) {
+  return filePath || process.env.SENDY_SEGMENTS_FILE || path.join(process.cwd(), 'sendy-segments.json');
+}
+
+const toList = (v) => (Array.isArray(v) ? v : v ? [v] : []).map((x) => String(x).trim()).filter(Boolean);
+
+const toNumber = (v) => (v === null || v === undefined || v === '' ? NaN : Number(v));
+
+// A single expected value: pattern for strings, equality otherwise
+function valueTest(expected) {
+  if (typeof expected === 'string') {
+    const regex = compileNamePattern(expected);
+    return (v) => v !== null && v !== undefined && regex.test(String(v));
+  }
+  if (typeof expected === 'number') return (v) => toNumber(v) === expected;
+  return (v) => v === expected;
+}
+
+function operatorTest(op, expected) {
+  switch (op) {
+    case 'gt': return (v) => toNumber(v) > expected;
+    case 'gte': return (v) => toNumber(v) >= expected;
+    case 'lt': return (v) => toNumber(v) < expected;
+    case 'lte': return (v) => toNumber(v) <= expected;
+    case 'eq': return valueTest(expected);
+    case 'ne': { const eq = valueTest(expected); return (v) => !eq(v); }
+    case 'in': { const tests = toList(expected).map(valueTest); return (v) => tests.some((t) => t(v)); }
+    case 'matches': return valueTest(String(expected));
+    default: return null;
+  }
+}
+
+// Compile one `field: matcher` pair into (facts) => boolean
+function compileCondition(field, matcher, where) {
+  let tests;
+  let exists = null;
+  if (Array.isArray(matcher)) {
+    const any = matcher.map(valueTest);
+    tests = [(v) => any.some((t) => t(v))];
+  } else if (matcher && typeof matcher === 'object') {
+    tests = [];
+    for (const [op, expected] of Object.entries(matcher)) {
+      if (!OPERATORS.includes(op)) throw new Error(`${where}: unknown operator "${op}" for "${field}" (use ${OPERATORS.join(', ')})`);
+      if (op === 'exists') { exists = !!expected; continue; }
+      if (['gt', 'gte', 'lt', 'lte'].includes(op) && typeof expected !== 'number') {
+        throw new Error(`${where}: "${op}" for "${field}" needs a number`);
+      }
+      tests.push(operatorTest(op, expected));
+    }
+  } else {
+    tests = [valueTest(matcher)];
+  }
+
+  return (facts) => {
+    const value = field.split('.').reduce((obj, key) => (obj === null || obj === undefined ? undefined : obj[key]), facts);
+    const present = Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined && value !== '';
+    if (exists !== null && present !== exists) return false;
+    if (!tests.length) return true;
+    const values = Array.isArray(value) ? value : [value];
+    return tests.every((t) => values.some((v) => t(v)));
+  };
+}
+
+/**
+ * Load and validate the segments file. Returns null when the file does not exist.
+ */
+function loadSegments(filePath) {
+  const resolved = getSegmentsFilePath(filePath);
+  if (!fs.existsSync(resolved)) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid segments file ${resolved}: ${err.message}`);
+  }
+
+  const names = new Set();
+  const segments = (parsed.segments || []).map((s, idx) => {
+    const where = `Segment #${idx + 1} in ${resolved}`;
+    const name = s.name ? String(s.name).trim() : `segment-${idx + 1}`;
+    if (names.has(name)) throw new Error(`${where}: duplicate name "${name}"`);
+    names.add(name);
+    const lists = toList(s.lists || s.listId || s.list);
+    if (!lists.length) throw new Error(`${where} has no lists`);
+    const when = s.when || {};
+    if (typeof when !== 'object' || Array.isArray(when) || !Object.keys(when).length) throw new Error(`${where} needs a "when" object with at least one condition`);
+    const conditions = Object.entries(when).map(([field, matcher]) => compileCondition(field, matcher, where));
+    return { name, lists, when, conditions };
+  });
+
+  return { filePath: resolved, segments };
+}
+
+/**
+ * Segments whose every condition holds for `facts`
+ */
+function matchSegments(segments, facts) {
+  if (!segments) return [];
+  return segments.segments.filter((s) => s.conditions.every((c) => c(facts || {})));
+}
+
+// Every list any segment can add
+function segmentLists(segments) {
+  if (!segments) return [];
+  return Array.from(new Set(segments.segments.flatMap((s) => s.lists)));
+}
+
+/**
+ * Add a contact per (matching segment list, email) to `contacts`. `profiles` supply the facts;
+ * only emails that already have a contact are segmented, and each copy keeps that contact's
+ * name and fields with `segment` set. Returns { contacts, matches } where matches maps each
+ * segment name to the emails it matched.
+ */
+function applySegments(segments, contacts, profiles, source) {
+  const matches = {};
+  if (!segments) return { contacts, matches };
+  segments.segments.forEach((s) => { matches[s.name] = []; });
+
+  const base = new Map();
+  for (const c of contacts) if (!base.has(c.email)) base.set(c.email, c);
+  const seen = new Set(contacts.map((c) => `${c.listId}:${c.email}`));
+  const out = contacts.slice();
+  for (const profile of profiles) {
+    const contact = base.get(profile.email);
+    if (!contact) continue;
+    for (const segment of matchSegments(segments, { source, ...profile })) {
+      matches[segment.name].push(contact.email);
+      for (const listId of segment.lists) {
+        const key = `${listId}:${contact.email}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        out.push({ ...contact, listId, segment: segment.name });
+      }
+    }
+  }
+  return { contacts: out, matches };
+}
+
+module.exports = {
+  getSegmentsFilePath,
+  loadSegments,
+  matchSegments,
+  segmentLists,
+  applySegments
+};
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SCOPES = ['read:events', 'run:sync', 'replay:deadletter'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * API tokens for the non-webhook routes. Only a SHA-256 hash of each token is stored;
+ * the plaintext is shown once by `create`.
+ * { tokens: [{ id, name, hash, scopes, createdAt, expiresAt, lastUsedAt, revokedAt }] }
+ *
+ * Tokens look like `cst_<id>_<secret>` so the record can be found without scanning hashes.
+ */
+class TokenStore {
+  constructor({ filePath } = {}) {
+    this.filePath = filePath || process.env.API_TOKENS_FILE || path.join(process.cwd(), '.api-tokens.json');
+    this.data = { tokens: [] };
+  }
+
+  // Re-read on every call so tokens created or revoked from the CLI apply to a running server
+  load() {
+    if (fs.existsSync(this.filePath)) {
+      try {
+        this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      } catch (err) {
+        throw new Error(`Invalid token file ${this.filePath}: ${err.message}`);
+      }
+      if (!Array.isArray(this.data.tokens)) this.data.tokens = [];
+    } else {
+      this.data = { tokens: [] };
+    }
+    return this.data;
+  }
+
+  save() {
+    const tmp = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, this.filePath);
+  }
+
+  /**
+   * Create a token. Returns { token, record }; the plaintext token cannot be recovered later.
+   */
+  create({ name, scopes, expiresAt = null }) {
+    if (!name) throw new Error('A token name is required');
+    const list = (Array.isArray(scopes) ? scopes : String(scopes || '').split(','))
+      .map((s) => s.trim())
+      .filter(Boolean);
+    if (!list.length) throw new Error(`At least one scope is required (${SCOPES.join(', ')})`);
+    const unknown = list.filter((s) => !SCOPES.includes(s));
+    if (unknown.length) throw new Error(`Unknown scope(s): ${unknown.join(', ')} (valid: ${SCOPES.join(', ')})`);
+
+    this.load();
+    if (this.data.tokens.some((t) => t.name === name && !t.revokedAt)) {
+      throw new Error(`An active token named "${name}" already exists`);
+    }
+    const id = crypto.randomBytes(4).toString('hex');
+    const token = `cst_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id,
+      name,
+      hash: hashToken(token),
+      scopes: Array.from(new Set(list)),
+      createdAt: new Date().toISOString(),
+      expiresAt: expiresAt || null,
+      lastUsedAt: null,
+      revokedAt: null
+    };
+    this.data.tokens.push(record);
+    this.save();
+    return { token, record };
+  }
+
+  list({ includeRevoked = false } = {}) {
+    this.load();
+    return this.data.tokens.filter((t) => includeRevoked || !t.revokedAt).map(({ hash, ...rest }) => rest);
+  }
+
+  // Revoke by id or name; returns the revoked record or null
+  revoke(idOrName) {
+    this.load();
+    const record = this.data.tokens.find((t) => !t.revokedAt && (t.id === idOrName || t.name === idOrName));
+    if (!record) return null;
+    record.revokedAt = new Date().toISOString();
+    this.save();
+    const { hash, ...rest } = record;
+    return rest;
+  }
+
+  /**
+   * Resolve a presented token. Returns { record } or { record: null, reason }.
+   */
+  verify(token, now = Date.now()) {
+    const match = /^cst_([0-9a-f]{8})_[A-Za-z0-9_-]+$/.exec(String(token || '').trim());
+    if (!match) return { record: null, reason: 'malformed-token' };
+    this.load();
+    const record = this.data.tokens.find((t) => t.id === match[1]);
+    if (!record) return { record: null, reason: 'unknown-token' };
+    const expected = Buffer.from(record.hash, 'hex');
+    const presented = Buffer.from(hashToken(token.trim()), 'hex');
+    if (expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) {
+      return { record: null, reason: 'unknown-token' };
+    }
+    if (record.revokedAt) return { record: null, reason: 'revoked' };
+    if (record.expiresAt && new Date(record.expiresAt).getTime() <= now) return { record: null, reason: 'expired' };
+    return { record };
+  }
+
+  // Note when a token was last used; written at most once a minute per token
+  touch(id, now = Date.now()) {
+    this.load();
+    const record = this.data.tokens.find((t) => t.id === id);
+    if (!record) return;
+    if (record.lastUsedAt && now - new Date(record.lastUsedAt).getTime() < 60000) return;
+    record.lastUsedAt = new Date(now).toISOString();
+    this.save();
+  }
+}
+
+module.exports = TokenStore;
+module.exports.SCOPES = SCOPES;
+module.exports.hashToken = hashToken;
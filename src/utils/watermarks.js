@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * High-water marks for incremental syncs, one per source and Sendy list:
+ * { marks: { "<source>:<listId>": { value, updatedAt } } }
+ * `value` is the newest source timestamp seen (invitee created_at, order/customer updated_at).
+ */
+class WatermarkStore {
+  constructor({ filePath } = {}) {
+    this.filePath = filePath || process.env.SYNC_WATERMARK_FILE || path.join(process.cwd(), '.sync_watermarks.json');
+    this.data = { marks: {} };
+    this._loaded = false;
+  }
+
+  load() {
+    if (this._loaded) return;
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        if (!this.data.marks) this.data.marks = {};
+      }
+    } catch (err) {
+      // a broken file would silently turn the next run into a full backfill; make it visible instead
+      throw new Error(`Invalid watermark file ${this.filePath}: ${err.message}`);
+    }
+    this._loaded = true;
+  }
+
+  save() {
+    const tmp = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmp, this.filePath);
+  }
+
+  get(source, listId) {
+    this.load();
+    const mark = this.data.marks[`${source}:${listId}`];
+    return mark ? mark.value : null;
+  }
+
+  /**
+   * Oldest mark across lists, or null if any list has none (that list still needs a backfill)
+   */
+  oldest(source, listIds) {
+    let oldest = null;
+    for (const listId of listIds) {
+      const value = this.get(source, listId);
+      if (!value) return null;
+      if (!oldest || new Date(value) < new Date(oldest)) oldest = value;
+    }
+    return oldest;
+  }
+
+  // Only ever moves forward
+  set(source, listId, value) {
+    this.load();
+    if (!value) return;
+    const key = `${source}:${listId}`;
+    const current = this.data.marks[key];
+    if (current && current.value && new Date(current.value) >= new Date(value)) return;
+    this.data.marks[key] = { value: new Date(value).toISOString(), updatedAt: new Date().toISOString() };
+  }
+
+  clear(source, listId) {
+    this.load();
+    delete this.data.marks[`${source}:${listId}`];
+  }
+}
+
+/**
+ * Start of the next incremental window: the watermark minus the overlap
+ */
+function windowStart(watermark, overlapMinutes) {
+  if (!watermark) return null;
+  return new Date(new Date(watermark).getTime() - (overlapMinutes || 0) * 60000).toISOString();
+}
+
+// Newest timestamp among records[field]
+function newestTimestamp(records, field) {
+  let newest = null;
+  for (const r of records || []) {
+    const value = r && r[field];
+    if (!value || isNaN(new Date(value))) continue;
+    if (!newest || new Date(value) > new Date(newest)) newest = value;
+  }
+  return newest;
+}
+
+module.exports = WatermarkStore;
+module.exports.windowStart = windowStart;
+module.exports.newestTimestamp = newestTimestamp;
@@ -0,0 +1,50 @@
+/**
+ * Classify Calendly webhook subscriptions for `calendly-sendy webhooks list` / `delete --stale --duplicates`.
+ *
+ * A subscription is flagged "duplicate" when another active one already targets the same URL,
+ * "stale" when it is disabled or points at a /webhook/calendly endpoint other than the target URL,
+ * and "current" when it is the (first) active subscription for the target URL.
+ */
+
+const WEBHOOK_PATH = '/webhook/calendly';
+
+function normalizeUrl(url) {
+  return String(url || '').trim().replace(/\/+$/, '').toLowerCase();
+}
+
+// [{ sub, flags }] in the order given; flags is a subset of stale, duplicate, current
+function classifySubscriptions(subscriptions, targetUrl) {
+  const target = normalizeUrl(targetUrl);
+  const seen = new Set();
+  return subscriptions.map((sub) => {
+    const url = normalizeUrl(sub.callback_url);
+    const flags = [];
+    if (sub.state && sub.state !== 'active') flags.push('stale');
+    else if (target && url !== target && url.endsWith(WEBHOOK_PATH)) flags.push('stale');
+    if (sub.state === 'active') {
+      if (seen.has(url)) flags.push('duplicate');
+      seen.add(url);
+    }
+    if (target && url === target && !flags.length) flags.push('current');
+    return { sub, flags };
+  });
+}
+
+function toRow({ sub, flags }) {
+  return {
+    uuid: String(sub.uri || '').split('/').pop(),
+    callback_url: sub.callback_url,
+    state: sub.state,
+    scope: sub.scope,
+    events: (sub.events || []).join(','),
+    created_at: sub.created_at,
+    retry_started_at: sub.retry_started_at || null,
+    flags: flags.join(',')
+  };
+}
+
+module.exports = {
+  normalizeUrl,
+  classifySubscriptions,
+  toRow
+};
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../../src/utils/logger');
+const EventInviteeCache = require('../../src/utils/eventCache');
+
+jest.spyOn(logger, 'warn').mockImplementation(() => {});
+jest.spyOn(logger, 'info').mockImplementation(() => {});
+const calendly = require('../../src/clients/calendlyClient');
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const event = (uuid, endTime = '2025-01-01T10:30:00Z') => ({ uri: `https://api.calendly.com/scheduled_events/${uuid}`, name: `Call ${uuid}`, end_time: endTime });
+
+describe('CalendlyClient.listInviteesAcrossEvents', () => {
+  let dir;
+  let getSpy;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendly-client-'));
+    calendly.rateLimitedUntil = 0;
+  });
+  afterEach(() => {
+    getSpy.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Invitees endpoint stub: one invitee per event, slower for earlier events
+  const stubInvitees = (impl) => {
+    getSpy = jest.spyOn(calendly.http, 'get').mockImplementation(impl || (async (url) => {
+      const uuid = url.split('/')[2];
+      await sleep(uuid === 'E1' ? 30 : 5);
+      return { data: { collection: [{ email: `${uuid.toLowerCase()}@example.com`, name: uuid, created_at: '2025-01-01T09:00:00Z' }], pagination: {} } };
+    }));
+  };
+
+  test('fetches events concurrently and keeps invitees in event order', async () => {
+    stubInvitees();
+    const seen = [];
+    const events = [event('E1'), event('E2'), event('E3')];
+    const invitees = await calendly.listInviteesAcrossEvents({ events, concurrency: 3, onEventInvitees: (uuid) => seen.push(uuid) });
+
+    expect(invitees.map(i => i.email)).toEqual(['e1@example.com', 'e2@example.com', 'e3@example.com']);
+    expect(invitees[0]).toMatchObject({ event_uuid: 'E1', event_name: 'Call E1' });
+    expect(seen).toEqual(['E1', 'E2', 'E3']);
+  });
+
+  test('serves past events from the event cache unless refreshEvents is set', async () => {
+    stubInvitees();
+    const eventCache = new EventInviteeCache({ dir });
+    const events = [event('E1'), event('E2', '2999-01-01T00:00:00Z')];
+
+    await calendly.listInviteesAcrossEvents({ events, eventCache });
+    expect(getSpy).toHaveBeenCalledTimes(2);
+    expect(fs.readdirSync(dir)).toEqual(['E1.json']);
+
+    getSpy.mockClear();
+    const cached = await calendly.listInviteesAcrossEvents({ events, eventCache: new EventInviteeCache({ dir }) });
+    expect(cached.map(i => i.email)).toEqual(['e1@example.com', 'e2@example.com']);
+    expect(getSpy).toHaveBeenCalledTimes(1);
+    expect(getSpy.mock.calls[0][0]).toContain('/E2/');
+
+    getSpy.mockClear();
+    await calendly.listInviteesAcrossEvents({ events, eventCache: new EventInviteeCache({ dir }), refreshEvents: true });
+    expect(getSpy).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not cache an event whose invitees failed to load', async () => {
+    stubInvitees(async () => { const err = new Error('Forbidden'); err.response = { status: 403 }; throw err; });
+    await calendly.listInviteesAcrossEvents({ events: [event('E1')], eventCache: new EventInviteeCache({ dir }) });
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test('a 429 pauses the other in-flight requests until Retry-After has passed', async () => {
+    const calls = [];
+    stubInvitees(async (url, config) => {
+      const uuid = url.split('/')[2];
+      const page = config.params.page_token || 'first';
+      calls.push({ uuid, page, at: Date.now() });
+      if (uuid === 'E1' && calls.filter(c => c.uuid === 'E1').length === 1) {
+        const err = new Error('Too Many Requests');
+        err.response = { status: 429, headers: { 'retry-after': '0' } };
+        throw err;
+      }
+      await sleep(10);
+      return { data: { collection: [], pagination: { next_page_token: uuid === 'E2' && page === 'first' ? 'p2' : undefined } } };
+    });
+
+    const began = Date.now();
+    await calendly.listInviteesAcrossEvents({ events: [event('E1'), event('E2')], concurrency: 2 });
+    // E2's second page was requested while E1 was rate limited, so it waits out the pause too
+    const e2Second = calls.find(c => c.uuid === 'E2' && c.page === 'p2');
+    const e1Retry = calls.filter(c => c.uuid === 'E1')[1];
+    expect(e2Second.at - began).toBeGreaterThanOrEqual(450);
+    expect(e1Retry.at - began).toBeGreaterThanOrEqual(450);
+  });
+});
@@ -0,0 +1,259 @@
+const logger = require('../../src/utils/logger');
+
+const ENV_KEYS = ['SENDY_INSTALLATION_URL', 'SENDY_API_KEY', 'SENDY_RETRY_DELAY_MS', 'SENDY_BRAND_ID', 'SENDY_FROM_NAME', 'SENDY_FROM_EMAIL', 'SENDY_REPLY_TO'];
+const savedEnv = {};
+for (const key of ENV_KEYS) savedEnv[key] = process.env[key];
+Object.assign(process.env, { SENDY_INSTALLATION_URL: 'http://sendy.test', SENDY_API_KEY: 'key', SENDY_RETRY_DELAY_MS: '0' });
+for (const key of ENV_KEYS.slice(3)) delete process.env[key];
+
+jest.spyOn(logger, 'warn').mockImplementation(() => {});
+jest.spyOn(logger, 'error').mockImplementation(() => {});
+const sendy = require('../../src/clients/sendyClient');
+const { SendyClient, classifyReply } = require('../../src/clients/sendyClient');
+
+afterAll(() => {
+  for (const key of ENV_KEYS) {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  }
+});
+
+// The form fields of a POST, whichever way the body was encoded
+const form = (call) => Object.fromEntries(new URLSearchParams(call[1].toString()));
+
+describe('SendyClient writes', () => {
+  let post;
+  let get;
+  let httpsPost;
+  beforeEach(() => {
+    post = jest.spyOn(sendy.http, 'post');
+    get = jest.spyOn(sendy.http, 'get');
+    httpsPost = jest.spyOn(sendy.httpsHttp, 'post');
+  });
+  afterEach(() => [post, get, httpsPost].forEach((spy) => spy.mockRestore()));
+
+  test('unsubscribe posts to /unsubscribe and treats "1" as success', async () => {
+    post.mockResolvedValue({ status: 200, data: '1' });
+    const res = await sendy.unsubscribe({ email: 'a@example.com', listId: 'L1' });
+    expect(res).toEqual({ success: true, message: '1', statusCode: 200 });
+    expect(post.mock.calls[0][0]).toBe('/unsubscribe');
+    expect(form(post.mock.calls[0])).toEqual({ api_key: 'key', email: 'a@example.com', list: 'L1', boolean: 'true' });
+  });
+
+  test('deleteSubscriber reports Sendy errors', async () => {
+    post.mockResolvedValue({ status: 200, data: 'Subscriber does not exist' });
+    const res = await sendy.deleteSubscriber({ email: 'a@example.com', listId: 'L1' });
+    expect(res).toMatchObject({ success: false, code: 'NOT_IN_LIST', message: 'Subscriber does not exist' });
+    expect(post.mock.calls[0][0]).toBe('/api/subscribers/delete.php');
+    expect(form(post.mock.calls[0])).toEqual({ api_key: 'key', email: 'a@example.com', list_id: 'L1' });
+  });
+
+  test('"No data passed" retries the other encoding, then HTTPS, but never GET', async () => {
+    post.mockResolvedValue({ status: 200, data: 'No data passed' });
+    httpsPost.mockResolvedValue({ status: 200, data: 'true' });
+    const res = await sendy.deleteSubscriber({ email: 'a@example.com', listId: 'L1' });
+    expect(res.success).toBe(true);
+    expect(post).toHaveBeenCalledTimes(2);
+    expect(post.mock.calls[1][1]).toBeInstanceOf(URLSearchParams);
+    expect(get).not.toHaveBeenCalled();
+    expect(httpsPost).toHaveBeenCalledTimes(1);
+  });
+
+  test('network errors are retried, then become a failed result', async () => {
+    post.mockRejectedValue(Object.assign(new Error('timeout of 15000ms exceeded'), { code: 'ECONNABORTED' }));
+    const res = await sendy.unsubscribe({ email: 'a@example.com', listId: 'L1' });
+    expect(res).toMatchObject({ success: false, code: 'TIMEOUT', message: 'timeout of 15000ms exceeded' });
+    expect(post).toHaveBeenCalledTimes(1 + sendy.maxRetries);
+  });
+
+  test('a 5xx is retried with backoff until Sendy answers', async () => {
+    const busy = Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } });
+    post.mockRejectedValueOnce(busy).mockResolvedValueOnce({ status: 200, data: 'true' });
+    const res = await sendy.unsubscribe({ email: 'a@example.com', listId: 'L1' });
+    expect(res).toEqual({ success: true, message: 'true', statusCode: 200 });
+    expect(post).toHaveBeenCalledTimes(2);
+  });
+
+  test('a 429 is retried as RATE_LIMITED', async () => {
+    const limited = Object.assign(new Error('Request failed with status code 429'), { response: { status: 429 } });
+    post.mockRejectedValue(limited);
+    const res = await sendy.unsubscribe({ email: 'a@example.com', listId: 'L1' });
+    expect(res).toMatchObject({ success: false, code: 'RATE_LIMITED', statusCode: 429 });
+    expect(post).toHaveBeenCalledTimes(1 + sendy.maxRetries);
+  });
+
+  test('other HTTP errors are not retried', async () => {
+    post.mockRejectedValue(Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } }));
+    const res = await sendy.deleteSubscriber({ email: 'a@example.com', listId: 'L1' });
+    expect(res).toMatchObject({ success: false, code: 'HTTP_ERROR', statusCode: 404 });
+    expect(post).toHaveBeenCalledTimes(1);
+  });
+
+  test('an unconfigured client fails with NOT_CONFIGURED without calling Sendy', async () => {
+    const bare = Object.assign(new SendyClient(), { apiKey: undefined });
+    const res = await bare.subscribe({ email: 'a@example.com', listId: 'L1' });
+    expect(res).toMatchObject({ success: false, code: 'NOT_CONFIGURED' });
+  });
+});
+
+describe('SendyClient replies', () => {
+  let post;
+  beforeEach(() => {
+    post = jest.spyOn(sendy.http, 'post');
+  });
+  afterEach(() => post.mockRestore());
+
+  const reply = (data) => post.mockResolvedValue({ status: 200, data });
+
+  test('classifyReply maps known replies to codes and only exact matches to success', () => {
+    expect(classifyReply('true', ['true', '1'])).toEqual({ success: true, code: null });
+    expect(classifyReply('Invalid API key', ['true'])).toEqual({ success: false, code: 'INVALID_API_KEY' });
+    expect(classifyReply('Some fields are missing.')).toEqual({ success: false, code: 'MISSING_FIELDS' });
+    expect(classifyReply('Email is suppressed.')).toEqual({ success: false, code: 'SUPPRESSED' });
+    expect(classifyReply('Already unsubscribed.', ['true'])).toEqual({ success: false, code: 'ALREADY_UNSUBSCRIBED' });
+    expect(classifyReply('List ID 1 is not true', ['true', '1'])).toEqual({ success: false, code: 'UNEXPECTED_RESPONSE' });
+    expect(classifyReply('  ')).toEqual({ success: false, code: 'EMPTY_RESPONSE' });
+    expect(classifyReply('<!DOCTYPE html><html></html>')).toEqual({ success: false, code: 'HTML_RESPONSE' });
+  });
+
+  test('subscribe treats "Already subscribed." as success and bounces as failure', async () => {
+    reply('Already subscribed.');
+    expect(await sendy.subscribe({ email: 'a@example.com', listId: 'L1' })).toMatchObject({ success: true, code: 'ALREADY_SUBSCRIBED' });
+    reply('Bounced email address.');
+    expect(await sendy.subscribe({ email: 'a@example.com', listId: 'L1' })).toMatchObject({ success: false, code: 'BOUNCED' });
+  });
+
+  test('getSubscriberStatus normalizes statuses and fails on error replies', async () => {
+    reply('Email does not exist in list');
+    expect(await sendy.getSubscriberStatus('a@example.com', 'L1')).toMatchObject({ success: true, normalized: 'not-in-list', isSubscribed: false });
+    reply('Soft bounced');
+    expect(await sendy.getSubscriberStatus('a@example.com', 'L1')).toMatchObject({ success: true, normalized: 'soft-bounced' });
+    reply('Invalid API key');
+    expect(await sendy.getSubscriberStatus('a@example.com', 'L1')).toMatchObject({ success: false, code: 'INVALID_API_KEY' });
+  });
+
+  test('getActiveSubscriberCount only succeeds on a number', async () => {
+    reply('42');
+    expect(await sendy.getActiveSubscriberCount('L1')).toMatchObject({ success: true, count: 42 });
+    reply('List does not exist');
+    expect(await sendy.getActiveSubscriberCount('L1')).toMatchObject({ success: false, code: 'INVALID_LIST', raw: 'List does not exist' });
+  });
+});
+
+describe('SendyClient.createCampaign', () => {
+  let post;
+  beforeEach(() => {
+    post = jest.spyOn(sendy.http, 'post').mockResolvedValue({ status: 200, data: 'Campaign created' });
+  });
+  afterEach(() => post.mockRestore());
+
+  const base = { subject: 'News', htmlText: '<p>Hi</p>', fromName: 'Shop', fromEmail: 'shop@example.com' };
+
+  test('saves a draft under the brand', async () => {
+    const res = await sendy.createCampaign({ ...base, brandId: '2' });
+    expect(res).toMatchObject({ success: true, mode: 'draft', message: 'Campaign created' });
+    expect(post.mock.calls[0][0]).toBe('/api/campaigns/create.php');
+    expect(form(post.mock.calls[0])).toEqual({
+      api_key: 'key',
+      from_name: 'Shop',
+      from_email: 'shop@example.com',
+      reply_to: 'shop@example.com',
+      title: 'News',
+      subject: 'News',
+      html_text: '<p>Hi</p>',
+      send_campaign: '0',
+      brand_id: '2'
+    });
+  });
+
+  test('sends to lists and segments with exclusions', async () => {
+    post.mockResolvedValue({ status: 200, data: 'Campaign created and now sending' });
+    const res = await sendy.createCampaign({ ...base, mode: 'send', listIds: ['a', 'b'], segmentIds: '3, 4', excludeListIds: 'c', excludeSegmentIds: [5], trackOpens: 2 });
+    expect(res.success).toBe(true);
+    expect(form(post.mock.calls[0])).toMatchObject({
+      send_campaign: '1',
+      list_ids: 'a,b',
+      segment_ids: '3,4',
+      exclude_list_ids: 'c',
+      exclude_segments_ids: '5',
+      track_opens: '2'
+    });
+  });
+
+  test('schedules with a date and timezone', async () => {
+    post.mockResolvedValue({ status: 200, data: 'Campaign scheduled' });
+    const res = await sendy.createCampaign({ ...base, mode: 'schedule', listIds: 'a', scheduleAt: '2025-12-01 09:00', timezone: 'Europe/Berlin' });
+    expect(res.success).toBe(true);
+    expect(form(post.mock.calls[0])).toMatchObject({ send_campaign: '1', schedule_date_time: '2025-12-01 09:00', schedule_timezone: 'Europe/Berlin' });
+  });
+
+  test('rejects incomplete campaigns without calling Sendy', async () => {
+    expect((await sendy.createCampaign({ ...base, mode: 'weekly' })).message).toMatch(/Unknown campaign mode/);
+    expect((await sendy.createCampaign({ ...base, htmlText: '', brandId: '2' })).message).toMatch(/htmlText/);
+    expect((await sendy.createCampaign(base)).message).toMatch(/brand id/);
+    expect((await sendy.createCampaign({ ...base, mode: 'send' })).message).toMatch(/listIds or segmentIds/);
+    expect((await sendy.createCampaign({ ...base, mode: 'schedule', listIds: 'a' })).message).toMatch(/scheduleAt/);
+    expect(post).not.toHaveBeenCalled();
+  });
+
+  test('Sendy errors are failures', async () => {
+    post.mockResolvedValue({ status: 200, data: 'One or more list IDs are invalid' });
+    const res = await sendy.createCampaign({ ...base, mode: 'send', listIds: 'zz' });
+    expect(res).toMatchObject({ success: false, code: 'INVALID_LIST', message: 'One or more list IDs are invalid' });
+  });
+
+  test('a timed-out send is not retried, a refused connection is', async () => {
+    post.mockRejectedValue(Object.assign(new Error('timeout of 15000ms exceeded'), { code: 'ECONNABORTED' }));
+    expect(await sendy.createCampaign({ ...base, mode: 'send', listIds: 'a' })).toMatchObject({ success: false, code: 'TIMEOUT' });
+    expect(post).toHaveBeenCalledTimes(1);
+
+    post.mockReset();
+    post.mockRejectedValueOnce(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }))
+      .mockResolvedValueOnce({ status: 200, data: 'Campaign created and now sending' });
+    expect(await sendy.createCampaign({ ...base, mode: 'send', listIds: 'a' })).toMatchObject({ success: true });
+    expect(post).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('SendyClient subscribe options', () => {
+  let post;
+  beforeEach(() => {
+    post = jest.spyOn(sendy.http, 'post').mockResolvedValue({ status: 200, data: 'true' });
+  });
+  afterEach(() => post.mockRestore());
+
+  test('subscribe sends gdpr, silent, country, ipaddress, referrer and hp', async () => {
+    await sendy.subscribe({
+      email: 'a@example.com', name: 'A', listId: 'L1', fields: { Company: 'Acme', referrer: 'shadowed' },
+      gdpr: true, silent: true, country: 'DE', ipaddress: '203.0.113.7', referrer: 'calendly:Intro', hp: ''
+    });
+    expect(form(post.mock.calls[0])).toEqual({
+      Company: 'Acme',
+      gdpr: 'true',
+      silent: 'true',
+      country: 'DE',
+      ipaddress: '203.0.113.7',
+      referrer: 'calendly:Intro',
+      api_key: 'key',
+      email: 'a@example.com',
+      name: 'A',
+      list: 'L1',
+      boolean: 'true'
+    });
+  });
+
+  test('false flags are left out', () => {
+    expect(sendy.subscribeParams({ gdpr: false, silent: 'false', country: null })).toEqual({});
+  });
+
+  test('bulkSubscribe applies run-wide options over each item\'s own', async () => {
+    const items = [
+      { email: 'a@example.com', params: { referrer: 'calendly:Intro', country: 'DE' } },
+      { email: 'b@example.com' }
+    ];
+    await sendy.bulkSubscribe('L1', items, { throttleMs: 0, params: { silent: true, referrer: 'import-2025' } });
+    expect(form(post.mock.calls[0])).toMatchObject({ referrer: 'import-2025', country: 'DE', silent: 'true' });
+    expect(form(post.mock.calls[1])).toMatchObject({ referrer: 'import-2025', silent: 'true' });
+    expect(form(post.mock.calls[1])).not.toHaveProperty('country');
+  });
+});
@@ -0,0 +1,157 @@
+const FakeServer = require('./fakeServer');
+
+/**
+ * Stand-in for the Calendly API v2, seeded from test/fixtures/calendly/seed.json (or `seed`).
+ * Implements GET /users/me, /scheduled_events and /scheduled_events/:uuid/invitees with Calendly's
+ * collection + pagination shape (next_page and next_page_token). URIs point back at this server.
+ *
+ *   const calendly = new FakeCalendlyServer({ pageSize: 2 });
+ *   const url = await calendly.start(); // CALENDLY_API_URL=url, CALENDLY_PERSONAL_ACCESS_TOKEN=calendly.token
+ *   calendly.rateLimit({ retryAfter: 0 }); // the next request gets a 429
+ *
+ * Seed events are { uuid, name, event_type, start_time, end_time, status, invitees: [...] };
+ * `pageSize` caps every page (Calendly's own cap is 100).
+ */
+class FakeCalendlyServer extends FakeServer {
+  constructor({ seed = require('../fixtures/calendly/seed.json'), token = 'test-calendly-token', pageSize = 100 } = {}) {
+    super();
+    this.seed = JSON.parse(JSON.stringify(seed));
+    this.token = token;
+    this.pageSize = pageSize;
+  }
+
+  // Answer the next `times` requests (to `path`, when given) with 429 and a Retry-After of `retryAfter` seconds
+  rateLimit({ times = 1, path = null, retryAfter = 1 } = {}) {
+    return this._queueFailure('rate-limit', { times, path, retryAfter });
+  }
+
+  get userUri() {
+    return `${this.url}/users/${this.seed.user.id}`;
+  }
+
+  get organizationUri() {
+    return `${this.url}/organizations/${this.seed.user.organization}`;
+  }
+
+  _eventResource(ev) {
+    const uri = `${this.url}/scheduled_events/${ev.uuid}`;
+    return {
+      uri,
+      name: ev.name,
+      event_type: `${this.url}/event_types/${ev.event_type}`,
+      start_time: ev.start_time,
+      end_time: ev.end_time,
+      status: ev.status || 'active',
+      invitees_counter: { total: ev.invitees.length, active: ev.invitees.filter((i) => (i.status || 'active') === 'active').length, limit: 1 },
+      event_memberships: [{ user: this.userUri }],
+      created_at: ev.created_at || ev.start_time,
+      updated_at: ev.updated_at || ev.start_time
+    };
+  }
+
+  _inviteeResource(ev, inv) {
+    const event = `${this.url}/scheduled_events/${ev.uuid}`;
+    return {
+      uri: `${event}/invitees/${inv.uuid}`,
+      event,
+      name: inv.name,
+      email: inv.email,
+      status: inv.status || 'active',
+      timezone: inv.timezone || 'UTC',
+      questions_and_answers: inv.questions_and_answers || [],
+      rescheduled: false,
+      created_at: inv.created_at,
+      updated_at: inv.updated_at || inv.created_at
+    };
+  }
+
+  // One page of `items` and Calendly's pagination block; page tokens are opaque offsets
+  _page(url, items) {
+    const count = Math.min(parseInt(url.searchParams.get('count') || '20', 10), this.pageSize, 100);
+    const token = url.searchParams.get('page_token');
+    const offset = token ? parseInt(Buffer.from(token, 'base64url').toString(), 10) : 0;
+    const collection = items.slice(offset, offset + count);
+    const link = (at) => {
+      const next = new URL(url.pathname, this.url);
+      for (const [key, value] of url.searchParams) if (key !== 'page_token') next.searchParams.set(key, value);
+      next.searchParams.set('page_token', Buffer.from(String(at)).toString('base64url'));
+      return { url: next.toString(), token: next.searchParams.get('page_token') };
+    };
+    const next = offset + count < items.length ? link(offset + count) : null;
+    const previous = offset > 0 ? link(Math.max(offset - count, 0)) : null;
+    return {
+      collection,
+      pagination: {
+        count: collection.length,
+        next_page: next && next.url,
+        next_page_token: next && next.token,
+        previous_page: previous && previous.url,
+        previous_page_token: previous && previous.token
+      }
+    };
+  }
+
+  _error(res, status, title, message, details) {
+    return this._send(res, status, { title, message, ...(details ? { details } : {}) });
+  }
+
+  async _route(req, res, url) {
+    const failure = this._takeFailure(url.pathname);
+    if (failure) {
+      return this._send(res, 429, { title: 'Too Many Requests', message: 'You have exceeded the rate limit.' }, { 'Retry-After': String(failure.retryAfter) });
+    }
+    if (req.headers.authorization !== `Bearer ${this.token}`) {
+      return this._error(res, 401, 'Unauthenticated', 'The access token is invalid');
+    }
+
+    if (url.pathname === '/users/me') {
+      const { user } = this.seed;
+      return this._send(res, 200, {
+        resource: { uri: this.userUri, name: user.name, email: user.email, timezone: user.timezone, current_organization: this.organizationUri }
+      });
+    }
+
+    if (url.pathname === '/scheduled_events') {
+      const q = url.searchParams;
+      const user = q.get('user');
+      const organization = q.get('organization');
+      if (!user && !organization) {
+        return this._error(res, 400, 'Invalid Argument', 'The supplied parameters are invalid.', [{ parameter: 'user', message: 'one of user, organization or group is required' }]);
+      }
+      if ((user && user !== this.userUri) || (organization && organization !== this.organizationUri)) {
+        return this._error(res, 403, 'Permission Denied', 'You do not have permission to access this resource.');
+      }
+      const min = q.get('min_start_time') ? new Date(q.get('min_start_time')).getTime() : -Infinity;
+      const max = q.get('max_start_time') ? new Date(q.get('max_start_time')).getTime() : Infinity;
+      const events = this.seed.events
+        .filter((ev) => !q.get('status') || (ev.status || 'active') === q.get('status'))
+        .filter((ev) => new Date(ev.start_time).getTime() >= min && new Date(ev.start_time).getTime() < max)
+        .sort((a, b) => new Date(a.start_time) - new Date(b.start_time))
+        .map((ev) => this._eventResource(ev));
+      return this._send(res, 200, this._page(url, events));
+    }
+
+    const invitees = url.pathname.match(/^\/scheduled_events\/([^/]+)\/invitees$/);
+    if (invitees) {
+      const ev = this.seed.events.find((e) => e.uuid === invitees[1]);
+      if (!ev) return this._error(res, 404, 'Resource Not Found', 'The server could not find the requested resource.');
+      const status = url.searchParams.get('status');
+      const list = ev.invitees
+        .filter((inv) => !status || (inv.status || 'active') === status)
+        .map((inv) => this._inviteeResource(ev, inv));
+      return this._send(res, 200, this._page(url, list));
+    }
+
+    return this._error(res, 404, 'Resource Not Found', 'The server could not find the requested resource.');
+  }
+}
+
+module.exports = FakeCalendlyServer;
+
+// node test/fakes/calendlyServer.js [port]: serve the seed data until stopped
+if (require.main === module) {
+  const fake = new FakeCalendlyServer({ token: process.env.CALENDLY_PERSONAL_ACCESS_TOKEN || 'test-calendly-token' });
+  fake.start(parseInt(process.argv[2] || process.env.FAKE_CALENDLY_PORT || '8090', 10)).then((url) => {
+    console.log(`Fake Calendly listening on ${url} (token "${fake.token}")`);
+  });
+}
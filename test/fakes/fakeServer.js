@@ -0,0 +1,64 @@
+const http = require('http');
+
+/**
+ * Shared plumbing of the fake API servers: listening on a free local port, recording requests and
+ * queueing injected failures. Subclasses implement _route(req, res, url, body).
+ */
+class FakeServer {
+  constructor() {
+    this.server = null;
+    this.url = null;
+    this.requests = [];
+    this.failures = [];
+  }
+
+  async start(port = 0) {
+    this.server = http.createServer((req, res) => {
+      this._handle(req, res).catch((err) => {
+        res.statusCode = 500;
+        res.end(String(err && err.message));
+      });
+    });
+    await new Promise((resolve) => this.server.listen(port, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  async close() {
+    if (!this.server) return;
+    if (this.server.closeAllConnections) this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+  }
+
+  // Queue a failure for the next `times` requests (to `path` only, when given)
+  _queueFailure(mode, { times = 1, path = null, ...options } = {}) {
+    this.failures.push({ mode, times, path, ...options });
+    return this;
+  }
+
+  _takeFailure(path) {
+    const i = this.failures.findIndex((f) => !f.path || f.path === path);
+    if (i === -1) return null;
+    const failure = this.failures[i];
+    if (--failure.times <= 0) this.failures.splice(i, 1);
+    return failure;
+  }
+
+  _send(res, status, body, headers = {}) {
+    const json = body !== null && typeof body === 'object';
+    res.writeHead(status, { 'Content-Type': json ? 'application/json; charset=utf-8' : 'text/html; charset=UTF-8', ...headers });
+    res.end(json ? JSON.stringify(body) : body);
+  }
+
+  async _handle(req, res) {
+    const url = new URL(req.url, this.url);
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks).toString();
+    this.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body });
+    return this._route(req, res, url, body);
+  }
+}
+
+module.exports = FakeServer;
@@ -0,0 +1,187 @@
+const FakeServer = require('./fakeServer');
+
+/**
+ * In-memory stand-in for a Sendy installation, for tests and for running the scripts offline.
+ * Implements /subscribe, /unsubscribe and the subscriber, list and brand API endpoints with Sendy's
+ * plain-text replies. Forms are read from POST bodies (urlencoded) and GET queries alike.
+ *
+ *   const sendy = new FakeSendyServer({ lists: [{ id: 'L1', name: 'Bookings' }] });
+ *   const url = await sendy.start(); // SENDY_INSTALLATION_URL=url, SENDY_API_KEY=sendy.apiKey
+ *   sendy.fail('no-data-passed', { path: '/subscribe' });
+ *   await sendy.close();
+ *
+ * Failures are injected with fail(mode, { times, path, delayMs }):
+ *   no-data-passed  200 "No data passed"          html-404      404 with an HTML page
+ *   server-error    500 "Internal Server Error"    empty         200 with an empty body
+ *   slow            waits delayMs, then answers normally (pair with a short client timeout)
+ */
+
+// Sendy's own /subscribe parameters; anything else is a custom field
+const SUBSCRIBE_PARAMS = ['api_key', 'email', 'name', 'list', 'boolean', 'gdpr', 'silent', 'country', 'ipaddress', 'referrer', 'hp'];
+
+const FAILURE_MODES = ['no-data-passed', 'html-404', 'server-error', 'empty', 'slow'];
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+class FakeSendyServer extends FakeServer {
+  constructor({ apiKey = 'test-api-key', brands = [{ id: '1', name: 'Test Brand' }], lists = [{ id: 'test-list', name: 'Test List' }] } = {}) {
+    super();
+    this.apiKey = apiKey;
+    this.brands = brands.map((b) => ({ id: String(b.id), name: b.name || `Brand ${b.id}` }));
+    this.lists = lists.map((l) => ({ id: String(l.id), name: l.name || l.id, brandId: String(l.brandId || this.brands[0].id) }));
+    this.reset();
+  }
+
+  // Drop subscribers, recorded requests and pending failures
+  reset() {
+    this.subscribers = new Map();
+    this.requests = [];
+    this.failures = [];
+  }
+
+  /**
+   * Fail the next `times` requests (to `path` only, when given) in the given mode
+   */
+  fail(mode, { times = 1, path = null, delayMs = 1000 } = {}) {
+    if (!FAILURE_MODES.includes(mode)) throw new Error(`Unknown failure mode "${mode}". Use ${FAILURE_MODES.join(', ')}.`);
+    return this._queueFailure(mode, { times, path, delayMs });
+  }
+
+  /**
+   * Put a subscriber in place, e.g. seed('a@example.com', 'L1', { status: 'Unsubscribed' })
+   */
+  seed(email, listId, { name = '', status = 'Subscribed', fields = {} } = {}) {
+    this.subscribers.set(this._key(listId, email), { email, name, listId: String(listId), status, fields, params: {} });
+    return this;
+  }
+
+  subscriber(email, listId) {
+    return this.subscribers.get(this._key(listId, email)) || null;
+  }
+
+  // Subscribers of a list, optionally with one status
+  subscribersOf(listId, status = null) {
+    return Array.from(this.subscribers.values()).filter((s) => s.listId === String(listId) && (!status || s.status === status));
+  }
+
+  _key(listId, email) {
+    return `${listId}:${String(email).toLowerCase()}`;
+  }
+
+  _list(id) {
+    return this.lists.find((l) => l.id === String(id)) || null;
+  }
+
+  async _route(req, res, url, body) {
+    // forms come as urlencoded POST bodies or, from the client's GET fallback, as queries
+    const form = { ...Object.fromEntries(url.searchParams), ...Object.fromEntries(new URLSearchParams(body)) };
+    this.requests[this.requests.length - 1].form = form;
+
+    const failure = this._takeFailure(url.pathname);
+    if (failure && failure.mode === 'slow') await sleep(failure.delayMs);
+    if (failure && failure.mode === 'no-data-passed') return this._send(res, 200, 'No data passed');
+    if (failure && failure.mode === 'html-404') return this._send(res, 404, '<!DOCTYPE html><html><head><title>404 Not Found</title></head><body><h1>Not Found</h1></body></html>');
+    if (failure && failure.mode === 'server-error') return this._send(res, 500, 'Internal Server Error');
+    if (failure && failure.mode === 'empty') return this._send(res, 200, '');
+
+    const route = ROUTES[url.pathname];
+    if (!route) return this._send(res, 404, '<!DOCTYPE html><html><body><h1>Not Found</h1></body></html>');
+    if (!Object.keys(form).length) return this._send(res, 200, 'No data passed');
+    return this._send(res, 200, route.call(this, form));
+  }
+
+  // Common api_key checks of the API endpoints; null when the key is fine
+  _checkKey(form) {
+    if (!form.api_key) return 'API key not passed';
+    if (form.api_key !== this.apiKey) return 'Invalid API key';
+    return null;
+  }
+}
+
+const ROUTES = {
+  '/subscribe'(form) {
+    const keyError = this._checkKey(form);
+    if (keyError) return keyError;
+    if (!form.email || !form.list) return 'Some fields are missing.';
+    if (!EMAIL_RE.test(form.email)) return 'Invalid email address.';
+    if (!this._list(form.list)) return 'Invalid list ID.';
+    const current = this.subscriber(form.email, form.list);
+    if (current && current.status === 'Subscribed') return 'Already subscribed.';
+    if (current && current.status === 'Bounced') return 'Bounced email address.';
+    if (current && current.status === 'Suppressed') return 'Email is suppressed.';
+
+    const fields = {};
+    const params = {};
+    for (const [key, value] of Object.entries(form)) {
+      if (!SUBSCRIBE_PARAMS.includes(key)) fields[key] = value;
+      else if (!['api_key', 'email', 'name', 'list', 'boolean'].includes(key)) params[key] = value;
+    }
+    this.subscribers.set(this._key(form.list, form.email), { email: form.email, name: form.name || '', listId: form.list, status: 'Subscribed', fields, params });
+    return form.boolean === 'true' ? 'true' : 'You\'re subscribed!';
+  },
+
+  '/unsubscribe'(form) {
+    if (!form.email || !form.list) return 'Some fields are missing.';
+    if (!EMAIL_RE.test(form.email)) return 'Invalid email address.';
+    const current = this.subscriber(form.email, form.list);
+    if (!current) return 'Email does not exist.';
+    current.status = 'Unsubscribed';
+    return form.boolean === 'true' ? 'true' : 'You\'re unsubscribed.';
+  },
+
+  '/api/subscribers/delete.php'(form) {
+    const keyError = this._checkKey(form);
+    if (keyError) return keyError;
+    if (!form.list_id) return 'List ID not passed';
+    if (!this._list(form.list_id)) return 'List does not exist';
+    if (!form.email) return 'Email address not passed';
+    if (!this.subscribers.delete(this._key(form.list_id, form.email))) return 'Subscriber does not exist';
+    return 'true';
+  },
+
+  '/api/subscribers/subscription-status.php'(form) {
+    const keyError = this._checkKey(form);
+    if (keyError) return keyError;
+    if (!form.email) return 'Email not passed';
+    if (!form.list_id) return 'List ID not passed';
+    const current = this.subscriber(form.email, form.list_id);
+    return current ? current.status : 'Email does not exist in list';
+  },
+
+  '/api/subscribers/active-subscriber-count.php'(form) {
+    const keyError = this._checkKey(form);
+    if (keyError) return keyError;
+    if (!form.list_id) return 'List ID not passed';
+    if (!this._list(form.list_id)) return 'List does not exist';
+    return String(this.subscribersOf(form.list_id, 'Subscribed').length);
+  },
+
+  '/api/lists/get-lists.php'(form) {
+    const keyError = this._checkKey(form);
+    if (keyError) return keyError;
+    if (!form.brand_id) return 'Brand ID not passed';
+    const lists = this.lists.filter((l) => l.brandId === String(form.brand_id));
+    if (!lists.length) return 'No lists found';
+    return Object.fromEntries(lists.map((l, i) => [`list${i + 1}`, { id: l.id, name: l.name }]));
+  },
+
+  '/api/brands/get-brands.php'(form) {
+    const keyError = this._checkKey(form);
+    if (keyError) return keyError;
+    if (!this.brands.length) return 'No brands found';
+    return Object.fromEntries(this.brands.map((b, i) => [`brand${i + 1}`, { id: b.id, name: b.name }]));
+  }
+};
+
+module.exports = FakeSendyServer;
+module.exports.FAILURE_MODES = FAILURE_MODES;
+
+// node test/fakes/sendyServer.js [port]: serve until stopped, for pointing the scripts at
+if (require.main === module) {
+  const fake = new FakeSendyServer({ apiKey: process.env.SENDY_API_KEY || 'test-api-key', lists: [{ id: process.env.SENDY_LIST_ID || 'test-list', name: 'Test List' }] });
+  fake.start(parseInt(process.argv[2] || process.env.FAKE_SENDY_PORT || '8089', 10)).then((url) => {
+    console.log(`Fake Sendy listening on ${url} (api key "${fake.apiKey}", list "${fake.lists[0].id}")`);
+  });
+}
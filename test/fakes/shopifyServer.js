@@ -0,0 +1,106 @@
+const FakeServer = require('./fakeServer');
+
+/**
+ * Stand-in for the Shopify Admin REST API, seeded from test/fixtures/shopify/seed.json (or `seed`).
+ * Implements GET /admin/api/<version>/shop.json, orders.json and customers.json with cursor
+ * pagination: the next page is a `Link: <...page_info=...>; rel="next"` header, and a page_info URL
+ * carries the original filters, as Shopify's does.
+ *
+ *   const shopify = new FakeShopifyServer({ pageSize: 2 });
+ *   const url = await shopify.start(); // SHOPIFY_SHOP_URL=url, SHOPIFY_ACCESS_TOKEN=shopify.accessToken
+ *   shopify.rateLimit({ retryAfter: 0 }); // the next request gets a 429 with Retry-After
+ */
+class FakeShopifyServer extends FakeServer {
+  constructor({ seed = require('../fixtures/shopify/seed.json'), accessToken = 'test-shopify-token', pageSize = 250 } = {}) {
+    super();
+    this.seed = JSON.parse(JSON.stringify(seed));
+    this.accessToken = accessToken;
+    this.pageSize = pageSize;
+  }
+
+  // Answer the next `times` requests (to `path`, when given) with 429 and a Retry-After of `retryAfter` seconds
+  rateLimit({ times = 1, path = null, retryAfter = 2 } = {}) {
+    return this._queueFailure('rate-limit', { times, path, retryAfter });
+  }
+
+  // Orders by status the way Shopify filters them (default "open")
+  _orderStatus(order, status = 'open') {
+    if (status === 'any') return true;
+    if (status === 'cancelled') return !!order.cancelled_at;
+    if (status === 'closed') return !!order.closed_at;
+    return !order.closed_at && !order.cancelled_at;
+  }
+
+  _filter(resource, filters) {
+    const time = (v) => new Date(v).getTime();
+    return this.seed[resource].filter((r) => {
+      if (resource === 'orders' && !this._orderStatus(r, filters.status)) return false;
+      if (filters.created_at_min && time(r.created_at) < time(filters.created_at_min)) return false;
+      if (filters.created_at_max && time(r.created_at) > time(filters.created_at_max)) return false;
+      if (filters.updated_at_min && time(r.updated_at) < time(filters.updated_at_min)) return false;
+      if (filters.updated_at_max && time(r.updated_at) > time(filters.updated_at_max)) return false;
+      return true;
+    }).sort((a, b) => a.id - b.id);
+  }
+
+  _list(res, url, resource) {
+    const q = Object.fromEntries(url.searchParams);
+    const limit = Math.min(parseInt(q.limit || '50', 10), this.pageSize, 250);
+    let cursor = { offset: 0, filters: {} };
+    if (q.page_info) {
+      // only limit and fields may accompany page_info
+      const extra = Object.keys(q).filter((k) => !['page_info', 'limit', 'fields'].includes(k));
+      if (extra.length) return this._send(res, 400, { errors: { page_info: [`Invalid value. ${extra.join(', ')} cannot be passed with page_info.`] } });
+      try {
+        cursor = JSON.parse(Buffer.from(q.page_info, 'base64url').toString());
+      } catch (_) {
+        return this._send(res, 400, { errors: { page_info: ['Invalid value.'] } });
+      }
+    } else {
+      const { limit: _l, fields: _f, ...filters } = q;
+      cursor.filters = filters;
+    }
+
+    const all = this._filter(resource, cursor.filters);
+    const fields = q.fields ? q.fields.split(',').map((f) => f.trim()) : null;
+    const page = all.slice(cursor.offset, cursor.offset + limit)
+      .map((r) => (fields ? Object.fromEntries(fields.filter((f) => f in r).map((f) => [f, r[f]])) : r));
+
+    const link = (offset, rel) => {
+      const next = new URL(url.pathname, this.url);
+      next.searchParams.set('limit', String(limit));
+      if (q.fields) next.searchParams.set('fields', q.fields);
+      next.searchParams.set('page_info', Buffer.from(JSON.stringify({ offset, filters: cursor.filters })).toString('base64url'));
+      return `<${next}>; rel="${rel}"`;
+    };
+    const links = [];
+    if (cursor.offset > 0) links.push(link(Math.max(cursor.offset - limit, 0), 'previous'));
+    if (cursor.offset + limit < all.length) links.push(link(cursor.offset + limit, 'next'));
+    return this._send(res, 200, { [resource]: page }, links.length ? { Link: links.join(', ') } : {});
+  }
+
+  async _route(req, res, url) {
+    const failure = this._takeFailure(url.pathname);
+    if (failure) {
+      return this._send(res, 429, { errors: 'Exceeded 2 calls per second for api client. Reduce request rates to resume uninterrupted service.' }, { 'Retry-After': String(failure.retryAfter) });
+    }
+    if (req.headers['x-shopify-access-token'] !== this.accessToken) {
+      return this._send(res, 401, { errors: '[API] Invalid API key or access token (unrecognized login or wrong password)' });
+    }
+
+    const match = url.pathname.match(/^\/admin\/api\/[^/]+\/(shop|orders|customers)\.json$/);
+    if (!match) return this._send(res, 404, { errors: 'Not Found' });
+    if (match[1] === 'shop') return this._send(res, 200, { shop: this.seed.shop });
+    return this._list(res, url, match[1]);
+  }
+}
+
+module.exports = FakeShopifyServer;
+
+// node test/fakes/shopifyServer.js [port]: serve the seed data until stopped
+if (require.main === module) {
+  const fake = new FakeShopifyServer({ accessToken: process.env.SHOPIFY_ACCESS_TOKEN || 'test-shopify-token' });
+  fake.start(parseInt(process.argv[2] || process.env.FAKE_SHOPIFY_PORT || '8091', 10)).then((url) => {
+    console.log(`Fake Shopify listening on ${url} (access token "${fake.accessToken}")`);
+  });
+}
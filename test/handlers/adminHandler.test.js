@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const axios = require('axios');
+const logger = require('../../src/utils/logger');
+const TokenStore = require('../../src/utils/tokenStore');
+const { requireScope } = require('../../src/handlers/apiAuth');
+const { createAdminRouter } = require('../../src/handlers/adminHandler');
+
+describe('admin router', () => {
+  let server;
+  let http;
+  const history = {
+    recent: jest.fn(() => [{ id: 'e1', status: 'done' }]),
+    forEvent: jest.fn((id) => (id === 'e1' ? [{ id: 'e1', status: 'done' }] : [])),
+    forEmail: jest.fn(() => [{ id: 'e1', status: 'retry' }, { id: 'e1', status: 'done' }])
+  };
+  const runner = {
+    start: jest.fn(({ source }) => {
+      if (source === 'calendly') return { id: 'r1', source, status: 'running' };
+      const err = new Error('A shopify sync is already running (r0)');
+      err.code = 'SYNC_RUNNING';
+      err.runId = 'r0';
+      throw err;
+    }),
+    list: jest.fn(() => [{ id: 'r1' }]),
+    get: jest.fn((id) => (id === 'r1' ? { id: 'r1', status: 'running' } : null))
+  };
+  const letter = { id: 'd1', source: 'calendly', event: 'invitee.created', replayedAt: null, body: {} };
+  const inbox = {
+    pending: jest.fn(() => []),
+    listDeadLetters: jest.fn(() => [letter]),
+    getDeadLetter: jest.fn((id) => (id === 'd1' ? letter : null)),
+    replayDeadLetter: jest.fn(() => ({ id: 'n1' }))
+  };
+  const audit = jest.fn();
+  let dir;
+  let tokens;
+
+  beforeAll((done) => {
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'admin-api-'));
+    const store = new TokenStore({ filePath: path.join(dir, 'tokens.json') });
+    tokens = {
+      all: store.create({ name: 'ops', scopes: TokenStore.SCOPES }).token,
+      reader: store.create({ name: 'dashboard', scopes: ['read:events'] }).token
+    };
+    const app = express();
+    app.use(express.json());
+    app.use('/admin', createAdminRouter({ history, runner, inbox, scope: (s) => requireScope(s, { store, audit }) }));
+    server = app.listen(0, () => {
+      http = axios.create({
+        baseURL: `http://127.0.0.1:${server.address().port}/admin`,
+        headers: { Authorization: `Bearer ${tokens.all}` },
+        validateStatus: () => true
+      });
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    server.close(done);
+  });
+
+  test('rejects missing and unknown tokens', async () => {
+    expect((await http.get('/events', { headers: { Authorization: '' } })).status).toBe(401);
+    const res = await http.get('/events', { headers: { Authorization: 'Bearer cst_00000000_nope' } });
+    expect(res.status).toBe(401);
+    expect(audit).toHaveBeenCalledWith(expect.objectContaining({ outcome: 'denied', reason: 'unknown-token', path: '/admin/events' }));
+  });
+
+  test('enforces scopes per route and audits token use', async () => {
+    const reader = { headers: { Authorization: `Bearer ${tokens.reader}` } };
+    expect((await http.get('/deadletters', reader)).data.deadLetters).toEqual([{ id: 'd1', source: 'calendly', event: 'invitee.created', replayedAt: null }]);
+    expect((await http.post('/deadletters/d1/replay', null, reader)).status).toBe(403);
+    expect((await http.post('/syncs', { source: 'calendly' }, reader)).status).toBe(403);
+    expect(audit).toHaveBeenCalledWith(expect.objectContaining({ tokenName: 'dashboard', scope: 'run:sync', outcome: 'denied', reason: 'missing-scope' }));
+    expect(audit).toHaveBeenCalledWith(expect.objectContaining({ tokenName: 'dashboard', scope: 'read:events', outcome: 'allowed', status: 200 }));
+
+    const replay = await http.post('/deadletters/d1/replay');
+    expect(replay.status).toBe(202);
+    expect(replay.data).toEqual({ id: 'd1', replayedAs: 'n1' });
+  });
+
+  test('lists recent events with filters', async () => {
+    const res = await http.get('/events', { params: { source: 'calendly', status: 'done', limit: 5 } });
+    expect(res.status).toBe(200);
+    expect(res.data.events).toHaveLength(1);
+    expect(history.recent).toHaveBeenCalledWith({ limit: 5, source: 'calendly', event: undefined, status: 'done' });
+    expect((await http.get('/events/missing')).status).toBe(404);
+  });
+
+  test('looks up an email history', async () => {
+    const res = await http.get('/emails/Jane@Example.com');
+    expect(history.forEmail).toHaveBeenCalledWith('jane@example.com');
+    expect(res.data.lastOutcome.status).toBe('done');
+  });
+
+  test('starts syncs and reports conflicts', async () => {
+    const started = await http.post('/syncs', { source: 'calendly', options: { dryRun: true } });
+    expect(started.status).toBe(202);
+    expect(runner.start).toHaveBeenCalledWith({ source: 'calendly', options: { dryRun: true } });
+
+    const conflict = await http.post('/syncs', { source: 'shopify' });
+    expect(conflict.status).toBe(409);
+    expect(conflict.data.runId).toBe('r0');
+
+    expect((await http.get('/syncs/r1')).data.run.status).toBe('running');
+    expect((await http.get('/syncs/nope')).status).toBe(404);
+  });
+});
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sendy = require('../../src/clients/sendyClient');
+const logger = require('../../src/utils/logger');
+const { verifyShopifyHmac, processShopifyEvent } = require('../../src/handlers/shopifyWebhookHandler');
+
+const order = require('../fixtures/shopify/orders_create.json');
+const customer = require('../fixtures/shopify/customers_update.json');
+
+describe('Shopify webhook handler', () => {
+  const savedListId = process.env.SENDY_SHOPIFY_LIST_ID;
+  const savedSegmentsFile = process.env.SENDY_SEGMENTS_FILE;
+
+  beforeAll(() => {
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(sendy, 'subscribe');
+    jest.spyOn(sendy, 'getSubscriberStatus');
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.SENDY_SHOPIFY_LIST_ID = 'shop-list';
+    process.env.SENDY_SEGMENTS_FILE = path.join(os.tmpdir(), 'no-such-sendy-segments.json');
+    sendy.getSubscriberStatus.mockResolvedValue({ success: true, status: 'Email does not exist in list', normalized: 'not-in-list' });
+    sendy.subscribe.mockResolvedValue({ success: true, message: 'true', statusCode: 200 });
+  });
+
+  afterAll(() => {
+    if (savedListId === undefined) delete process.env.SENDY_SHOPIFY_LIST_ID;
+    else process.env.SENDY_SHOPIFY_LIST_ID = savedListId;
+    if (savedSegmentsFile === undefined) delete process.env.SENDY_SEGMENTS_FILE;
+    else process.env.SENDY_SEGMENTS_FILE = savedSegmentsFile;
+  });
+
+  describe('verifyShopifyHmac', () => {
+    const raw = Buffer.from(JSON.stringify(order));
+    const sign = (secret, body) => crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+    test('accepts the base64 HMAC of the raw body', () => {
+      expect(verifyShopifyHmac(raw, sign('shh', raw), 'shh')).toEqual({ valid: true, reason: 'verified' });
+    });
+
+    test('rejects a wrong secret, a re-serialized body, a missing header or a missing secret', () => {
+      expect(verifyShopifyHmac(raw, sign('other', raw), 'shh').valid).toBe(false);
+      expect(verifyShopifyHmac(raw, sign('shh', JSON.stringify(order, null, 2)), 'shh').valid).toBe(false);
+      expect(verifyShopifyHmac(raw, undefined, 'shh').reason).toBe('missing-signature');
+      expect(verifyShopifyHmac(raw, sign('shh', raw), '').reason).toBe('no-secret-configured');
+    });
+  });
+
+  test('orders/create subscribes the normalized buyer email', async () => {
+    const outcome = await processShopifyEvent({ event: 'orders/create', body: order });
+    expect(sendy.subscribe).toHaveBeenCalledWith({ email: 'grace.hopper@example.com', name: 'Grace Hopper', listId: 'shop-list', referrer: 'shopify:order' });
+    expect(outcome.contacts).toEqual([{ email: 'grace.hopper@example.com', action: 'subscribe', success: true }]);
+  });
+
+  test('orders/create passes the buyer country, IP and marketing consent to Sendy', async () => {
+    const withConsent = { ...order, browser_ip: '203.0.113.7', buyer_accepts_marketing: true, billing_address: { ...order.billing_address, country_code: 'US' } };
+    await processShopifyEvent({ event: 'orders/create', body: withConsent });
+    expect(sendy.subscribe.mock.calls[0][0]).toMatchObject({ referrer: 'shopify:order', country: 'US', ipaddress: '203.0.113.7', gdpr: true });
+  });
+
+  test('orders/create also subscribes to the lists of matching segments', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'segments-'));
+    process.env.SENDY_SEGMENTS_FILE = path.join(dir, 'segments.json');
+    fs.writeFileSync(process.env.SENDY_SEGMENTS_FILE, JSON.stringify({
+      segments: [
+        { name: 'high-value', when: { source: 'shopify', order_value: { gt: 200 } }, lists: ['hv-list'] },
+        { name: 'regulars', when: { orders: { gte: 5 } }, lists: ['regulars-list'] }
+      ]
+    }));
+    try {
+      const outcome = await processShopifyEvent({ event: 'orders/create', body: order });
+      expect(sendy.subscribe.mock.calls.map(([arg]) => arg.listId)).toEqual(['shop-list', 'hv-list']);
+      expect(outcome.contacts[1]).toEqual({ email: 'grace.hopper@example.com', action: 'subscribe', success: true, listId: 'hv-list', segment: 'high-value' });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('customers/update never re-subscribes someone who unsubscribed', async () => {
+    sendy.getSubscriberStatus.mockResolvedValue({ success: true, status: 'Unsubscribed', normalized: 'unsubscribed' });
+    const outcome = await processShopifyEvent({ event: 'customers/update', body: customer });
+    expect(sendy.subscribe).not.toHaveBeenCalled();
+    expect(outcome.contacts).toEqual([{ email: 'alan.turing@example.com', action: 'skipped', reason: 'unsubscribed' }]);
+  });
+
+  test('customers without an email are skipped', async () => {
+    const outcome = await processShopifyEvent({ event: 'customers/create', body: { ...customer, email: null } });
+    expect(outcome).toEqual({ action: 'skipped', reason: 'no-email' });
+  });
+
+  test('Sendy failures throw so the worker retries', async () => {
+    sendy.subscribe.mockResolvedValue({ success: false, message: 'Invalid list ID.', code: 'INVALID_LIST' });
+    await expect(processShopifyEvent({ event: 'customers/create', body: customer })).rejects.toThrow('Invalid list ID.');
+  });
+});
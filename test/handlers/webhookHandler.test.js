@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sendy = require('../../src/clients/sendyClient');
+const cache = require('../../src/utils/cache');
+const eventHistory = require('../../src/services/eventHistory');
+const logger = require('../../src/utils/logger');
+const { processCalendlyEvent, verifyWebhookSignature, parseSignatureHeader } = require('../../src/handlers/webhookHandler');
+
+const created = require('../fixtures/calendly/invitee_created.json');
+const canceled = require('../fixtures/calendly/invitee_canceled.json');
+const canceledRescheduled = require('../fixtures/calendly/invitee_canceled_rescheduled.json');
+
+const ENV_KEYS = ['SENDY_LIST_ID', 'SENDY_CANCELLED_LIST_ID', 'CALENDLY_CANCEL_ACTION', 'SENDY_ROUTING_FILE', 'CALENDLY_FIELD_MAP_FILE',
+  'CALENDLY_CONSENT_QUESTION', 'CALENDLY_CONSENT_ANSWERS', 'CONSENT_EVIDENCE_FILE', 'SENDY_SEGMENTS_FILE', 'SENDY_SUBSCRIBE_SILENT', 'SENDY_SUBSCRIBE_GDPR'];
+
+describe('processCalendlyEvent', () => {
+  const savedEnv = {};
+
+  beforeAll(() => {
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    jest.spyOn(sendy, 'subscribe');
+    jest.spyOn(sendy, 'unsubscribe');
+    jest.spyOn(sendy, 'deleteSubscriber');
+    ENV_KEYS.forEach((k) => { savedEnv[k] = process.env[k]; });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cache.flushAll();
+    process.env.SENDY_LIST_ID = 'main-list';
+    delete process.env.SENDY_CANCELLED_LIST_ID;
+    delete process.env.CALENDLY_CANCEL_ACTION;
+    process.env.SENDY_ROUTING_FILE = path.join(os.tmpdir(), 'no-such-sendy-routing.json');
+    process.env.CALENDLY_FIELD_MAP_FILE = path.join(os.tmpdir(), 'no-such-calendly-fields.json');
+    process.env.SENDY_SEGMENTS_FILE = path.join(os.tmpdir(), 'no-such-sendy-segments.json');
+    delete process.env.CALENDLY_CONSENT_QUESTION;
+    delete process.env.CALENDLY_CONSENT_ANSWERS;
+    delete process.env.SENDY_SUBSCRIBE_SILENT;
+    delete process.env.SENDY_SUBSCRIBE_GDPR;
+    sendy.subscribe.mockResolvedValue({ success: true, message: 'true', statusCode: 200 });
+    sendy.unsubscribe.mockResolvedValue({ success: true, message: 'true', statusCode: 200 });
+    sendy.deleteSubscriber.mockResolvedValue({ success: true, message: 'true', statusCode: 200 });
+  });
+
+  afterAll(() => {
+    ENV_KEYS.forEach((k) => {
+      if (savedEnv[k] === undefined) delete process.env[k];
+      else process.env[k] = savedEnv[k];
+    });
+    cache.shutdown();
+  });
+
+  test('invitee.created subscribes the booker to SENDY_LIST_ID', async () => {
+    await processCalendlyEvent(created);
+    expect(sendy.subscribe).toHaveBeenCalledWith({
+      email: 'ada@example.com',
+      name: 'Ada Lovelace',
+      listId: 'main-list',
+      fields: {},
+      referrer: 'calendly:Discovery Call'
+    });
+  });
+
+  test('invitee.created skips double opt-in when SENDY_SUBSCRIBE_SILENT is set', async () => {
+    process.env.SENDY_SUBSCRIBE_SILENT = 'true';
+    await processCalendlyEvent(created);
+    expect(sendy.subscribe.mock.calls[0][0]).toMatchObject({ silent: true, referrer: 'calendly:Discovery Call' });
+    expect(sendy.subscribe.mock.calls[0][0]).not.toHaveProperty('gdpr');
+  });
+
+  test('invitee.created sends mapped booking answers as Sendy custom fields', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fields-'));
+    process.env.CALENDLY_FIELD_MAP_FILE = path.join(dir, 'fields.json');
+    fs.writeFileSync(process.env.CALENDLY_FIELD_MAP_FILE, JSON.stringify({
+      fields: [
+        { question: 'Company', field: 'Company' },
+        { question: '/how did you hear/i', field: 'Referral' },
+        { position: 2, field: 'Role' }
+      ]
+    }));
+    const withAnswers = {
+      ...created,
+      payload: {
+        ...created.payload,
+        questions_and_answers: [
+          { question: 'Company', answer: 'Analytical Engines Ltd', position: 0 },
+          { question: 'How did you hear about us?', answer: 'Podcast', position: 1 },
+          { question: 'What is your role?', answer: 'Founder', position: 2 },
+          { question: 'Anything else?', answer: '', position: 3 }
+        ]
+      }
+    };
+    try {
+      await processCalendlyEvent(withAnswers);
+      expect(sendy.subscribe.mock.calls[0][0].fields).toEqual({
+        Company: 'Analytical Engines Ltd',
+        Referral: 'Podcast',
+        Role: 'Founder'
+      });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('invitee.created follows the routing file to every matching list', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'routing-'));
+    process.env.SENDY_ROUTING_FILE = path.join(dir, 'routing.json');
+    fs.writeFileSync(process.env.SENDY_ROUTING_FILE, JSON.stringify({
+      routes: [{ eventType: 'TYPE-DISCOVERY', lists: ['discovery-list', 'main-list'] }]
+    }));
+    try {
+      const outcome = await processCalendlyEvent(created);
+      expect(outcome).toMatchObject({ action: 'subscribe', lists: ['discovery-list', 'main-list'] });
+      expect(sendy.subscribe.mock.calls.map(([arg]) => arg.listId)).toEqual(['discovery-list', 'main-list']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('invitee.created also joins the lists of matching segments, counting earlier bookings from the history', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'segments-'));
+    process.env.SENDY_SEGMENTS_FILE = path.join(dir, 'segments.json');
+    fs.writeFileSync(process.env.SENDY_SEGMENTS_FILE, JSON.stringify({
+      segments: [
+        { name: 'vip', when: { bookings: { gte: 3 } }, lists: ['vip-list'] },
+        { name: 'discovery', when: { event: 'Discovery*' }, lists: ['discovery-list', 'main-list'] }
+      ]
+    }));
+    const history = jest.spyOn(eventHistory, 'forEmail').mockReturnValue([
+      { id: 'e1', source: 'calendly', event: 'invitee.created', status: 'done' },
+      { id: 'e2', source: 'calendly', event: 'invitee.created', status: 'retry' },
+      { id: 'e2', source: 'calendly', event: 'invitee.created', status: 'done' },
+      { id: 'e3', source: 'calendly', event: 'invitee.canceled', status: 'done' }
+    ]);
+    try {
+      const outcome = await processCalendlyEvent(created);
+      expect(history).toHaveBeenCalledWith('ada@example.com');
+      expect(outcome).toMatchObject({ action: 'subscribe', lists: ['main-list', 'vip-list', 'discovery-list'] });
+
+      history.mockReturnValue([]);
+      cache.flushAll();
+      sendy.subscribe.mockClear();
+      await processCalendlyEvent(created);
+      expect(sendy.subscribe.mock.calls.map(([arg]) => arg.listId)).toEqual(['main-list', 'discovery-list']);
+    } finally {
+      history.mockRestore();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('invitee.created without the opt-in answer is not subscribed', async () => {
+    process.env.CALENDLY_CONSENT_QUESTION = 'Send me the newsletter';
+    process.env.CALENDLY_CONSENT_ANSWERS = 'Yes';
+    const outcome = await processCalendlyEvent(created);
+    expect(outcome).toEqual({ action: 'skipped', reason: 'no-consent' });
+    expect(sendy.subscribe).not.toHaveBeenCalled();
+  });
+
+  test('invitee.created with the opt-in answer is subscribed and the evidence stored', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'consent-'));
+    process.env.CONSENT_EVIDENCE_FILE = path.join(dir, 'evidence.json');
+    process.env.CALENDLY_CONSENT_QUESTION = 'Send me the newsletter';
+    process.env.CALENDLY_CONSENT_ANSWERS = 'Yes';
+    const consenting = {
+      ...created,
+      payload: { ...created.payload, questions_and_answers: [{ question: 'Send me the newsletter', answer: 'Yes', position: 0 }] }
+    };
+    try {
+      await processCalendlyEvent(consenting);
+      expect(sendy.subscribe).toHaveBeenCalledTimes(1);
+      expect(sendy.subscribe.mock.calls[0][0].gdpr).toBe(true);
+      const evidence = JSON.parse(fs.readFileSync(process.env.CONSENT_EVIDENCE_FILE, 'utf8'));
+      expect(evidence.emails['ada@example.com']).toMatchObject({
+        question: 'Send me the newsletter',
+        answer: 'Yes',
+        consentedAt: created.payload.created_at,
+        event: 'Discovery Call'
+      });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('invitee.created throws when Sendy rejects the subscribe so the worker retries', async () => {
+    sendy.subscribe.mockResolvedValue({ success: false, message: 'connect ECONNREFUSED 127.0.0.1:80', code: 'NETWORK_ERROR' });
+    await expect(processCalendlyEvent(created)).rejects.toMatchObject({ name: 'SendyError', code: 'NETWORK_ERROR', retryable: true });
+  });
+
+  test('invitee.canceled does nothing by default', async () => {
+    const outcome = await processCalendlyEvent(canceled);
+    expect(outcome).toEqual({ action: 'none' });
+    expect(sendy.unsubscribe).not.toHaveBeenCalled();
+    expect(sendy.deleteSubscriber).not.toHaveBeenCalled();
+  });
+
+  test('invitee.canceled unsubscribes when CALENDLY_CANCEL_ACTION=unsubscribe', async () => {
+    process.env.CALENDLY_CANCEL_ACTION = 'unsubscribe';
+    const outcome = await processCalendlyEvent(canceled);
+    expect(sendy.unsubscribe).toHaveBeenCalledWith({ email: 'ada@example.com', listId: 'main-list' });
+    expect(outcome).toMatchObject({ action: 'unsubscribe', success: true });
+  });
+
+  test('unsubscribing a booker who is not on the list, or already unsubscribed, is not a failure', async () => {
+    process.env.CALENDLY_CANCEL_ACTION = 'unsubscribe';
+    sendy.unsubscribe.mockResolvedValueOnce({ success: false, message: 'Email does not exist.', code: 'NOT_IN_LIST' });
+    expect(await processCalendlyEvent(canceled)).toMatchObject({ action: 'unsubscribe', success: true });
+    sendy.unsubscribe.mockResolvedValueOnce({ success: false, message: 'Already unsubscribed.', code: 'ALREADY_UNSUBSCRIBED' });
+    expect(await processCalendlyEvent(canceled)).toMatchObject({ action: 'unsubscribe', success: true });
+
+    sendy.unsubscribe.mockResolvedValueOnce({ success: false, message: 'Invalid list ID.', code: 'INVALID_LIST' });
+    await expect(processCalendlyEvent(canceled)).rejects.toMatchObject({ name: 'SendyError', code: 'INVALID_LIST' });
+  });
+
+  test('move succeeds when the booker was never on the booking list', async () => {
+    process.env.CALENDLY_CANCEL_ACTION = 'move';
+    process.env.SENDY_CANCELLED_LIST_ID = 'cancelled-list';
+    sendy.deleteSubscriber.mockResolvedValue({ success: false, message: 'Subscriber does not exist', code: 'NOT_IN_LIST' });
+    expect(await processCalendlyEvent(canceled)).toMatchObject({ action: 'move', success: true });
+  });
+
+  test('invitee.canceled moves to the cancelled list when CALENDLY_CANCEL_ACTION=move', async () => {
+    process.env.CALENDLY_CANCEL_ACTION = 'move';
+    process.env.SENDY_CANCELLED_LIST_ID = 'cancelled-list';
+    const outcome = await processCalendlyEvent(canceled);
+    expect(sendy.subscribe).toHaveBeenCalledWith({ email: 'ada@example.com', name: 'Ada Lovelace', listId: 'cancelled-list' });
+    expect(sendy.deleteSubscriber).toHaveBeenCalledWith({ email: 'ada@example.com', listId: 'main-list' });
+    expect(outcome).toMatchObject({ action: 'move', success: true });
+  });
+
+  test('move only removes a booker who never opted in, without adding them to the cancelled list', async () => {
+    process.env.CALENDLY_CANCEL_ACTION = 'move';
+    process.env.SENDY_CANCELLED_LIST_ID = 'cancelled-list';
+    process.env.CALENDLY_CONSENT_QUESTION = 'Send me the newsletter';
+    process.env.CALENDLY_CONSENT_ANSWERS = 'Yes';
+    const outcome = await processCalendlyEvent(canceled);
+    expect(sendy.subscribe).not.toHaveBeenCalled();
+    expect(sendy.deleteSubscriber).toHaveBeenCalledWith({ email: 'ada@example.com', listId: 'main-list' });
+    expect(outcome).toMatchObject({ action: 'move', success: true, reason: 'no-consent' });
+  });
+
+  test('move without SENDY_CANCELLED_LIST_ID fails without touching Sendy', async () => {
+    process.env.CALENDLY_CANCEL_ACTION = 'move';
+    await expect(processCalendlyEvent(canceled)).rejects.toThrow('SENDY_CANCELLED_LIST_ID');
+    expect(sendy.subscribe).not.toHaveBeenCalled();
+    expect(sendy.deleteSubscriber).not.toHaveBeenCalled();
+  });
+
+  test('move keeps the main subscription when adding to the cancelled list fails', async () => {
+    process.env.CALENDLY_CANCEL_ACTION = 'move';
+    process.env.SENDY_CANCELLED_LIST_ID = 'cancelled-list';
+    sendy.subscribe.mockResolvedValue({ success: false, message: 'Invalid list ID.', code: 'INVALID_LIST' });
+    await expect(processCalendlyEvent(canceled)).rejects.toThrow('Invalid list ID.');
+    expect(sendy.deleteSubscriber).not.toHaveBeenCalled();
+  });
+
+  test('a rescheduled cancellation is not treated as churn', async () => {
+    process.env.CALENDLY_CANCEL_ACTION = 'unsubscribe';
+    const outcome = await processCalendlyEvent(canceledRescheduled);
+    expect(outcome).toEqual({ action: 'skipped', reason: 'rescheduled' });
+    expect(sendy.unsubscribe).not.toHaveBeenCalled();
+  });
+
+  test('unknown events are ignored', async () => {
+    const outcome = await processCalendlyEvent({ event: 'routing_form_submission.created', payload: {} });
+    expect(outcome).toEqual({ action: 'ignored' });
+    expect(sendy.subscribe).not.toHaveBeenCalled();
+  });
+});
+
+describe('Calendly webhook signatures', () => {
+  const secret = 'current-secret';
+  const previous = 'previous-secret';
+  const rawBody = Buffer.from(JSON.stringify(created));
+  const now = 1762250000 * 1000;
+  const sign = (key, t = now / 1000, body = rawBody) => `t=${t},v1=${crypto.createHmac('sha256', key).update(`${t}.`).update(body).digest('hex')}`;
+  const verify = (header, options = {}) => verifyWebhookSignature(rawBody, header, { secrets: [secret], strict: true, toleranceSeconds: 180, now, ...options });
+
+  beforeAll(() => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    cache.flushAll();
+  });
+
+  afterAll(() => {
+    cache.shutdown();
+  });
+
+  test('parseSignatureHeader reads t= and every v1=, and rejects anything else', () => {
+    expect(parseSignatureHeader('t=1762250000, v1=abc,v1=def')).toEqual({ timestamp: '1762250000', signatures: ['abc', 'def'] });
+    expect(parseSignatureHeader('v1=abc')).toBeNull();
+    expect(parseSignatureHeader('t=soon,v1=abc')).toBeNull();
+    expect(parseSignatureHeader('t=1762250000')).toBeNull();
+    expect(parseSignatureHeader('sha256=abc')).toBeNull();
+    expect(parseSignatureHeader(undefined)).toBeNull();
+  });
+
+  test('accepts a t=,v1= signature over the raw body, and only that body', () => {
+    expect(verify(sign(secret))).toEqual({ valid: true, reason: 'verified' });
+    // the same JSON re-serialized with different spacing is a different body
+    const reformatted = Buffer.from(JSON.stringify(created, null, 2));
+    expect(verifyWebhookSignature(reformatted, sign(secret), { secrets: [secret], strict: true, now })).toEqual({ valid: false, reason: 'signature-mismatch' });
+  });
+
+  test('accepts both the current and the previous secret during a rotation', () => {
+    expect(verify(sign(previous), { secrets: [secret, previous] }).valid).toBe(true);
+    expect(verify(sign(secret, now / 1000 + 1), { secrets: [secret, previous] }).valid).toBe(true);
+    expect(verify(sign('some-other-secret'), { secrets: [secret, previous] })).toEqual({ valid: false, reason: 'signature-mismatch' });
+  });
+
+  test('rejects a malformed header', () => {
+    expect(verify('not-a-signature')).toEqual({ valid: false, reason: 'malformed-signature' });
+    expect(verify(`v1=${sign(secret).split('v1=')[1]}`)).toEqual({ valid: false, reason: 'malformed-signature' });
+  });
+
+  test('rejects a timestamp outside the tolerance, in either direction', () => {
+    expect(verify(sign(secret, now / 1000 - 181))).toEqual({ valid: false, reason: 'timestamp-outside-tolerance' });
+    expect(verify(sign(secret, now / 1000 + 181))).toEqual({ valid: false, reason: 'timestamp-outside-tolerance' });
+    expect(verify(sign(secret, now / 1000 - 179)).valid).toBe(true);
+  });
+
+  test('rejects a replay of a signature it already accepted', () => {
+    const header = sign(secret);
+    expect(verify(header).valid).toBe(true);
+    expect(verify(header)).toEqual({ valid: false, reason: 'replayed' });
+  });
+
+  test('strict mode rejects a missing header or a missing secret', () => {
+    expect(verify(undefined)).toEqual({ valid: false, reason: 'missing-signature' });
+    expect(verify(sign(secret), { secrets: [] })).toEqual({ valid: false, reason: 'no-secret-configured' });
+  });
+
+  test('non-strict mode lets an unsigned request through', () => {
+    expect(verify(undefined, { strict: false })).toEqual({ valid: true, reason: 'unsigned' });
+    expect(verify(undefined, { strict: false, secrets: [] })).toEqual({ valid: true, reason: 'unverified' });
+    // a header that is present is still checked
+    expect(verify('t=1,v1=00', { strict: false })).toEqual({ valid: false, reason: 'timestamp-outside-tolerance' });
+  });
+});
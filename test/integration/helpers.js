@@ -0,0 +1,19 @@
+const path = require('path');
+const { execFile } = require('child_process');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Run a script from src/scripts the way the CLI does, with `env` on top of the test's environment.
+ * Resolves with { code, stdout, stderr } whether or not it exited 0. Async on purpose: the fake
+ * servers live in the test process and must keep answering while the script runs.
+ */
+function runScript(script, args = [], { env = {}, cwd = ROOT, timeout = 30000 } = {}) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [path.join(ROOT, 'src/scripts', script), ...args], { cwd, env: { ...process.env, ...env }, timeout }, (err, stdout, stderr) => {
+      resolve({ code: err ? (err.code === undefined ? 1 : err.code) : 0, stdout, stderr });
+    });
+  });
+}
+
+module.exports = { ROOT, runScript };
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FakeSendyServer = require('../fakes/sendyServer');
+const { runScript } = require('./helpers');
+const logger = require('../../src/utils/logger');
+
+// the client singleton warns about missing config when required
+for (const level of ['info', 'warn', 'error', 'debug']) jest.spyOn(logger, level).mockImplementation(() => {});
+const cache = require('../../src/utils/cache');
+const { SendyClient } = require('../../src/clients/sendyClient');
+const SendySink = require('../../src/sync/sinks/sendySink');
+const SyncEngine = require('../../src/sync/engine');
+const { parseSyncArgs } = require('../../src/sync/args');
+
+afterAll(() => cache.shutdown());
+
+// A client pointed at the fake (the client reads its config from env when constructed)
+function clientFor(fake, { apiKey = fake.apiKey } = {}) {
+  const saved = { url: process.env.SENDY_INSTALLATION_URL, key: process.env.SENDY_API_KEY };
+  Object.assign(process.env, { SENDY_INSTALLATION_URL: fake.url, SENDY_API_KEY: apiKey });
+  const client = new SendyClient();
+  for (const [name, value] of [['SENDY_INSTALLATION_URL', saved.url], ['SENDY_API_KEY', saved.key]]) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  client.retryDelayMs = 0;
+  // the fake only speaks plain HTTP, so the HTTPS fallback would always fail
+  client.httpsHttp = null;
+  return client;
+}
+
+// A script's Sendy settings for the fake
+const sendyEnv = (fake) => ({ SENDY_INSTALLATION_URL: fake.url, SENDY_API_KEY: fake.apiKey, SENDY_LIST_ID: 'L1', SENDY_BRAND_ID: '1' });
+
+describe('SendyClient against the fake Sendy server', () => {
+  const fake = new FakeSendyServer({ lists: [{ id: 'L1', name: 'Bookings' }, { id: 'L2', name: 'Customers' }] });
+  let sendy;
+
+  beforeAll(async () => {
+    await fake.start();
+    sendy = clientFor(fake);
+  });
+
+  afterAll(() => fake.close());
+
+  beforeEach(() => fake.reset());
+
+  test('subscribe, status, count, unsubscribe and delete round-trip', async () => {
+    const res = await sendy.subscribe({ email: 'ada@example.com', name: 'Ada', listId: 'L1', fields: { Company: 'Acme' }, referrer: 'calendly', gdpr: true });
+    expect(res).toEqual({ success: true, message: 'true', statusCode: 200 });
+    expect(fake.subscriber('ada@example.com', 'L1')).toMatchObject({ name: 'Ada', fields: { Company: 'Acme' }, params: { referrer: 'calendly', gdpr: 'true' } });
+
+    expect(await sendy.subscribe({ email: 'ada@example.com', listId: 'L1' })).toMatchObject({ success: true, code: 'ALREADY_SUBSCRIBED' });
+    expect(await sendy.getSubscriberStatus('ada@example.com', 'L1')).toMatchObject({ success: true, normalized: 'subscribed' });
+    expect(await sendy.getActiveSubscriberCount('L1')).toMatchObject({ success: true, count: 1 });
+
+    expect(await sendy.unsubscribe({ email: 'ada@example.com', listId: 'L1' })).toMatchObject({ success: true });
+    expect(await sendy.getSubscriberStatus('ada@example.com', 'L1')).toMatchObject({ normalized: 'unsubscribed' });
+    expect(await sendy.deleteSubscriber({ email: 'ada@example.com', listId: 'L1' })).toMatchObject({ success: true });
+    expect(await sendy.getSubscriberStatus('ada@example.com', 'L1')).toMatchObject({ success: true, normalized: 'not-in-list' });
+    expect(await sendy.deleteSubscriber({ email: 'ada@example.com', listId: 'L1' })).toMatchObject({ success: false, code: 'NOT_IN_LIST' });
+  });
+
+  test('Sendy\'s error replies come back as typed codes', async () => {
+    fake.seed('bounce@example.com', 'L1', { status: 'Bounced' });
+    expect(await sendy.subscribe({ email: 'not-an-email', listId: 'L1' })).toMatchObject({ success: false, code: 'INVALID_EMAIL' });
+    expect(await sendy.subscribe({ email: 'ada@example.com', listId: 'nope' })).toMatchObject({ success: false, code: 'INVALID_LIST' });
+    expect(await sendy.subscribe({ email: 'bounce@example.com', listId: 'L1' })).toMatchObject({ success: false, code: 'BOUNCED' });
+    expect(await sendy.getActiveSubscriberCount('nope')).toMatchObject({ success: false, code: 'INVALID_LIST' });
+    expect(await clientFor(fake, { apiKey: 'wrong' }).getSubscriberStatus('ada@example.com', 'L1')).toMatchObject({ success: false, code: 'INVALID_API_KEY' });
+  });
+
+  test('lists and brands', async () => {
+    process.env.SENDY_BRAND_ID = '1';
+    try {
+      expect(await sendy.listLists()).toMatchObject({ success: true, lists: { list1: { id: 'L1', name: 'Bookings' }, list2: { id: 'L2' } } });
+    } finally {
+      delete process.env.SENDY_BRAND_ID;
+    }
+    expect(await sendy.listBrands()).toMatchObject({ success: true, brands: { brand1: { id: '1', name: 'Test Brand' } } });
+  });
+
+  test('"No data passed" falls back to another encoding and still subscribes', async () => {
+    fake.fail('no-data-passed', { path: '/subscribe' });
+    expect(await sendy.subscribe({ email: 'ada@example.com', listId: 'L1' })).toMatchObject({ success: true });
+    expect(fake.requests.filter((r) => r.path === '/subscribe')).toHaveLength(2);
+    expect(fake.subscriber('ada@example.com', 'L1')).not.toBeNull();
+  });
+
+  test('500s are retried, HTML 404s are not', async () => {
+    fake.fail('server-error', { times: 2 });
+    expect(await sendy.getActiveSubscriberCount('L1')).toMatchObject({ success: true, count: 0 });
+    expect(fake.requests).toHaveLength(3);
+
+    fake.reset();
+    fake.fail('html-404', { path: '/api/brands/get-brands.php' });
+    expect(await sendy.listBrands()).toMatchObject({ success: false, code: 'HTTP_ERROR', statusCode: 404 });
+    expect(fake.requests).toHaveLength(1);
+  });
+
+  test('slow responses time out and are retried', async () => {
+    const client = clientFor(fake);
+    client.http.defaults.timeout = 100;
+    fake.fail('slow', { delayMs: 300 });
+    expect(await client.getSubscriberStatus('ada@example.com', 'L1')).toMatchObject({ success: true, normalized: 'not-in-list' });
+
+    fake.fail('slow', { times: 3, delayMs: 300 });
+    expect(await client.getSubscriberStatus('ada@example.com', 'L1')).toMatchObject({ success: false, code: 'TIMEOUT' });
+  });
+
+  test('an empty reply to a subscribe is retried once', async () => {
+    fake.fail('empty', { path: '/subscribe' });
+    expect(await sendy.subscribe({ email: 'ada@example.com', listId: 'L1' })).toMatchObject({ success: true });
+  });
+});
+
+describe('sync and scripts against the fake Sendy server', () => {
+  const fake = new FakeSendyServer({ lists: [{ id: 'L1' }] });
+  const cwd = process.cwd();
+  let dir;
+
+  beforeAll(() => fake.start());
+
+  afterAll(() => fake.close());
+
+  beforeEach(() => {
+    fake.reset();
+    cache.flushAll();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-sendy-'));
+    process.chdir(dir);
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('the sync engine subscribes new contacts and respects Sendy\'s statuses', async () => {
+    fake.seed('subscribed@example.com', 'L1').seed('gone@example.com', 'L1', { status: 'Unsubscribed' });
+    const source = {
+      name: 'fake',
+      label: 'Fake',
+      noun: 'contacts',
+      reportPrefix: 'fake_sync_report',
+      prepare() {},
+      cacheFileName: () => '.fake_cache.json',
+      watermark: () => ({ key: 'fake', lists: ['L1'], field: 'updated_at' }),
+      async fetch(state) {
+        state.records = ['new@example.com', 'subscribed@example.com', 'gone@example.com'].map((email) => ({ email }));
+      },
+      records: (state) => state.records,
+      contacts: (records) => records.map((r) => ({ email: r.email, name: '', listId: 'L1' }))
+    };
+    const opts = parseSyncArgs(['--list-id', 'L1', '--throttle-ms=0', '--no-persistent-cache']);
+    const { report } = await new SyncEngine({ source, sink: new SendySink({ client: clientFor(fake) }), opts }).run();
+
+    expect(report.totals).toMatchObject({ checked: 3, attempted: 1, subscribed: 1, subscriptionFailures: 0 });
+    expect(report.totals.skipped).toMatchObject({ alreadySubscribed: 1, unsubscribed: 1 });
+    expect(fake.subscribersOf('L1', 'Subscribed').map((s) => s.email).sort()).toEqual(['new@example.com', 'subscribed@example.com']);
+  });
+
+  test('sendy-unsubscribe and test_sendy_connection run against the fake', async () => {
+    fake.seed('ada@example.com', 'L1').seed('alan@example.com', 'L1');
+
+    const unsub = await runScript('sendy_subscriber.js', ['unsubscribe', '--email', 'ada@example.com,nobody@example.com'], { env: sendyEnv(fake) });
+    expect(unsub.code).toBe(1);
+    expect(JSON.parse(unsub.stdout).results).toEqual([
+      { email: 'ada@example.com', success: true, message: 'true' },
+      { email: 'nobody@example.com', success: false, message: 'Email does not exist.' }
+    ]);
+    expect(fake.subscriber('ada@example.com', 'L1').status).toBe('Unsubscribed');
+
+    const check = await runScript('test_sendy_connection.js', [], { env: sendyEnv(fake) });
+    expect(check.stdout).toContain('"active_subscribers": 1');
+  });
+});
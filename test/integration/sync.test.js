@@ -0,0 +1,109 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FakeSendyServer = require('../fakes/sendyServer');
+const FakeCalendlyServer = require('../fakes/calendlyServer');
+const FakeShopifyServer = require('../fakes/shopifyServer');
+const { runScript } = require('./helpers');
+
+// The sync scripts end to end: each runs as a child process against the three fakes, in a scratch directory
+
+const sendy = new FakeSendyServer({ lists: [{ id: 'L1', name: 'Bookings' }, { id: 'S1', name: 'Shop' }] });
+const calendly = new FakeCalendlyServer({ pageSize: 2 });
+const shopify = new FakeShopifyServer({ pageSize: 2 });
+let dir;
+
+beforeAll(() => Promise.all([sendy.start(), calendly.start(), shopify.start()]));
+
+afterAll(() => Promise.all([sendy.close(), calendly.close(), shopify.close()]));
+
+beforeEach(() => {
+  sendy.reset();
+  calendly.requests = [];
+  shopify.requests = [];
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-e2e-'));
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function sync(script, args, env = {}) {
+  return runScript(script, [...args, '--throttle-ms=0'], {
+    cwd: dir,
+    env: {
+      CALENDLY_API_URL: calendly.url,
+      CALENDLY_PERSONAL_ACCESS_TOKEN: calendly.token,
+      SHOPIFY_SHOP_URL: shopify.url,
+      SHOPIFY_SHOP_NAME: 'test-shop',
+      SHOPIFY_ACCESS_TOKEN: shopify.accessToken,
+      SENDY_INSTALLATION_URL: sendy.url,
+      SENDY_API_KEY: sendy.apiKey,
+      SENDY_RETRY_DELAY_MS: '0',
+      ...env
+    }
+  });
+}
+
+// The report a run wrote, newest first
+function latestReport(prefix) {
+  const files = fs.readdirSync(dir).filter((f) => new RegExp(`^${prefix}_\\d+\\.json$`).test(f)).sort().reverse();
+  return JSON.parse(fs.readFileSync(path.join(dir, files[0]), 'utf8'));
+}
+
+const emails = (listId) => sendy.subscribersOf(listId).map((s) => s.email).sort();
+
+describe('sync_calendly_to_sendy.js', () => {
+  test('subscribes the invitees of active events across pages, then only checks new ones', async () => {
+    const first = await sync('sync_calendly_to_sendy.js', ['--list-id', 'L1']);
+    expect(first.code).toBe(0);
+
+    expect(emails('L1')).toEqual(['ada@example.com', 'alan.turing@example.com', 'grace.hopper@example.com', 'katherine@example.com']);
+    expect(sendy.subscriber('ada@example.com', 'L1').params).toEqual({ referrer: 'calendly:Discovery Call' });
+    expect(latestReport('sync_report').totals).toMatchObject({ attempted: 4, subscribed: 4, subscriptionFailures: 0 });
+    // events and the three-invitee event both took two pages
+    expect(calendly.requests.filter((r) => r.query.page_token).map((r) => r.path)).toEqual(['/scheduled_events', '/scheduled_events/EVENT-0002/invitees']);
+
+    // the watermark limits the next run to events from the latest booking on
+    sendy.requests = [];
+    const second = await sync('sync_calendly_to_sendy.js', ['--list-id', 'L1']);
+    expect(second.code).toBe(0);
+    expect(latestReport('sync_report').totals).toMatchObject({ checked: 1, attempted: 0 });
+    expect(sendy.requests.filter((r) => r.path === '/subscribe')).toEqual([]);
+  });
+
+  test('a rejected Calendly token fails the run without touching Sendy', async () => {
+    const res = await sync('sync_calendly_to_sendy.js', ['--list-id', 'L1'], { CALENDLY_PERSONAL_ACCESS_TOKEN: 'wrong' });
+    expect(res.code).toBe(1);
+    expect(sendy.requests).toEqual([]);
+  });
+});
+
+describe('sync_shopify_to_sendy.js', () => {
+  test('orders: waits out a 429, follows Link pages and sends buyer details', async () => {
+    shopify.rateLimit({ retryAfter: 0 });
+    const res = await sync('sync_shopify_to_sendy.js', ['--list-id', 'S1']);
+    expect(res.code).toBe(0);
+
+    const orders = shopify.requests.filter((r) => r.path.endsWith('/orders.json'));
+    expect(orders).toHaveLength(4); // the 429, then three pages of two
+    expect(orders.filter((r) => r.query.page_info)).toHaveLength(2);
+
+    expect(emails('S1')).toEqual(['ada@example.com', 'edsger@example.com', 'grace.hopper@example.com', 'konrad@example.com']);
+    expect(sendy.subscriber('grace.hopper@example.com', 'S1')).toMatchObject({
+      name: 'Grace Hopper',
+      params: { referrer: 'shopify:order', country: 'US', ipaddress: '203.0.113.7', gdpr: 'true' }
+    });
+    expect(sendy.subscriber('konrad@example.com', 'S1').params).toEqual({ referrer: 'shopify:order', country: 'DE' });
+    expect(latestReport('shopify_sync_report').totals).toMatchObject({ subscribed: 4, subscriptionFailures: 0 });
+  });
+
+  test('customers: skips those without an email and keeps Sendy unsubscribes', async () => {
+    sendy.seed('edsger@example.com', 'S1', { status: 'Unsubscribed' });
+    const res = await sync('sync_shopify_to_sendy.js', ['--list-id', 'S1', '--source', 'customers']);
+    expect(res.code).toBe(0);
+
+    expect(sendy.subscribersOf('S1', 'Subscribed').map((s) => s.email).sort()).toEqual(['ada@example.com', 'grace.hopper@example.com']);
+    expect(sendy.subscriber('grace.hopper@example.com', 'S1').params).toMatchObject({ referrer: 'shopify:customer', gdpr: 'true' });
+    expect(sendy.subscriber('edsger@example.com', 'S1').status).toBe('Unsubscribed');
+    expect(latestReport('shopify_sync_report').totals.skipped).toMatchObject({ unsubscribed: 1 });
+  });
+});
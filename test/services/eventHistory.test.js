@@ -0,0 +1,45 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventHistory } = require('../../src/services/eventHistory');
+const created = require('../fixtures/calendly/invitee_created.json');
+const order = require('../fixtures/shopify/orders_create.json');
+
+describe('EventHistory', () => {
+  let dir;
+  let history;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-history-'));
+    history = new EventHistory({ filePath: path.join(dir, 'history.jsonl'), maxEntries: 5 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('extracts emails from Calendly and Shopify bodies', () => {
+    expect(EventHistory.extractEmails({ source: 'calendly', body: created })).toEqual([created.payload.email.toLowerCase()]);
+    expect(EventHistory.extractEmails({ source: 'shopify', body: order })).toContain(order.email.toLowerCase());
+  });
+
+  test('records outcomes and looks them up by email and event id', () => {
+    const entry = { id: 'e1', source: 'calendly', event: 'invitee.created', body: created };
+    history.record(entry, { status: 'retry', attempts: 1, error: 'Sendy down' });
+    history.record(entry, { status: 'done', attempts: 2, result: { action: 'subscribe', success: true } });
+
+    const byEmail = history.forEmail(created.payload.email.toUpperCase());
+    expect(byEmail.map((r) => r.status)).toEqual(['retry', 'done']);
+    expect(history.forEvent('e1')).toHaveLength(2);
+    expect(history.recent({ limit: 1 })[0]).toMatchObject({ id: 'e1', status: 'done', result: { action: 'subscribe' } });
+    expect(history.recent({ status: 'retry' })[0].error).toBe('Sendy down');
+  });
+
+  test('trims to the newest maxEntries once it grows past the slack', () => {
+    for (let i = 0; i < 7; i++) {
+      history.record({ id: `e${i}`, source: 'shopify', event: 'customers/create', body: { email: `c${i}@example.com` } }, { status: 'done' });
+    }
+    const ids = history.recent({ limit: 100 }).map((r) => r.id);
+    expect(ids).toEqual(['e6', 'e5', 'e4', 'e3', 'e2']);
+  });
+});
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const axios = require('axios');
+const logger = require('../../src/utils/logger');
+const TokenStore = require('../../src/utils/tokenStore');
+const { requireScope } = require('../../src/handlers/apiAuth');
+
+// the Sendy client warns about missing config when it loads
+jest.spyOn(logger, 'warn').mockImplementation(() => {});
+const { Readiness } = require('../../src/services/readiness');
+const { createReadinessRouter } = require('../../src/handlers/readinessHandler');
+
+const check = (name, impl, enabled = true) => ({ name, enabled: () => enabled, check: jest.fn(impl) });
+
+describe('Readiness', () => {
+  beforeAll(() => {
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  test('reports each dependency with latency and is ready when all pass', async () => {
+    const readiness = new Readiness({
+      checks: [check('sendy', async () => ({ activeSubscribers: 3 })), check('shopify', async () => ({}), false)],
+      optional: []
+    });
+    const result = await readiness.check();
+    expect(result.ready).toBe(true);
+    expect(result.dependencies.sendy).toMatchObject({ status: 'ok', required: true, error: null, detail: { activeSubscribers: 3 } });
+    expect(typeof result.dependencies.sendy.latencyMs).toBe('number');
+    expect(result.dependencies.shopify).toMatchObject({ status: 'skipped', required: false });
+  });
+
+  test('fails when a required dependency fails, not when an optional one does', async () => {
+    const failing = new Readiness({
+      checks: [check('sendy', async () => { throw new Error('Invalid API key'); })],
+      optional: []
+    });
+    const result = await failing.check();
+    expect(result.ready).toBe(false);
+    expect(result.dependencies.sendy).toMatchObject({ status: 'error', error: 'Invalid API key' });
+
+    const tolerant = new Readiness({
+      checks: [check('sendy', async () => ({})), check('shopify', async () => { throw new Error('down'); })],
+      optional: ['shopify']
+    });
+    expect((await tolerant.check()).ready).toBe(true);
+  });
+
+  test('times out slow checks', async () => {
+    const readiness = new Readiness({
+      checks: [check('calendly', () => new Promise(() => {}))],
+      timeoutMs: 20,
+      optional: []
+    });
+    const result = await readiness.check();
+    expect(result.dependencies.calendly.error).toMatch(/timed out/);
+  });
+
+  test('caches results for ttlMs unless forced', async () => {
+    const sendy = check('sendy', async () => ({}));
+    const readiness = new Readiness({ checks: [sendy], ttlMs: 60000, optional: [] });
+
+    expect((await readiness.check()).cached).toBe(false);
+    expect((await readiness.check()).cached).toBe(true);
+    expect(sendy.check).toHaveBeenCalledTimes(1);
+
+    await readiness.check({ force: true });
+    expect(sendy.check).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('GET /ready', () => {
+  let server;
+  let http;
+  let dir;
+  let token;
+  const sendy = check('sendy', async () => ({ activeSubscribers: 3 }));
+
+  beforeAll((done) => {
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'readiness-api-'));
+    const store = new TokenStore({ filePath: path.join(dir, 'tokens.json') });
+    token = store.create({ name: 'probe', scopes: ['read:events'] }).token;
+    const readiness = new Readiness({ checks: [sendy], ttlMs: 60000, optional: [] });
+    const app = express();
+    app.use(createReadinessRouter({ readiness, scope: (s) => requireScope(s, { store, audit: () => {} }) }));
+    server = app.listen(0, () => {
+      http = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    server.close(done);
+  });
+
+  test('serves cached results to anyone but needs a token to refresh', async () => {
+    const plain = await http.get('/ready');
+    expect(plain.status).toBe(200);
+    expect(plain.data).toMatchObject({ status: 'ready', dependencies: { sendy: { status: 'ok' } } });
+    expect(sendy.check).toHaveBeenCalledTimes(1);
+
+    const anonymous = await http.get('/ready', { params: { refresh: 'true' } });
+    expect(anonymous.status).toBe(401);
+    expect(sendy.check).toHaveBeenCalledTimes(1);
+
+    const refreshed = await http.get('/ready', { params: { refresh: 'true' }, headers: { Authorization: `Bearer ${token}` } });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.data.cached).toBe(false);
+    expect(sendy.check).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../../src/utils/logger');
+const Scheduler = require('../../src/services/scheduler');
+
+describe('Scheduler', () => {
+  let dir;
+
+  beforeAll(() => {
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('runs due jobs on tick and persists the last run', async () => {
+    const run = jest.fn(async () => ({ counted: 3 }));
+    const scheduler = new Scheduler({ dir, jobs: [{ name: 'list-counts', cron: '*/5 * * * *', run }, { name: 'shopify-sync', cron: null, run }] });
+    scheduler.start();
+    const job = scheduler.jobs.get('list-counts');
+    expect(job.nextRunAt).toBeInstanceOf(Date);
+
+    await scheduler.tick(new Date(job.nextRunAt.getTime() - 1000));
+    expect(run).not.toHaveBeenCalled();
+
+    const due = job.nextRunAt;
+    await scheduler.tick(due);
+    scheduler.stop();
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(job.nextRunAt.getTime() - due.getTime()).toBe(5 * 60 * 1000);
+
+    const status = new Scheduler({ dir, jobs: [{ name: 'list-counts', cron: '*/5 * * * *', run }] }).status();
+    expect(status.jobs[0].lastRun).toMatchObject({ status: 'succeeded', detail: { counted: 3 } });
+    expect(scheduler.status().jobs.find((j) => j.name === 'shopify-sync')).toMatchObject({ scheduled: false, nextRunAt: null });
+  });
+
+  test('records failures', async () => {
+    const scheduler = new Scheduler({ dir, jobs: [{ name: 'calendly-sync', cron: '@hourly', run: async () => { throw new Error('Calendly 401'); } }] });
+    const lastRun = await scheduler.runJob('calendly-sync');
+    expect(lastRun).toMatchObject({ status: 'failed', error: 'Calendly 401' });
+  });
+
+  test('skips a job while another process holds its lock', async () => {
+    const run = jest.fn(async () => ({}));
+    const scheduler = new Scheduler({ dir, jobs: [{ name: 'calendly-sync', cron: '@hourly', run }] });
+    const lockPath = path.join(dir, 'locks', 'calendly-sync.lock');
+    fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+    // a live holder: this very process, pretending to be another server instance
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, host: os.hostname(), acquiredAt: new Date().toISOString() }));
+
+    expect(await scheduler.runJob('calendly-sync')).toMatchObject({ status: 'skipped', reason: 'locked' });
+    expect(run).not.toHaveBeenCalled();
+    expect(scheduler.status().jobs[0].lastSkipped.reason).toBe('locked');
+  });
+
+  test('does not start when disabled', () => {
+    const scheduler = new Scheduler({ dir, enabled: false, jobs: [{ name: 'list-counts', cron: '@hourly', run: async () => {} }] });
+    scheduler.start();
+    expect(scheduler.status()).toMatchObject({ enabled: false, started: false });
+  });
+});
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../../src/utils/logger');
+const { SyncRunner, buildArgs } = require('../../src/services/syncRunner');
+const { PROGRESS_PREFIX, parseProgressLine } = require('../../src/sync/progress');
+
+// Stand-in for a sync script: prints progress lines like the engine does and writes a report
+const FAKE_SCRIPT = `
+const fs = require('fs');
+const progress = (update) => console.log('${PROGRESS_PREFIX}' + JSON.stringify(update));
+console.log('[INFO] Fetching something, worded however the script likes');
+progress({ phase: 'fetching', runId: 'calendly-20250301T100000Z-ab12' });
+progress({ phase: 'checking', checked: 0, total: 120 });
+progress({ phase: 'checking', checked: 50, total: 120 });
+console.log('[INFO] Progress: checked 99/999 (dryRun=' + process.argv.includes('--dry-run') + ')');
+progress({ phase: 'subscribing', checked: 120, total: 120, toSubscribe: 7 });
+progress({ phase: 'reporting', subscribed: 7 });
+fs.writeFileSync('report.json', JSON.stringify({ totals: { checked: 120, subscribed: 7 } }));
+progress({ phase: 'reporting', reportPath: 'report.json' });
+if (process.argv.includes('--list-id=fail')) progress({ phase: 'failed', error: 'Sendy is down' });
+process.exit(process.argv.includes('--list-id=fail') ? 1 : 0);
+`;
+
+const waitFor = async (fn, timeoutMs = 5000) => {
+  const started = Date.now();
+  while (!fn()) {
+    if (Date.now() - started > timeoutMs) throw new Error('timed out');
+    await new Promise((r) => setTimeout(r, 20));
+  }
+};
+
+describe('buildArgs', () => {
+  test('maps options to script flags', () => {
+    expect(buildArgs('calendly', { since: '2025-01-01', listId: 'L1', dryRun: true, noRouting: false }))
+      .toEqual(['--since=2025-01-01', '--list-id=L1', '--dry-run']);
+    expect(buildArgs('shopify', { source: 'customers' })).toEqual(['--source=customers']);
+    expect(buildArgs('shopify', { resume: 'shopify-20250301T100000Z-ab12' })).toEqual(['--resume=shopify-20250301T100000Z-ab12']);
+  });
+
+  test('rejects unknown sources and options', () => {
+    expect(() => buildArgs('hubspot', {})).toThrow(/Unknown sync source/);
+    expect(() => buildArgs('shopify', { routingFile: 'x.json' })).toThrow(/Unknown shopify sync option "routingFile"/);
+    expect(() => buildArgs('calendly', { overlapMinutes: 'soon' })).toThrow(/Invalid --overlap-minutes/);
+  });
+});
+
+describe('parseProgressLine', () => {
+  test('reads prefixed JSON and ignores other output', () => {
+    expect(parseProgressLine(`${PROGRESS_PREFIX}{"phase":"checking","checked":5}`)).toEqual({ phase: 'checking', checked: 5 });
+    expect(parseProgressLine('[INFO] ⏳ Progress: checked 50/120 invitees')).toBeNull();
+    expect(parseProgressLine(`${PROGRESS_PREFIX}{not json`)).toBeNull();
+    expect(parseProgressLine(`${PROGRESS_PREFIX}42`)).toBeNull();
+  });
+});
+
+describe('SyncRunner', () => {
+  let dir;
+  let runner;
+
+  beforeAll(() => {
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-runner-'));
+    const script = path.join(dir, 'fake_sync.js');
+    fs.writeFileSync(script, FAKE_SCRIPT);
+    runner = new SyncRunner({ scripts: { calendly: script, shopify: script }, cwd: dir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('tracks progress and report totals of a background run', async () => {
+    const started = runner.start({ source: 'calendly', options: { dryRun: true } });
+    expect(started.status).toBe('running');
+    expect(() => runner.start({ source: 'calendly' })).toThrow(/already running/);
+
+    await waitFor(() => runner.get(started.id).status !== 'running');
+    const run = runner.get(started.id);
+    expect(run).toMatchObject({ status: 'succeeded', exitCode: 0, reportPath: 'report.json', totals: { checked: 120, subscribed: 7 } });
+    expect(run.checkpointId).toBe('calendly-20250301T100000Z-ab12');
+    expect(run.progress).toMatchObject({ phase: 'finished', checked: 120, total: 120, toSubscribe: 7, subscribed: 7 });
+    expect(run.log.some((l) => l.includes('dryRun=true'))).toBe(true);
+    expect(run.log.some((l) => l.startsWith(PROGRESS_PREFIX))).toBe(false);
+    expect(runner.list()[0].id).toBe(started.id);
+  });
+
+  test('marks non-zero exits as failed', async () => {
+    const { id } = runner.start({ source: 'shopify', options: { listId: 'fail' } });
+    await waitFor(() => runner.get(id).status !== 'running');
+    expect(runner.get(id)).toMatchObject({ status: 'failed', exitCode: 1, error: 'Sendy is down' });
+  });
+});
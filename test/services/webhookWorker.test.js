@@ -0,0 +1,139 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../../src/utils/logger');
+const { WebhookInbox } = require('../../src/services/webhookInbox');
+const WebhookWorker = require('../../src/services/webhookWorker');
+
+// the Sendy client warns about missing config when it loads
+jest.spyOn(logger, 'warn').mockImplementation(() => {});
+const { SendyError } = require('../../src/clients/sendyClient');
+
+describe('WebhookWorker with a durable inbox', () => {
+  let dir;
+  let inbox;
+
+  beforeAll(() => {
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-inbox-'));
+    inbox = new WebhookInbox({ dir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('enqueued events survive a new inbox instance and are drained once', async () => {
+    inbox.enqueue({ source: 'calendly', event: 'invitee.created', body: { event: 'invitee.created' } });
+    const reopened = new WebhookInbox({ dir });
+    expect(reopened.pending()).toHaveLength(1);
+
+    const processor = jest.fn().mockResolvedValue({ action: 'subscribe' });
+    const worker = new WebhookWorker({ inbox: reopened, processor });
+    const outcomes = await worker.drain();
+
+    expect(outcomes.map((o) => o.status)).toEqual(['done']);
+    expect(processor).toHaveBeenCalledTimes(1);
+    expect(reopened.pending()).toHaveLength(0);
+  });
+
+  test('duplicate deliveries with the same dedupe key are queued once', () => {
+    const first = inbox.enqueue({ source: 'calendly', event: 'invitee.created', body: {}, dedupeKey: 'calendly:x' });
+    const second = inbox.enqueue({ source: 'calendly', event: 'invitee.created', body: {}, dedupeKey: 'calendly:x' });
+    expect(second.id).toBe(first.id);
+    expect(inbox.pending()).toHaveLength(1);
+  });
+
+  test('failures back off exponentially and end in the dead-letter store', async () => {
+    inbox.enqueue({ source: 'calendly', event: 'invitee.created', body: { n: 1 } });
+    const processor = jest.fn().mockRejectedValue(new Error('Sendy down'));
+    const worker = new WebhookWorker({ inbox, processor, maxAttempts: 3, baseDelayMs: 1000 });
+
+    expect(worker.backoffDelay(1)).toBe(1000);
+    expect(worker.backoffDelay(3)).toBe(4000);
+
+    let outcomes = await worker.drain();
+    expect(outcomes[0].status).toBe('retry');
+    // not due again until the backoff elapses
+    expect(inbox.due()).toHaveLength(0);
+
+    const later = Date.now() + 60 * 1000;
+    for (let i = 0; i < 2; i++) {
+      const [entry] = inbox.due(later);
+      outcomes = [await worker.processEntry(entry)];
+    }
+    expect(outcomes[0].status).toBe('dead');
+    expect(inbox.pending()).toHaveLength(0);
+
+    const letters = inbox.listDeadLetters();
+    expect(letters).toHaveLength(1);
+    expect(letters[0]).toMatchObject({ attempts: 3, lastError: 'Sendy down', body: { n: 1 }, replayedAt: null });
+  });
+
+  test('a permanent Sendy failure goes to the dead-letter store without retries', async () => {
+    inbox.enqueue({ source: 'calendly', event: 'invitee.created', body: { n: 3 } });
+    const processor = jest.fn().mockRejectedValue(new SendyError('Invalid email address.', { code: 'INVALID_EMAIL' }));
+    const worker = new WebhookWorker({ inbox, processor, maxAttempts: 8 });
+
+    const [outcome] = await worker.drain();
+    expect(outcome).toMatchObject({ status: 'dead', error: 'Invalid email address.' });
+    expect(inbox.pending()).toHaveLength(0);
+    expect(inbox.listDeadLetters()[0]).toMatchObject({ attempts: 1, lastError: 'Invalid email address.' });
+  });
+
+  test('transient Sendy failures are still retried', async () => {
+    inbox.enqueue({ source: 'calendly', event: 'invitee.created', body: { n: 4 } });
+    for (const code of ['NETWORK_ERROR', 'NO_DATA_PASSED']) {
+      const processor = jest.fn().mockRejectedValue(new SendyError('Sendy struggling', { code }));
+      const [entry] = inbox.due(Date.now() + 3600 * 1000);
+      const outcome = await new WebhookWorker({ inbox, processor, maxAttempts: 8 }).processEntry(entry);
+      expect(outcome.status).toBe('retry');
+    }
+  });
+
+  test('a rate-limited or proxy-blocked Sendy call is retried, not dead-lettered', async () => {
+    inbox.enqueue({ source: 'calendly', event: 'invitee.created', body: { n: 5 } });
+    const errors = [
+      SendyError.fromHttp(Object.assign(new Error('Request failed with status code 429'), { response: { status: 429 } })),
+      SendyError.fromHttp(Object.assign(new Error('Request failed with status code 408'), { response: { status: 408 } })),
+      new SendyError('HTML response received', { code: 'HTML_RESPONSE' })
+    ];
+    for (const error of errors) {
+      const processor = jest.fn().mockRejectedValue(error);
+      const [entry] = inbox.due(Date.now() + 3600 * 1000);
+      const outcome = await new WebhookWorker({ inbox, processor, maxAttempts: 8 }).processEntry(entry);
+      expect(outcome.status).toBe('retry');
+    }
+    expect(errors[0]).toMatchObject({ code: 'RATE_LIMITED', statusCode: 429, retryable: true });
+    expect(inbox.listDeadLetters()).toHaveLength(0);
+  });
+
+  test('replaying a dead letter puts it back in the inbox', async () => {
+    const entry = inbox.enqueue({ source: 'calendly', event: 'invitee.created', body: { n: 2 } });
+    inbox.markDead({ ...entry, attempts: 8 }, 'boom');
+
+    const replayed = inbox.replayDeadLetter(entry.id.slice(0, 8));
+    expect(replayed.id).not.toBe(entry.id);
+    expect(inbox.pending()).toHaveLength(1);
+    expect(inbox.pending()[0]).toMatchObject({ attempts: 0, body: { n: 2 } });
+    expect(inbox.getDeadLetter(entry.id).replayedAs).toBe(replayed.id);
+  });
+
+  test('compaction drops closed entries but keeps pending ones', () => {
+    for (let i = 0; i < 3; i++) {
+      const e = inbox.enqueue({ source: 'calendly', event: 'invitee.created', body: { i } });
+      inbox.markDone(e.id);
+    }
+    inbox.enqueue({ source: 'calendly', event: 'invitee.created', body: { i: 'pending' } });
+
+    expect(inbox.compact({ minClosed: 3 })).toBe(true);
+    const lines = fs.readFileSync(inbox.inboxPath, 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(1);
+    expect(inbox.pending()[0].body).toEqual({ i: 'pending' });
+  });
+});
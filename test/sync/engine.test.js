@@ -0,0 +1,252 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cache = require('../../src/utils/cache');
+const logger = require('../../src/utils/logger');
+const SyncEngine = require('../../src/sync/engine');
+const { parseSyncArgs } = require('../../src/sync/args');
+
+// Minimal source: two contacts on L1 and one on L2, fetched in a single page
+function fakeSource() {
+  return {
+    name: 'fake',
+    label: 'Fake',
+    noun: 'contacts',
+    reportPrefix: 'fake_sync_report',
+    fetches: 0,
+    prepare(opts) {
+      if (!opts.listId) throw new Error('no list');
+    },
+    cacheFileName: () => '.fake_cache.json',
+    watermark: () => ({ key: 'fake', lists: ['L1', 'L2'], field: 'updated_at' }),
+    async fetch(state) {
+      this.fetches++;
+      state.records = [
+        { email: 'a@example.com', list: 'L1', updated_at: '2025-03-01T00:00:00Z' },
+        { email: 'b@example.com', list: 'L1', updated_at: '2025-03-03T00:00:00Z' },
+        { email: 'c@example.com', list: 'L2', updated_at: '2025-03-02T00:00:00Z' }
+      ];
+    },
+    records: (state) => state.records || [],
+    contacts: (records) => records.map((r) => ({ email: r.email, name: '', listId: r.list })),
+    resultFields: (contact) => ({ origin: `fake:${contact.email}` })
+  };
+}
+
+function fakeSink(statuses, { failAfter = Infinity } = {}) {
+  const subscribed = [];
+  return {
+    subscribed,
+    async status(email) {
+      return { success: true, normalized: statuses[email] || 'not-in-list' };
+    },
+    async subscribe(listId, contacts, { onResult, params }) {
+      this.params = params;
+      const results = [];
+      for (const c of contacts) {
+        if (subscribed.length >= failAfter) throw new Error('sendy down');
+        subscribed.push(`${listId}:${c.email}`);
+        results.push({ email: c.email, success: true, message: 'Subscribed' });
+        onResult(results[results.length - 1], results.length - 1);
+      }
+      return results;
+    }
+  };
+}
+
+describe('SyncEngine', () => {
+  const cwd = process.cwd();
+  let dir;
+
+  beforeAll(() => {
+    for (const level of ['info', 'warn', 'debug']) jest.spyOn(logger, level).mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    cache.shutdown();
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-engine-'));
+    process.chdir(dir);
+    cache.flushAll();
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('classifies statuses, subscribes the rest and reports per list', async () => {
+    const sink = fakeSink({ 'a@example.com': 'subscribed' });
+    const opts = parseSyncArgs(['--list-id', 'L1', '--throttle-ms=0']);
+    const { report, reportPath } = await new SyncEngine({ source: fakeSource(), sink, opts }).run();
+
+    expect(sink.subscribed).toEqual(['L1:b@example.com', 'L2:c@example.com']);
+    expect(report.totals).toMatchObject({ checked: 3, attempted: 2, subscribed: 2, subscriptionFailures: 0 });
+    expect(report.totals.skipped).toMatchObject({ alreadySubscribed: 1, notInList: 2 });
+    expect(report.lists.L2).toEqual({ checked: 1, attempted: 1, subscribed: 1, failures: 0 });
+    expect(report.results[0]).toMatchObject({ listId: 'L1', origin: 'fake:b@example.com' });
+    expect(report.watermark.next).toBe('2025-03-03T00:00:00.000Z');
+    expect(path.basename(reportPath)).toMatch(/^fake_sync_report_\d+\.json$/);
+    expect(fs.readdirSync(path.join(dir, '.sync_checkpoints'))).toEqual([]);
+    expect(JSON.parse(fs.readFileSync('.fake_cache.json', 'utf8'))).toBeTruthy();
+  });
+
+  test('--gdpr, --silent and --referrer reach the sink and the report', async () => {
+    const sink = fakeSink({});
+    const opts = parseSyncArgs(['--list-id', 'L1', '--gdpr', '--silent', '--referrer', 'import-2025', '--no-persistent-cache']);
+    const { report } = await new SyncEngine({ source: fakeSource(), sink, opts }).run();
+    expect(sink.params).toEqual({ gdpr: true, silent: true, referrer: 'import-2025' });
+    expect(report.subscribeOptions).toEqual({ gdpr: true, silent: true, referrer: 'import-2025' });
+  });
+
+  test('a failed run resumes at the subscribe cursor without fetching again', async () => {
+    const firstSink = fakeSink({}, { failAfter: 2 });
+    const opts = parseSyncArgs(['--list-id=L1', '--throttle-ms=0', '--no-persistent-cache']);
+    const engine = new SyncEngine({ source: fakeSource(), sink: firstSink, opts });
+    await expect(engine.run()).rejects.toThrow('sendy down');
+    const runId = engine.checkpoint.runId;
+
+    const source = fakeSource();
+    const sink = fakeSink({});
+    const { report } = await new SyncEngine({ source, sink, opts: parseSyncArgs(['--resume', runId]) }).run();
+
+    expect(source.fetches).toBe(0);
+    expect(sink.subscribed).toEqual(['L2:c@example.com']);
+    expect(report.runId).toBe(runId);
+    expect(report.totals).toMatchObject({ checked: 3, subscribed: 3 });
+    expect(report.listId).toBe('L1');
+  });
+
+  test('segment rules subscribe matching contacts to extra lists', async () => {
+    const opts = parseSyncArgs(['--list-id', 'L1', '--throttle-ms=0', '--no-persistent-cache', '--no-cache']);
+    const plain = await new SyncEngine({ source: fakeSource(), sink: fakeSink({}), opts: { ...opts } }).run();
+    expect(plain.report.segments).toBeNull();
+    expect(plain.report.watermark.next).toBe('2025-03-03T00:00:00.000Z');
+
+    fs.writeFileSync('sendy-segments.json', JSON.stringify({
+      segments: [{ name: 'early', when: { updated_at: '/^2025-03-0[12]/' }, lists: ['L3', 'L2'] }]
+    }));
+    const source = fakeSource();
+    source.profiles = (records) => records.map((r) => ({ email: r.email, name: '', updated_at: r.updated_at, lists: [r.list] }));
+    const sink = fakeSink({});
+    const { report } = await new SyncEngine({ source, sink, opts: { ...opts } }).run();
+
+    expect(sink.subscribed.sort()).toEqual(['L1:a@example.com', 'L1:b@example.com', 'L2:a@example.com', 'L2:c@example.com', 'L3:a@example.com', 'L3:c@example.com']);
+    expect(report.segments).toEqual({ file: path.join(dir, 'sendy-segments.json'), matches: { early: 2 } });
+    expect(report.results.find((r) => r.listId === 'L3' && r.email === 'a@example.com')).toMatchObject({ segment: 'early' });
+    // the segment's list had no watermark yet, so this run was a backfill
+    expect(report.watermark.previous).toBeNull();
+    expect(report.incrementalSince).toBeNull();
+  });
+
+  test('an event whose second invitee page fails holds the watermark back until it is fetched in full', async () => {
+    const calendly = require('../../src/clients/calendlyClient');
+    const CalendlySource = require('../../src/sync/sources/calendlySource');
+    const events = ['E1', 'E2'].map((uuid, i) => ({ uri: `https://api.calendly.com/scheduled_events/${uuid}`, name: 'Call', start_time: `2025-03-0${i + 1}T10:00:00Z`, end_time: `2025-03-0${i + 1}T10:30:00Z` }));
+    const invitee = (email, day) => ({ email, name: email, created_at: `2025-03-0${day}T09:00:00Z` });
+    let failSecondPage = true;
+    const getSpy = jest.spyOn(calendly.http, 'get').mockImplementation(async (url, config = {}) => {
+      const params = config.params || {};
+      if (url === '/users/me') return { data: { resource: { uri: 'https://api.calendly.com/users/U1', name: 'Owner', email: 'owner@example.com' } } };
+      if (url === '/scheduled_events') return { data: { collection: events, pagination: {} } };
+      if (url.includes('/E1/')) return { data: { collection: [invitee('a@example.com', 1)], pagination: {} } };
+      if (!params.page_token) return { data: { collection: [invitee('b@example.com', 2)], pagination: { next_page_token: 'p2' } } };
+      if (failSecondPage) {
+        const err = new Error('Forbidden');
+        err.response = { status: 403 };
+        throw err;
+      }
+      return { data: { collection: [invitee('c@example.com', 3)], pagination: {} } };
+    });
+
+    try {
+      const opts = () => parseSyncArgs(['--list-id', 'L1', '--throttle-ms=0', '--no-cache']);
+      const sink = fakeSink({});
+      const first = await new SyncEngine({ source: new CalendlySource(), sink, opts: opts() }).run();
+      expect(sink.subscribed).toEqual(['L1:a@example.com', 'L1:b@example.com']);
+      expect(first.report.totals).toMatchObject({ subscriptionFailures: 0, fetchFailures: 1 });
+      expect(first.report.watermark.next).toBeNull();
+      expect(fs.existsSync('.sync_watermarks.json')).toBe(false);
+
+      // the next run starts from scratch again and picks up the missing page
+      failSecondPage = false;
+      const second = await new SyncEngine({ source: new CalendlySource(), sink, opts: opts() }).run();
+      expect(sink.subscribed).toEqual(['L1:a@example.com', 'L1:b@example.com', 'L1:c@example.com']);
+      expect(second.report.totals).toMatchObject({ checked: 3, attempted: 1, fetchFailures: 0 });
+      expect(second.report.watermark.next).toBe('2025-03-03T09:00:00.000Z');
+    } finally {
+      getSpy.mockRestore();
+    }
+  });
+
+  test('a Shopify listing cut short by the page cap holds the watermark back', async () => {
+    const shopify = require('../../src/clients/shopifyClient');
+    const ShopifySource = require('../../src/sync/sources/shopifySource');
+    let page = 0;
+    const getSpy = jest.spyOn(shopify, '_requestWithRetry').mockImplementation(async () => {
+      page++;
+      const order = { id: page, email: `buyer${page}@example.com`, created_at: '2025-03-01T00:00:00Z', updated_at: `2025-03-01T00:${String(page).padStart(2, '0')}:00Z` };
+      return { data: { orders: [order] }, headers: { link: `<https://shop.example.com/orders.json?page_info=p${page + 1}>; rel="next"` } };
+    });
+
+    try {
+      const opts = parseSyncArgs(['--list-id', 'L1', '--throttle-ms=0', '--no-cache', '--no-persistent-cache'], { flags: ShopifySource.FLAGS, defaults: ShopifySource.DEFAULTS });
+      const { report } = await new SyncEngine({ source: new ShopifySource(), sink: fakeSink({}), opts }).run();
+      expect(page).toBe(50);
+      expect(report.totals).toMatchObject({ subscriptionFailures: 0, fetchFailures: 1 });
+      expect(report.watermark.next).toBeNull();
+      expect(fs.existsSync('.sync_watermarks.json')).toBe(false);
+    } finally {
+      getSpy.mockRestore();
+    }
+  });
+
+  test('does not advance watermarks on a dry run', async () => {
+    const opts = parseSyncArgs(['--list-id', 'L1', '--dry-run', '--no-persistent-cache']);
+    const { report } = await new SyncEngine({ source: fakeSource(), sink: fakeSink({}), opts }).run();
+    expect(report.watermark).toMatchObject({ previous: null, next: null });
+    expect(fs.existsSync('.sync_watermarks.json')).toBe(false);
+  });
+});
+
+describe('parseSyncArgs', () => {
+  test('accepts both flag forms and expands bare dates', () => {
+    const opts = parseSyncArgs(['sync', '--from', '2025-11-01', '--to=2025-11-07', '--batch-size=5', '--full', '--source', 'customers'], {
+      flags: { '--source': { key: 'source', type: 'value' } },
+      defaults: { source: 'orders' }
+    });
+    expect(opts).toMatchObject({
+      since: '2025-11-01T00:00:00Z',
+      until: '2025-11-07T23:59:59Z',
+      batchSize: 5,
+      throttleMs: 250,
+      full: true,
+      dryRun: false,
+      source: 'customers'
+    });
+  });
+
+  test('rejects an --overlap-minutes that is not a non-negative number', () => {
+    const parse = (args) => parseSyncArgs(args, { watermark: true });
+    expect(parse(['--overlap-minutes', '15']).overlapMinutes).toBe(15);
+    expect(parse(['--overlap-minutes=0']).overlapMinutes).toBe(0);
+    expect(parse([]).overlapMinutes).toBe(60);
+    for (const bad of ['abc', '-5', '10m', '']) {
+      expect(() => parse([`--overlap-minutes=${bad}`])).toThrow(`Invalid --overlap-minutes (or SYNC_WATERMARK_OVERLAP_MINUTES) "${bad}"`);
+    }
+  });
+
+  test('a bad SYNC_WATERMARK_OVERLAP_MINUTES only stops the sync entry points', () => {
+    const saved = process.env.SYNC_WATERMARK_OVERLAP_MINUTES;
+    process.env.SYNC_WATERMARK_OVERLAP_MINUTES = 'soon';
+    try {
+      expect(parseSyncArgs(['--list-id', 'L1'])).not.toHaveProperty('overlapMinutes');
+      expect(() => parseSyncArgs(['--list-id', 'L1'], { watermark: true })).toThrow(/SYNC_WATERMARK_OVERLAP_MINUTES\) "soon"/);
+    } finally {
+      if (saved === undefined) delete process.env.SYNC_WATERMARK_OVERLAP_MINUTES;
+      else process.env.SYNC_WATERMARK_OVERLAP_MINUTES = saved;
+    }
+  });
+});
@@ -0,0 +1,130 @@
+const logger = require('../../src/utils/logger');
+const Reconciler = require('../../src/sync/reconcile');
+const { renderReport } = require('../../src/sync/reconcile');
+
+jest.spyOn(logger, 'info').mockImplementation(() => {});
+jest.spyOn(logger, 'warn').mockImplementation(() => {});
+const calendlyClient = require('../../src/clients/calendlyClient');
+const shopifyClient = require('../../src/clients/shopifyClient');
+const CalendlySource = require('../../src/sync/sources/calendlySource');
+const ShopifySource = require('../../src/sync/sources/shopifySource');
+
+function fakeSource(name, profiles) {
+  return {
+    name,
+    label: name,
+    prepare: jest.fn(),
+    async fetch(state) { state.records = profiles; },
+    records: (state) => state.records,
+    profiles: (records) => records
+  };
+}
+
+function fakeSink(statuses) {
+  return {
+    name: 'sendy',
+    subscribe: jest.fn(),
+    async status(email, listId) {
+      const s = statuses[`${listId}:${email}`];
+      if (s === 'error') return { success: false, message: 'timeout of 20000ms exceeded' };
+      return { success: true, status: s || 'Not in list', normalized: s || 'not-in-list' };
+    }
+  };
+}
+
+describe('Reconciler', () => {
+  const calendly = () => fakeSource('calendly', [
+    { email: 'a@example.com', name: 'Ann', bookings: 2, last_booking: '2025-03-01T10:00:00Z', event: 'Intro call', lists: ['L1'], consent: null },
+    { email: 'b@example.com', name: 'Bob', bookings: 1, last_booking: '2025-02-01T10:00:00Z', event: 'Demo', lists: ['L2'], consent: null }
+  ]);
+  const shopify = () => fakeSource('shopify', [
+    { email: 'a@example.com', name: 'Ann A', orders: 3, last_order: '2025-03-05T00:00:00Z', total_spent: 120.5, lists: ['L1'] },
+    { email: 'c@example.com', name: 'Cy <script>', orders: 1, last_order: '2025-01-05T00:00:00Z', total_spent: 10, lists: ['L1'] }
+  ]);
+
+  test('merges sources per email and groups contacts by Sendy status without subscribing', async () => {
+    const sink = fakeSink({ 'L1:a@example.com': 'subscribed', 'L2:b@example.com': 'unconfirmed', 'L1:c@example.com': 'bounced' });
+    const report = await new Reconciler({ sources: [calendly(), shopify()], sink, opts: { concurrency: 2 } }).run();
+
+    expect(sink.subscribe).not.toHaveBeenCalled();
+    expect(report.lists.sort()).toEqual(['L1', 'L2']);
+    expect(report.totals).toMatchObject({ checked: 3, subscribed: 1, unconfirmed: 1, bounced: 1, 'not-in-list': 0 });
+    expect(report.groups.subscribed[0]).toMatchObject({
+      email: 'a@example.com', name: 'Ann', list_id: 'L1', sources: 'calendly+shopify',
+      bookings: 2, event: 'Intro call', orders: 3, total_spent: 120.5, sendy_status: 'subscribed'
+    });
+    expect(report.byList.L1).toMatchObject({ subscribed: 1, bounced: 1 });
+  });
+
+  test('checks every contact against each explicit list and reports failed checks as errors', async () => {
+    const sink = fakeSink({ 'L9:b@example.com': 'error', 'L8:a@example.com': 'deleted' });
+    const report = await new Reconciler({ sources: [calendly()], sink, opts: {}, lists: ['L8', 'L9'] }).run();
+
+    expect(report.totals).toMatchObject({ checked: 4, 'not-in-list': 2, other: 1, error: 1 });
+    expect(report.groups.error[0]).toMatchObject({ email: 'b@example.com', list_id: 'L9', sendy_status: 'timeout of 20000ms exceeded' });
+    expect(report.groups.other[0]).toMatchObject({ email: 'a@example.com', sendy_status: 'deleted' });
+  });
+
+  test('renders CSV and escaped HTML', async () => {
+    const report = await new Reconciler({ sources: [shopify()], sink: fakeSink({ 'L1:a@example.com': 'unsubscribed' }), opts: {} }).run();
+    const csv = renderReport(report, 'csv').trim().split('\n');
+    expect(csv[0]).toBe('email,name,list_id,status,sendy_status,sources,bookings,last_booking,event,consent,orders,last_order,total_spent');
+    expect(csv[1]).toMatch(/^a@example.com,Ann A,L1,unsubscribed,/);
+    expect(csv).toHaveLength(3);
+
+    const html = renderReport(report, 'html');
+    expect(html).toContain('<h2>unsubscribed (1)</h2>');
+    expect(html).toContain('Cy &lt;script&gt;');
+    expect(html).not.toContain('<h2>bounced');
+  });
+
+  describe('with the Calendly and Shopify sources', () => {
+    const env = { ...process.env };
+
+    beforeEach(() => {
+      process.env.SENDY_LIST_ID = 'calList';
+      process.env.SENDY_SHOPIFY_LIST_ID = 'shopList';
+      delete process.env.CALENDLY_CONSENT_QUESTION;
+      jest.spyOn(calendlyClient, 'listInviteesAcrossEvents').mockImplementation(async ({ onEventInvitees }) => {
+        onEventInvitees('E1', [{ email: 'a@example.com', name: 'Ann', event_name: 'Intro call', created_at: '2025-03-01T10:00:00Z' }]);
+      });
+      jest.spyOn(shopifyClient, 'listOrders').mockImplementation(async ({ onPage }) => {
+        onPage([{ id: 1, email: 'c@example.com', total_price: '10.00', created_at: '2025-03-05T00:00:00Z' }], null);
+      });
+    });
+
+    afterEach(() => {
+      process.env = { ...env };
+      jest.restoreAllMocks();
+      jest.spyOn(logger, 'info').mockImplementation(() => {});
+      jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    });
+
+    test('each source falls back to its own list', async () => {
+      const opts = { noRouting: true, noSegments: true };
+      const report = await new Reconciler({ sources: [new CalendlySource(), new ShopifySource()], sink: fakeSink({}), opts }).run();
+
+      expect(report.lists.sort()).toEqual(['calList', 'shopList']);
+      expect(report.groups['not-in-list'].map((r) => [r.email, r.list_id]).sort()).toEqual([
+        ['a@example.com', 'calList'],
+        ['c@example.com', 'shopList']
+      ]);
+      expect(opts.listId).toBeUndefined();
+    });
+  });
+});
+
+describe('ShopifySource.profiles', () => {
+  test('counts orders and keeps the latest order per email', () => {
+    const source = new ShopifySource();
+    source.opts = { listId: 'L1', source: 'orders' };
+    const profiles = source.profiles([
+      { email: 'A@example.com', total_price: '10.00', created_at: '2025-01-01T00:00:00Z', customer: { first_name: 'Ann' } },
+      { customer: { email: 'a@example.com' }, total_price: '5.50', created_at: '2025-02-01T00:00:00Z' },
+      { total_price: '1.00' }
+    ]);
+    expect(profiles).toEqual([
+      { email: 'a@example.com', name: 'Ann', orders: 2, last_order: '2025-02-01T00:00:00Z', order_value: 5.5, total_spent: 15.5, lists: ['L1'] }
+    ]);
+  });
+});
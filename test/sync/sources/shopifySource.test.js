@@ -0,0 +1,28 @@
+const logger = require('../../../src/utils/logger');
+
+// the Shopify client warns about missing config when it loads
+jest.spyOn(logger, 'warn').mockImplementation(() => {});
+jest.spyOn(logger, 'info').mockImplementation(() => {});
+const ShopifySource = require('../../../src/sync/sources/shopifySource');
+const { slimRecord } = ShopifySource;
+
+describe('ShopifySource slimRecord', () => {
+  const seed = require('../../fixtures/shopify/seed.json');
+
+  test('checkpointed orders and customers give the same contacts and profiles without the other buyer details', () => {
+    for (const [type, records] of [['orders', seed.orders], ['customers', seed.customers]]) {
+      const source = new ShopifySource();
+      source.opts = { listId: 'L1', source: type };
+      const slim = records.map((r) => slimRecord(r, type));
+      expect(source.contacts(slim)).toEqual(source.contacts(records));
+      expect(source.profiles(slim)).toEqual(source.profiles(records));
+    }
+    const order = slimRecord({
+      ...seed.orders[0],
+      line_items: [{ title: 'Book', quantity: 1 }],
+      billing_address: { ...seed.orders[0].billing_address, address1: '1 Main St', phone: '555-0100' }
+    }, 'orders');
+    expect(order).not.toHaveProperty('line_items');
+    expect(order.billing_address).toEqual({ first_name: 'Grace', last_name: 'Hopper', country_code: 'US' });
+  });
+});
@@ -0,0 +1,59 @@
+const logger = require('../../src/utils/logger');
+const AdaptivePool = require('../../src/utils/adaptivePool');
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+describe('AdaptivePool', () => {
+  beforeAll(() => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+  });
+
+  test('bounds concurrency and reports results in item order', async () => {
+    const pool = new AdaptivePool({ concurrency: 3 });
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const seen = [];
+    const results = await pool.map([30, 5, 20, 1, 10, 2], async (ms, i) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await sleep(ms);
+      inFlight--;
+      return i * 10;
+    }, { onResult: (res, i) => seen.push(i) });
+
+    expect(results).toEqual([0, 10, 20, 30, 40, 50]);
+    expect(seen).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(maxInFlight).toBe(3);
+  });
+
+  test('backs off, halves concurrency and retries overloaded calls', async () => {
+    const pool = new AdaptivePool({ concurrency: 4, backoffMs: 20, isOverloaded: (res) => res === 'busy' });
+    const calls = {};
+    const started = Date.now();
+    const results = await pool.map(['a', 'b'], async (item) => {
+      calls[item] = (calls[item] || 0) + 1;
+      return item === 'a' && calls.a === 1 ? 'busy' : `ok:${item}`;
+    });
+
+    expect(results).toEqual(['ok:a', 'ok:b']);
+    expect(calls.a).toBe(2);
+    expect(pool.limit).toBe(2);
+    expect(pool.stats).toMatchObject({ overloads: 1, retries: 1 });
+    expect(Date.now() - started).toBeGreaterThanOrEqual(15);
+  });
+
+  test('gives up after the retry budget and returns the last result', async () => {
+    const pool = new AdaptivePool({ retries: 1, backoffMs: 1, isOverloaded: (res) => res.timeout });
+    const [result] = await pool.map([1], async () => ({ timeout: true }));
+    expect(result).toEqual({ timeout: true });
+    expect(pool.stats.calls).toBe(2);
+  });
+
+  test('spaces call starts to honour maxRps', async () => {
+    const pool = new AdaptivePool({ concurrency: 5, maxRps: 50 });
+    const starts = [];
+    await pool.map([1, 2, 3, 4], async () => { starts.push(Date.now()); });
+    expect(starts[3] - starts[0]).toBeGreaterThanOrEqual(55);
+  });
+});
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SyncCheckpoint = require('../../src/utils/checkpoint');
+
+describe('SyncCheckpoint', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoints-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('round-trips progress under the run id', () => {
+    const cp = SyncCheckpoint.create('shopify', { dir });
+    expect(cp.runId).toMatch(/^shopify-\d{8}T\d{6}Z-[0-9a-f]{4}$/);
+    cp.data.options = { listId: 'L1' };
+    cp.data.phase = 'status';
+    cp.data.status = { cursor: 42 };
+    cp.save();
+
+    const loaded = SyncCheckpoint.load(cp.runId, 'shopify', { dir });
+    expect(loaded.data).toMatchObject({ script: 'shopify', phase: 'status', options: { listId: 'L1' }, status: { cursor: 42 } });
+
+    loaded.remove();
+    expect(() => SyncCheckpoint.load(cp.runId, 'shopify', { dir })).toThrow(/not found/);
+  });
+
+  test('refuses checkpoints of another script or unsafe ids', () => {
+    const cp = SyncCheckpoint.create('calendly', { dir });
+    cp.save();
+    expect(() => SyncCheckpoint.load(cp.runId, 'shopify', { dir })).toThrow(/is a calendly sync/);
+    expect(() => SyncCheckpoint.load('../secrets', 'shopify', { dir })).toThrow(/Invalid run id/);
+  });
+
+  test('maybeSave waits for the interval', () => {
+    const cp = SyncCheckpoint.create('calendly', { dir, intervalMs: 60000 });
+    cp.save();
+    cp.data.phase = 'subscribe';
+    cp.maybeSave();
+    expect(SyncCheckpoint.load(cp.runId, 'calendly', { dir }).data.phase).toBe('fetch');
+  });
+});
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getConsentRule, evaluateConsent } = require('../../src/utils/consent');
+const ConsentStore = require('../../src/utils/consentStore');
+
+describe('consent', () => {
+  const qa = (answer) => [
+    { question: 'Company', answer: 'Acme', position: 0 },
+    { question: 'Send me the newsletter', answer, position: 1 }
+  ];
+
+  test('no rule configured means everyone may be subscribed', () => {
+    expect(getConsentRule({ question: '' })).toBeNull();
+    expect(evaluateConsent([], null).consented).toBe(true);
+  });
+
+  test('accepted answers are matched case-insensitively, including multi-select answers', () => {
+    const rule = getConsentRule({ question: 'send me the newsletter', answers: 'Yes, Send me the newsletter' });
+    expect(evaluateConsent(qa('yes'), rule)).toEqual({ consented: true, question: 'Send me the newsletter', answer: 'yes' });
+    expect(evaluateConsent(qa('Other\nSend me the newsletter'), rule).consented).toBe(true);
+    expect(evaluateConsent(qa('No'), rule).consented).toBe(false);
+    expect(evaluateConsent([{ question: 'Company', answer: 'Acme' }], rule)).toEqual({ consented: false, question: null, answer: null });
+  });
+
+  test('without accepted answers any non-empty answer counts', () => {
+    const rule = getConsentRule({ question: '/newsletter/i', answers: '' });
+    expect(evaluateConsent(qa('Sure'), rule).consented).toBe(true);
+    expect(evaluateConsent(qa('  '), rule).consented).toBe(false);
+  });
+
+  test('the store keeps the earliest consent per email', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'consent-'));
+    const filePath = path.join(dir, 'evidence.json');
+    try {
+      const store = new ConsentStore({ filePath });
+      store.record('Ada@Example.com', { question: 'Q', answer: 'Yes', consentedAt: '2025-02-01T00:00:00Z' });
+      store.record('ada@example.com', { question: 'Q', answer: 'Yes please', consentedAt: '2025-03-01T00:00:00Z' });
+      store.save();
+
+      const reloaded = new ConsentStore({ filePath });
+      expect(reloaded.get('ada@example.com')).toMatchObject({ answer: 'Yes', consentedAt: '2025-02-01T00:00:00Z', source: 'calendly' });
+      expect(fs.readdirSync(dir)).toEqual(['evidence.json']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
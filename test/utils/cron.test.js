@@ -0,0 +1,44 @@
+const { parseCron, nextRun } = require('../../src/utils/cron');
+
+// Local-time dates, since cron expressions are evaluated in the server's time zone
+const at = (y, mo, d, h = 0, mi = 0) => new Date(y, mo - 1, d, h, mi);
+
+describe('cron', () => {
+  test('every 15 minutes', () => {
+    expect(nextRun('*/15 * * * *', at(2025, 3, 10, 9, 7))).toEqual(at(2025, 3, 10, 9, 15));
+    expect(nextRun('*/15 * * * *', at(2025, 3, 10, 9, 45))).toEqual(at(2025, 3, 10, 10, 0));
+  });
+
+  test('is strictly after the reference time', () => {
+    expect(nextRun('0 2 * * *', at(2025, 3, 10, 2, 0))).toEqual(at(2025, 3, 11, 2, 0));
+  });
+
+  test('weekday ranges, names and lists', () => {
+    // 2025-03-14 is a Friday
+    expect(nextRun('30 6 * * mon-fri', at(2025, 3, 14, 7, 0))).toEqual(at(2025, 3, 17, 6, 30));
+    expect(nextRun('0 9,17 * jan,mar *', at(2025, 3, 31, 18, 0))).toEqual(at(2026, 1, 1, 9, 0));
+    expect(nextRun('0 0 * * 7', at(2025, 3, 14))).toEqual(at(2025, 3, 16));
+  });
+
+  test('day-of-month and day-of-week match either when both are set', () => {
+    // the 1st or any Monday
+    expect(nextRun('0 0 1 * mon', at(2025, 3, 14))).toEqual(at(2025, 3, 17));
+    expect(nextRun('0 0 1 * mon', at(2025, 3, 25))).toEqual(at(2025, 3, 31));
+  });
+
+  test('aliases', () => {
+    expect(nextRun('@hourly', at(2025, 3, 10, 9, 7))).toEqual(at(2025, 3, 10, 10, 0));
+    expect(nextRun('@monthly', at(2025, 3, 10))).toEqual(at(2025, 4, 1));
+  });
+
+  test('rejects invalid expressions', () => {
+    expect(() => parseCron('* * * *')).toThrow(/5 fields/);
+    expect(() => parseCron('61 * * * *')).toThrow(/out of range/);
+    expect(() => parseCron('*/0 * * * *')).toThrow(/Invalid step/);
+    expect(() => parseCron('0 0 * foo *')).toThrow(/Invalid month/);
+  });
+
+  test('returns null for dates that never occur', () => {
+    expect(nextRun('0 0 31 2 *', at(2025, 1, 1))).toBeNull();
+  });
+});
@@ -0,0 +1,35 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventInviteeCache = require('../../src/utils/eventCache');
+
+describe('EventInviteeCache', () => {
+  let dir;
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-cache-')); });
+  afterEach(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+  test('stores invitees of past events and reads them back', () => {
+    const cache = new EventInviteeCache({ dir });
+    expect(cache.get('EV1')).toBeNull();
+    expect(cache.set('EV1', { end_time: '2025-01-01T10:30:00Z' }, [{ email: 'a@example.com' }])).toBe(true);
+
+    const fresh = new EventInviteeCache({ dir });
+    expect(fresh.get('EV1')).toEqual([{ email: 'a@example.com' }]);
+    expect(fresh.stats).toMatchObject({ hits: 1, misses: 0 });
+    expect(cache.stats).toMatchObject({ misses: 1, writes: 1 });
+  });
+
+  test('skips upcoming events and unsafe ids', () => {
+    const cache = new EventInviteeCache({ dir });
+    const now = Date.parse('2025-06-01T00:00:00Z');
+    expect(cache.set('EV2', { end_time: '2025-06-01T01:00:00Z' }, [], now)).toBe(false);
+    expect(cache.set('EV3', {}, [], now)).toBe(false);
+    expect(cache.set('../escape', { end_time: '2025-01-01T00:00:00Z' }, [], now)).toBe(false);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test('treats an unreadable entry as a miss', () => {
+    fs.writeFileSync(path.join(dir, 'EV4.json'), '{broken');
+    expect(new EventInviteeCache({ dir }).get('EV4')).toBeNull();
+  });
+});
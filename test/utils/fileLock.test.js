@@ -0,0 +1,35 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileLock = require('../../src/utils/fileLock');
+
+describe('FileLock', () => {
+  test('takes over a lock left by a dead process', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-lock-'));
+    const lockPath = path.join(dir, 'job.lock');
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: 999999, host: os.hostname(), acquiredAt: new Date().toISOString() }));
+    const lock = new FileLock(lockPath);
+    expect(lock.acquire()).toBe(true);
+    expect(new FileLock(lockPath).acquire()).toBe(false);
+    lock.release();
+    expect(fs.existsSync(lockPath)).toBe(false);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('leaves an unreadable lock alone until it is older than unreadableMs', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-lock-'));
+    const lockPath = path.join(dir, 'job.lock');
+    // what another process's lock looks like before its write lands
+    fs.writeFileSync(lockPath, '');
+    expect(new FileLock(lockPath).acquire()).toBe(false);
+    expect(fs.readFileSync(lockPath, 'utf8')).toBe('');
+
+    const old = new Date(Date.now() - 60 * 1000);
+    fs.utimesSync(lockPath, old, old);
+    const lock = new FileLock(lockPath, { unreadableMs: 30 * 1000 });
+    expect(lock.acquire()).toBe(true);
+    expect(lock.read()).toMatchObject({ pid: process.pid });
+    lock.release();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
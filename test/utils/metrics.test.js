@@ -0,0 +1,28 @@
+const metrics = require('../../src/utils/metrics');
+
+describe('normalizeSubscribeResult', () => {
+  test.each([
+    [{ success: true, message: 'true' }, 'subscribed'],
+    [{ success: true, message: 'Already subscribed.', code: 'ALREADY_SUBSCRIBED' }, 'already_subscribed'],
+    [{ success: false, message: 'Invalid email address.', code: 'INVALID_EMAIL' }, 'invalid_email'],
+    [{ success: false, message: 'Invalid list ID.', code: 'INVALID_LIST' }, 'invalid_list'],
+    [{ success: false, message: 'Bounced email address.', code: 'BOUNCED' }, 'bounced'],
+    [{ success: false, message: 'Some fields are missing.', code: 'MISSING_FIELDS' }, 'missing_fields'],
+    [{ success: false, message: 'connect ECONNREFUSED', code: 'NETWORK_ERROR' }, 'network_error'],
+    [{ success: false, message: 'Invalid email address.' }, 'error']
+  ])('%j → %s', (result, expected) => {
+    expect(metrics.normalizeSubscribeResult(result)).toBe(expected);
+  });
+});
+
+describe('registry', () => {
+  test('exposes counters in Prometheus text format', async () => {
+    metrics.webhooksReceived.inc({ source: 'calendly', event: 'invitee.created' });
+    metrics.recordSubscribeResult({ success: true, message: 'true' });
+
+    const text = await metrics.registry.metrics();
+    expect(text).toContain('calendly_sendy_webhooks_received_total{source="calendly",event="invitee.created"} 1');
+    expect(text).toContain('calendly_sendy_sendy_subscribe_total{result="subscribed"} 1');
+    expect(text).toContain('calendly_sendy_cache_keys');
+  });
+});
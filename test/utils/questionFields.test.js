@@ -0,0 +1,50 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadFieldMap, mapAnswersToFields } = require('../../src/utils/questionFields');
+
+describe('questionFields', () => {
+  let dir;
+  const write = (obj) => {
+    const file = path.join(dir, 'calendly-fields.json');
+    fs.writeFileSync(file, JSON.stringify(obj));
+    return file;
+  };
+
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fields-')); });
+  afterEach(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+  test('no field map means no custom fields', () => {
+    expect(loadFieldMap(path.join(dir, 'missing.json'))).toBeNull();
+    expect(mapAnswersToFields([{ question: 'Company', answer: 'x' }], null)).toEqual({});
+  });
+
+  test('maps by question text, glob, regex and position; first mapping per field wins', () => {
+    const map = loadFieldMap(write({
+      fields: [
+        { question: 'company', field: 'Company' },
+        { question: 'Role*', field: 'Role' },
+        { question: '/newsletter/i', field: 'Newsletter' },
+        { position: 0, field: 'Company' },
+        { position: 3, field: 'Notes' }
+      ]
+    }));
+    const qa = [
+      { question: 'Company', answer: ' Acme ', position: 0 },
+      { question: 'Role at company', answer: 'CTO', position: 1 },
+      { question: 'Send me the Newsletter', answer: 'Yes', position: 2 },
+      { question: 'Notes', answer: null, position: 3 }
+    ];
+    expect(mapAnswersToFields(qa, map)).toEqual({ Company: 'Acme', Role: 'CTO', Newsletter: 'Yes' });
+  });
+
+  test('falls back to array order when Calendly omits position', () => {
+    const map = loadFieldMap(write({ fields: [{ position: 1, field: 'Second' }] }));
+    expect(mapAnswersToFields([{ question: 'a', answer: '1' }, { question: 'b', answer: '2' }], map)).toEqual({ Second: '2' });
+  });
+
+  test('rejects mappings without a field or matcher', () => {
+    expect(() => loadFieldMap(write({ fields: [{ question: 'x' }] }))).toThrow(/no "field"/);
+    expect(() => loadFieldMap(write({ fields: [{ field: 'x' }] }))).toThrow(/"question" or "position"/);
+  });
+});
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadRouting, resolveLists, compileNamePattern } = require('../../src/utils/routing');
+
+describe('routing', () => {
+  let dir;
+  const write = (obj) => {
+    const file = path.join(dir, 'sendy-routing.json');
+    fs.writeFileSync(file, JSON.stringify(obj));
+    return file;
+  };
+
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'routing-')); });
+  afterEach(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+  test('returns null when no routing file exists', () => {
+    expect(loadRouting(path.join(dir, 'missing.json'))).toBeNull();
+  });
+
+  test('without routing, everything goes to the fallback list', () => {
+    expect(resolveLists(null, { eventName: 'Discovery Call' }, 'main')).toEqual({ lists: ['main'], matchedBy: 'default' });
+  });
+
+  test('matches event type URIs, bare UUIDs, globs and regexes in order', () => {
+    const routing = loadRouting(write({
+      default: ['general'],
+      routes: [
+        { eventType: 'https://api.calendly.com/event_types/TYPE-DISCOVERY', lists: ['discovery'] },
+        { eventType: 'TYPE-OFFICE', lists: 'office' },
+        { name: '/workshop/i', lists: ['workshops', 'general'] },
+        { name: 'Coffee*', lists: ['coffee'] }
+      ]
+    }));
+
+    expect(resolveLists(routing, { eventType: 'https://api.calendly.com/event_types/TYPE-DISCOVERY' }).lists).toEqual(['discovery']);
+    expect(resolveLists(routing, { eventType: 'https://api.calendly.com/event_types/TYPE-OFFICE' }).lists).toEqual(['office']);
+    expect(resolveLists(routing, { eventName: 'Spring WORKSHOP 2025' })).toEqual({ lists: ['workshops', 'general'], matchedBy: 'name:/workshop/i' });
+    expect(resolveLists(routing, { eventName: 'coffee chat' }).lists).toEqual(['coffee']);
+    expect(resolveLists(routing, { eventName: 'Quick chat about coffee' }, 'main')).toEqual({ lists: ['general'], matchedBy: 'default' });
+  });
+
+  test('falls back to the env list when the routing file has no default', () => {
+    const routing = loadRouting(write({ routes: [{ name: 'Workshop', lists: ['w'] }] }));
+    expect(resolveLists(routing, { eventName: 'Other' }, 'main').lists).toEqual(['main']);
+  });
+
+  test('a /g or /y regex matches every time, not every other time', () => {
+    const regex = compileNamePattern('/workshop/gy');
+    expect(regex.flags).toBe('');
+    expect([1, 2, 3].map(() => regex.test('workshop'))).toEqual([true, true, true]);
+
+    const routing = loadRouting(write({ routes: [{ name: '/demo/gi', lists: ['demo-list'] }] }));
+    const hits = ['Demo', 'Group demo', 'demo'].map((eventName) => resolveLists(routing, { eventName }, 'main').lists);
+    expect(hits).toEqual([['demo-list'], ['demo-list'], ['demo-list']]);
+  });
+
+  test('rejects rules without lists or matchers', () => {
+    expect(() => loadRouting(write({ routes: [{ name: 'x' }] }))).toThrow(/no lists/);
+    expect(() => loadRouting(write({ routes: [{ lists: ['a'] }] }))).toThrow(/eventType/);
+  });
+});
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadSegments, matchSegments, segmentLists, applySegments } = require('../../src/utils/segments');
+
+describe('segments', () => {
+  let dir;
+  const write = (content) => {
+    const file = path.join(dir, 'sendy-segments.json');
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  };
+
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'segments-')); });
+  afterEach(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+  const rules = {
+    segments: [
+      { name: 'vip', when: { bookings: { gte: 3 } }, lists: ['L_VIP'] },
+      { name: 'high-value', when: { source: 'shopify', order_value: { gt: 200 } }, lists: 'L_HV' },
+      { name: 'workshops', when: { events: '/workshop/i' }, lists: ['L_WS', 'L_VIP'] },
+      { name: 'named', when: { name: { exists: true, ne: 'Test*' }, source: ['calendly', 'shopify'] }, lists: ['L_N'] }
+    ]
+  };
+
+  test('returns null without a file and validates rules', () => {
+    expect(loadSegments(path.join(dir, 'missing.json'))).toBeNull();
+    expect(() => loadSegments(write('{oops'))).toThrow(/Invalid segments file/);
+    expect(() => loadSegments(write({ segments: [{ name: 'a', when: { x: 1 } }] }))).toThrow(/has no lists/);
+    expect(() => loadSegments(write({ segments: [{ name: 'a', lists: ['L'] }] }))).toThrow(/needs a "when"/);
+    expect(() => loadSegments(write({ segments: [{ name: 'a', lists: ['L'], when: { x: { between: 1 } } }] }))).toThrow(/unknown operator "between"/);
+    expect(() => loadSegments(write({ segments: [{ name: 'a', lists: ['L'], when: { x: { gt: '5' } } }] }))).toThrow(/needs a number/);
+    expect(() => loadSegments(write({ segments: [{ name: 'a', lists: ['L'], when: { x: 1 } }, { name: 'a', lists: ['M'], when: { x: 2 } }] }))).toThrow(/duplicate name/);
+  });
+
+  test('matches every segment whose conditions all hold', () => {
+    const segments = loadSegments(write(rules));
+    const names = (facts) => matchSegments(segments, facts).map((s) => s.name);
+
+    expect(names({ source: 'calendly', name: 'Ann', bookings: 3, events: ['Intro', 'React Workshop'] })).toEqual(['vip', 'workshops', 'named']);
+    expect(names({ source: 'calendly', name: 'Test user', bookings: 1, events: ['Intro'] })).toEqual([]);
+    expect(names({ source: 'shopify', name: '', order_value: '249.00' })).toEqual(['high-value']);
+    expect(names({ source: 'calendly', order_value: 500 })).toEqual([]);
+    expect(segmentLists(segments)).toEqual(['L_VIP', 'L_HV', 'L_WS', 'L_N']);
+  });
+
+  test('applySegments adds one contact per extra list and email', () => {
+    const segments = loadSegments(write(rules));
+    const contacts = [
+      { email: 'a@example.com', name: 'Ann', listId: 'L1', fields: { Company: 'Acme' } },
+      { email: 'b@example.com', name: 'Bob', listId: 'L_VIP' }
+    ];
+    const profiles = [
+      { email: 'a@example.com', name: 'Ann', bookings: 4, events: ['Workshop'] },
+      { email: 'b@example.com', name: 'Test Bob', bookings: 5, events: [] },
+      { email: 'no-contact@example.com', name: 'Zed', bookings: 9, events: [] }
+    ];
+    const { contacts: out, matches } = applySegments(segments, contacts, profiles, 'calendly');
+
+    expect(out.slice(2)).toEqual([
+      { email: 'a@example.com', name: 'Ann', listId: 'L_VIP', fields: { Company: 'Acme' }, segment: 'vip' },
+      { email: 'a@example.com', name: 'Ann', listId: 'L_WS', fields: { Company: 'Acme' }, segment: 'workshops' },
+      { email: 'a@example.com', name: 'Ann', listId: 'L_N', fields: { Company: 'Acme' }, segment: 'named' }
+    ]);
+    expect(matches).toEqual({ vip: ['a@example.com', 'b@example.com'], 'high-value': [], workshops: ['a@example.com'], named: ['a@example.com'] });
+    expect(applySegments(null, contacts, profiles, 'calendly').contacts).toBe(contacts);
+  });
+});
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TokenStore = require('../../src/utils/tokenStore');
+
+describe('TokenStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-store-'));
+    store = new TokenStore({ filePath: path.join(dir, 'tokens.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('stores only a hash and verifies the plaintext token', () => {
+    const { token, record } = store.create({ name: 'ops', scopes: 'read:events,run:sync' });
+    const raw = fs.readFileSync(store.filePath, 'utf8');
+    expect(raw).not.toContain(token);
+    expect(raw).toContain(TokenStore.hashToken(token));
+
+    expect(store.verify(token).record).toMatchObject({ id: record.id, scopes: ['read:events', 'run:sync'] });
+    expect(store.verify(`${token}x`)).toEqual({ record: null, reason: 'unknown-token' });
+    expect(store.verify('not-a-token')).toEqual({ record: null, reason: 'malformed-token' });
+    expect(store.list()[0]).not.toHaveProperty('hash');
+  });
+
+  test('rejects unknown scopes and duplicate active names', () => {
+    expect(() => store.create({ name: 'x', scopes: 'read:events,admin' })).toThrow(/Unknown scope\(s\): admin/);
+    store.create({ name: 'ops', scopes: ['read:events'] });
+    expect(() => store.create({ name: 'ops', scopes: ['read:events'] })).toThrow(/already exists/);
+  });
+
+  test('revoked and expired tokens stop verifying', () => {
+    const { token } = store.create({ name: 'ops', scopes: ['run:sync'] });
+    expect(store.revoke('ops')).toMatchObject({ name: 'ops' });
+    expect(store.verify(token).reason).toBe('revoked');
+    expect(store.list()).toHaveLength(0);
+    expect(store.list({ includeRevoked: true })).toHaveLength(1);
+
+    const expiring = store.create({ name: 'temp', scopes: ['run:sync'], expiresAt: '2020-01-01T00:00:00Z' });
+    expect(store.verify(expiring.token).reason).toBe('expired');
+  });
+
+  test('touch records last use at most once a minute', () => {
+    const { record } = store.create({ name: 'ops', scopes: ['read:events'] });
+    store.touch(record.id, Date.parse('2025-01-01T00:00:00Z'));
+    store.touch(record.id, Date.parse('2025-01-01T00:00:30Z'));
+    expect(store.list()[0].lastUsedAt).toBe('2025-01-01T00:00:00.000Z');
+  });
+});
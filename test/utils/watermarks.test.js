@@ -0,0 +1,61 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WatermarkStore = require('../../src/utils/watermarks');
+const { windowStart, newestTimestamp } = WatermarkStore;
+
+describe('WatermarkStore', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watermarks-'));
+    filePath = path.join(dir, 'marks.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('only moves a watermark forward and persists it', () => {
+    const store = new WatermarkStore({ filePath });
+    store.set('calendly', 'L1', '2025-03-02T10:00:00Z');
+    store.set('calendly', 'L1', '2025-03-01T10:00:00Z');
+    store.save();
+
+    const reloaded = new WatermarkStore({ filePath });
+    expect(reloaded.get('calendly', 'L1')).toBe('2025-03-02T10:00:00.000Z');
+    expect(reloaded.get('calendly', 'L2')).toBeNull();
+  });
+
+  test('oldest is null until every list has a watermark', () => {
+    const store = new WatermarkStore({ filePath });
+    store.set('calendly', 'L1', '2025-03-02T10:00:00Z');
+    expect(store.oldest('calendly', ['L1', 'L2'])).toBeNull();
+    store.set('calendly', 'L2', '2025-03-01T08:00:00Z');
+    expect(store.oldest('calendly', ['L1', 'L2'])).toBe('2025-03-01T08:00:00.000Z');
+  });
+
+  test('refuses to load a corrupt file', () => {
+    fs.writeFileSync(filePath, '{not json');
+    expect(() => new WatermarkStore({ filePath }).get('shopify-orders', 'L1')).toThrow(/Invalid watermark file/);
+  });
+});
+
+describe('watermark helpers', () => {
+  test('windowStart subtracts the overlap', () => {
+    expect(windowStart('2025-03-02T10:00:00Z', 60)).toBe('2025-03-02T09:00:00.000Z');
+    expect(windowStart(null, 60)).toBeNull();
+  });
+
+  test('newestTimestamp ignores missing and invalid values', () => {
+    const records = [
+      { updated_at: '2025-03-01T00:00:00Z' },
+      { updated_at: 'nope' },
+      {},
+      { updated_at: '2025-03-04T00:00:00Z' }
+    ];
+    expect(newestTimestamp(records, 'updated_at')).toBe('2025-03-04T00:00:00Z');
+    expect(newestTimestamp([], 'updated_at')).toBeNull();
+  });
+});
@@ -0,0 +1,50 @@
+const { classifySubscriptions, toRow } = require('../../src/utils/webhookSubscriptions');
+
+const sub = (uuid, callbackUrl, state = 'active') => ({
+  uri: `https://api.calendly.com/webhook_subscriptions/${uuid}`,
+  callback_url: callbackUrl,
+  state,
+  scope: 'user',
+  events: ['invitee.created', 'invitee.canceled']
+});
+
+const flagsOf = (subscriptions, target) => classifySubscriptions(subscriptions, target).map((c) => [toRow(c).uuid, c.flags]);
+
+describe('classifySubscriptions', () => {
+  const target = 'https://hooks.example.com/webhook/calendly';
+
+  test('the active subscription for the target URL is current, whatever its case or trailing slash', () => {
+    expect(flagsOf([sub('W1', 'https://Hooks.example.com/webhook/calendly/')], target)).toEqual([['W1', ['current']]]);
+  });
+
+  test('another /webhook/calendly URL and disabled subscriptions are stale; unrelated endpoints are left alone', () => {
+    expect(flagsOf([
+      sub('W1', target),
+      sub('W2', 'https://old-host.example.com/webhook/calendly'),
+      sub('W3', target, 'disabled'),
+      sub('W4', 'https://zapier.example.com/hooks/catch/123')
+    ], target)).toEqual([['W1', ['current']], ['W2', ['stale']], ['W3', ['stale']], ['W4', []]]);
+  });
+
+  test('later active subscriptions to the same URL are duplicates, and the first one is kept', () => {
+    expect(flagsOf([
+      sub('W1', target),
+      sub('W2', `${target}/`),
+      sub('W3', 'https://old-host.example.com/webhook/calendly'),
+      sub('W4', 'https://old-host.example.com/webhook/calendly')
+    ], target)).toEqual([['W1', ['current']], ['W2', ['duplicate']], ['W3', ['stale']], ['W4', ['stale', 'duplicate']]]);
+  });
+
+  test('without a target URL nothing is stale by URL, but duplicates and disabled ones are still found', () => {
+    expect(flagsOf([
+      sub('W1', 'https://old-host.example.com/webhook/calendly'),
+      sub('W2', 'https://old-host.example.com/webhook/calendly'),
+      sub('W3', target, 'disabled')
+    ], null)).toEqual([['W1', []], ['W2', ['duplicate']], ['W3', ['stale']]]);
+  });
+
+  test('toRow flattens a subscription for list output', () => {
+    const [row] = classifySubscriptions([sub('W1', target)], target).map(toRow);
+    expect(row).toMatchObject({ uuid: 'W1', callback_url: target, state: 'active', events: 'invitee.created,invitee.canceled', flags: 'current' });
+  });
+});